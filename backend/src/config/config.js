@@ -1,5 +1,11 @@
 require('dotenv').config();
 
+// Integer setting from the environment; 0 is honoured, only unset or non-numeric values fall back
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 module.exports = {
   port: process.env.PORT || 5050,
   jwtSecret: process.env.JWT_SECRET,
@@ -8,10 +14,32 @@ module.exports = {
   xummApiSecret: process.env.XUMM_API_SECRET,
   mongoURI: process.env.MONGODB_URI,
   rippleNode: process.env.RIPPLE_NODE,
+  // Comma-separated XRPL servers in failover order; falls back to RIPPLE_NODE
+  rippleNodes: (process.env.RIPPLE_NODES || process.env.RIPPLE_NODE || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean),
   platformEscrowAddress: process.env.PLATFORM_ESCROW_ADDRESS,
   platformTreasuryAddress: process.env.PLATFORM_TREASURY_ADDRESS,
   platformRepaymentAddress: process.env.PLATFORM_REPAYMENT_ADDRESS,
   platformEscrowSecret: process.env.PLATFORM_ESCROW_SECRET,
   platformTreasurySecret: process.env.PLATFORM_TREASURY_SECRET,
   platformRepaymentSecret: process.env.PLATFORM_REPAYMENT_SECRET,
+  // PENDING applications whose escrow payload is not signed within this window are expired
+  pendingLoanTtlMinutes: intFromEnv('PENDING_LOAN_TTL_MINUTES', 60),
+  defaultGracePeriodDays: intFromEnv('DEFAULT_GRACE_PERIOD_DAYS', 3),
+  // Days after the grace period during which the platform can still claim defaulted collateral.
+  // Collateral escrows become cancellable by the borrower (CancelAfter) once this window ends.
+  escrowClaimWindowDays: intFromEnv('ESCROW_CLAIM_WINDOW_DAYS', 7),
+  // Apply overpayments to the borrower's other open loans before refunding what is left
+  applyOverpaymentToOtherLoans: process.env.APPLY_OVERPAYMENT_TO_OTHER_LOANS !== 'false',
+  // Let scheduled reconciliation runs apply their safe fixes (requeue jobs, process missed payments)
+  reconciliationAutoFix: process.env.RECONCILIATION_AUTO_FIX === 'true',
+  // Ledger the first reconciliation run starts reading the platform account's history from.
+  // When unset it starts at the earliest ledger the database tracks anything in.
+  reconciliationStartLedger: parseInt(process.env.RECONCILIATION_START_LEDGER) || null,
+  // 32-byte hex key used to encrypt escrow fulfillments at rest
+  escrowFulfillmentKey: process.env.ESCROW_FULFILLMENT_KEY,
+  // Shared key for /api/admin endpoints (x-admin-key header); admin routes are closed when unset
+  adminApiKey: process.env.ADMIN_API_KEY,
 };
\ No newline at end of file
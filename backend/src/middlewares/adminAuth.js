@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Admin endpoints are called by operators and internal tooling, not borrowers,
+// so they use a shared key in the x-admin-key header instead of a wallet JWT
+module.exports = (req, res, next) => {
+  const provided = Buffer.from(req.headers['x-admin-key'] || '');
+  const expected = Buffer.from(config.adminApiKey || '');
+
+  if (expected.length === 0 || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Admin authentication failed' });
+  }
+
+  req.admin = { actor: 'admin' };
+  next();
+};
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One failed run, kept so the history survives later retries
+const jobFailureSchema = new mongoose.Schema({
+  attempt: Number,
+  message: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A unit of work with side effects (usually an XRPL transaction), run by jobQueue.
+// The idempotency key makes enqueueing the same action twice return the same job.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String, // VERIFY_ESCROW, DISBURSE_LOAN, RELEASE_COLLATERAL, CLAIM_COLLATERAL, REFUND_CREDIT, RETIRE_ESCROW
+    required: true,
+    index: true
+  },
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    index: true
+  },
+  // PENDING: waiting to run; RUNNING: claimed by a worker; FAILED: last run failed and
+  // will be retried at runAt; COMPLETED: done; DEAD: out of attempts, needs a person
+  status: {
+    type: String,
+    enum: ['PENDING', 'RUNNING', 'FAILED', 'COMPLETED', 'DEAD'],
+    default: 'PENDING',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  failures: [jobFailureSchema],
+  result: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+module.exports = mongoose.model('Job', jobSchema);
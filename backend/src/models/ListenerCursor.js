@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// How far a ledger stream listener has got through an account's transactions.
+// On restart or reconnect it replays account_tx from this ledger.
+const listenerCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  account: String,
+  // Highest ledger whose transactions have been handled
+  ledgerIndex: Number,
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('ListenerCursor', listenerCursorSchema);
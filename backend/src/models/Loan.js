@@ -1,4 +1,102 @@
 const mongoose = require('mongoose');
+const {
+  REPAYMENT_FREQUENCIES,
+  DEFAULT_REPAYMENT_FREQUENCY,
+  getInstallmentStatus
+} = require('../utils/loanSchedule');
+const { LOAN_STATUS } = require('../utils/loanStateMachine');
+
+const installmentSchema = new mongoose.Schema({
+  number: Number,
+  dueDate: Date,
+  principal: Number,
+  interest: Number,
+  amount: Number,
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  paidAt: Date,
+  settledEarly: {
+    type: Boolean,
+    default: false
+  }
+}, { id: false, toJSON: { virtuals: true } });
+
+// PAID, DUE or LATE, evaluated at read time
+installmentSchema.virtual('status').get(function () {
+  return getInstallmentStatus(this);
+});
+
+// AES-GCM encrypted escrow fulfillment (see utils/escrowCondition)
+const encryptedFulfillmentSchema = new mongoose.Schema({
+  ciphertext: String,
+  iv: String,
+  authTag: String
+}, { _id: false });
+
+// One request to push the due date out, backed by a replacement collateral escrow.
+// PENDING: EscrowCreate payload issued; ESCROWED: the new escrow is verified and the
+// loan moved to it, the old one is being finished; COMPLETED: the old escrow was
+// finished and its collateral returned; CANCELLED: payload replaced or abandoned;
+// EXPIRED: the loan was no longer eligible (e.g. past its due date) when the payload
+// was signed; a replacement escrow created anyway is finished and returned.
+const extensionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['PENDING', 'ESCROWED', 'COMPLETED', 'CANCELLED', 'EXPIRED']
+  },
+  days: Number,
+  fee: Number, // XRP, owed from confirmedAt
+  previousDueDate: Date,
+  newDueDate: Date,
+  payloadId: String,
+  // Replacement EscrowCreate, same shape as the loan's escrowTerms
+  escrowTerms: {
+    account: String,
+    destination: String,
+    amount: String,
+    condition: String,
+    cancelAfter: Number
+  },
+  escrowFulfillment: {
+    type: encryptedFulfillmentSchema,
+    select: false
+  },
+  escrowTxHash: String,
+  escrowSequence: Number,
+  escrowLedgerIndex: Number,
+  // The escrow this extension replaced, finished by the RETIRE_ESCROW job
+  // (for EXPIRED extensions the job finishes the extension's own escrow instead)
+  previousEscrow: {
+    txHash: String,
+    sequence: Number,
+    amount: Number, // XRP
+    fulfillment: {
+      type: encryptedFulfillmentSchema,
+      select: false
+    }
+  },
+  finishTxHash: String,
+  returnTxHash: String,
+  requestedAt: Date,
+  confirmedAt: Date,
+  completedAt: Date,
+  error: String
+});
+
+// One entry per status change, written by loanStateMachine.transition()
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  actor: String,
+  reason: String,
+  txHash: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const loanSchema = new mongoose.Schema({
   borrower: {
@@ -16,18 +114,73 @@ const loanSchema = new mongoose.Schema({
     required: true
   },
   interestRate: {
-    type: Number,
+    type: Number, // decimal APR (0.12 = 12%), copied from the risk tier
     required: true
   },
+  // Penalty terms from the risk tier at origination; see loanMath.calculatePayoff
+  lateFee: {
+    type: Number, // XRP, charged once when unpaid after dueDate
+    default: 0
+  },
+  penaltyApr: {
+    type: Number, // decimal APR added while past dueDate
+    default: 0
+  },
+  // Extension terms from the risk tier at origination; see extensions
+  extensionFee: {
+    type: Number, // XRP per extension
+    default: 0
+  },
+  maxExtensions: {
+    type: Number,
+    default: 0
+  },
+  maxExtensionDays: {
+    type: Number,
+    default: 0
+  },
   term: {
     type: Number, // in days
     required: true
   },
+  repaymentFrequency: {
+    type: String,
+    enum: Object.keys(REPAYMENT_FREQUENCIES),
+    default: DEFAULT_REPAYMENT_FREQUENCY
+  },
+  installments: [installmentSchema],
+  // Risk assessment applied at origination, kept for audit and reporting
+  riskCategory: {
+    type: String,
+    index: true
+  },
+  riskSnapshot: {
+    score: Number,
+    modelVersion: String,
+    policyVersion: Number,
+    tierName: String,
+    tier: {
+      maxScore: Number,
+      interestRate: Number,
+      collateralRatio: Number,
+      maxLoanTerm: Number,
+      maxLoanAmount: Number,
+      eligibleForUndercollateralized: Boolean,
+      lateFee: Number,
+      penaltyApr: Number,
+      extensionFee: Number,
+      maxExtensions: Number,
+      maxExtensionDays: Number
+    },
+    assessedAt: Date
+  },
   status: {
     type: String,
-    enum: ['PENDING', 'ACTIVE', 'REPAID', 'DEFAULTED'],
-    default: 'PENDING'
+    enum: Object.values(LOAN_STATUS),
+    default: LOAN_STATUS.PENDING,
+    index: true
   },
+  statusHistory: [statusHistorySchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -36,17 +189,114 @@ const loanSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  approvedAt: Date,
+  // When executeLoan claimed the loan (ACTIVATING); used to find activations a crash left behind
+  activationStartedAt: Date,
+  activationDate: Date,
+  repaidAt: Date,
+  rejectedAt: Date,
+  expiredAt: Date,
+  cancelledAt: Date,
+  // Set by reconciliation once a closed loan checks clean with nothing left to settle;
+  // later runs skip it until a new repayment clears it
+  reconciledAt: Date,
+  // DestinationTag borrowers put on payments to the platform address to identify this loan
+  destinationTag: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
   collateralTxHash: String,
+  collateralLedgerIndex: Number,
+  // EscrowCreate fields the borrower was asked to sign (amount in drops, times in Ripple time).
+  // finishAfter is only set on time-based escrows issued before conditions were used.
+  escrowTerms: {
+    account: String,
+    destination: String,
+    amount: String,
+    condition: String,
+    cancelAfter: Number,
+    finishAfter: Number
+  },
+  // Encrypted fulfillment for the escrow condition; never returned by default queries
+  escrowFulfillment: {
+    type: encryptedFulfillmentSchema,
+    select: false
+  },
+  escrowTxHash: String,
+  disbursementTxHash: String,
+  collateralReleased: {
+    type: Boolean,
+    default: false
+  },
+  collateralReleasedAt: Date,
+  collateralReleaseTxHash: String,
+  collateralReturnTxHash: String,
+  // Borrower's own EscrowCancel for collateral the platform never finished
+  collateralReclaim: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'RECLAIMED', 'FAILED']
+    },
+    payloadId: String,
+    escrowSequence: Number,
+    amount: Number,
+    txHash: String,
+    requestedAt: Date,
+    reclaimedAt: Date,
+    error: String
+  },
   escrowSequence: Number,
   escrowPayloadId: String,
+  escrowPayloadIssuedAt: Date,
   repaymentTxHash: String,
-  remainingBalance: Number,
   repayments: [{
     amount: Number,
-    txHash: String,
+    txHash: {
+      type: String,
+      index: true
+    },
     payloadId: {
       type: String,
     },
+    // XUMM when requested through the app, LEDGER when found by the ledger listener,
+    // CREDIT when paid from an overpayment on another loan
+    source: {
+      type: String,
+      enum: ['XUMM', 'LEDGER', 'CREDIT'],
+      default: 'XUMM'
+    },
+    payer: String,
+    ledgerIndex: Number,
+    // amount is what was credited: the delivered_amount from validated metadata.
+    // requestedAmount is what the borrower asked to pay, when it went through a request.
+    requestedAmount: Number,
+    deliveredAmount: Number,
+    partialPayment: {
+      type: Boolean,
+      default: false
+    },
+    amountMismatch: {
+      type: Boolean,
+      default: false
+    },
+    // Why the repayment was flagged or failed verification
+    verificationNote: String,
+    // Delivered beyond the payoff; recorded as an OverpaymentCredit and not counted in amount
+    overpayment: Number,
+    credit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OverpaymentCredit'
+    },
+    // Refund of the overpayment, if any was sent back
+    refundTxHash: String,
+    refundAmount: Number,
+    // For CREDIT repayments: the loan and transaction the credit came from
+    creditFromLoan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    sourceTxHash: String,
     timestamp: {
       type: Date,
       default: Date.now
@@ -54,7 +304,60 @@ const loanSchema = new mongoose.Schema({
     confirmed: {
       type: Boolean,
       default: false
+    },
+    confirmedAt: Date,
+    rejected: {
+      type: Boolean,
+      default: false
+    },
+    rejectedAt: Date
+  }],
+  // Side-effect jobs for this loan (disbursement, collateral release, claim, refunds),
+  // mirrored from the Job collection by jobQueue
+  jobs: [{
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    type: { type: String },
+    idempotencyKey: String,
+    status: String,
+    attempts: Number,
+    lastError: String,
+    updatedAt: Date,
+    _id: false
+  }],
+  // Due date extensions, oldest first
+  extensions: [extensionSchema],
+  defaultDetails: {
+    totalOwed: Number,
+    totalRepaid: Number,
+    remainingOwed: Number,
+    // Penalties included in remainingOwed
+    lateFee: Number,
+    penaltyInterest: Number,
+    collateralClaimed: Number,
+    // Repayments that arrived after the default, already taken off uncoveredLoss
+    recoveredAfterDefault: { type: Number, default: 0 },
+    uncoveredLoss: Number,
+    claimTxHash: String,
+    claimError: String,
+    defaultedAt: Date,
+    reason: String
+  }
+}, {
+  toJSON: {
+    // Escrow fulfillments must never leave the server, even when they were just set
+    transform: (doc, ret) => {
+      delete ret.escrowFulfillment;
+      (ret.extensions || []).forEach(extension => {
+        delete extension.escrowFulfillment;
+        if (extension.previousEscrow) {
+          delete extension.previousEscrow.fulfillment;
+        }
+      });
+      return ret;
     }
-  }]
+  }
 });
 module.exports = mongoose.model('Loan', loanSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// What the scan did (or would do, on a dry run) with one overdue loan
+const overdueScanResultSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  borrower: String,
+  dueDate: Date,
+  graceEndsAt: Date,
+  remainingOwed: Number,
+  collateralAmount: Number,
+  // WOULD_DEFAULT on dry runs; DEFAULTED or ERROR otherwise
+  action: {
+    type: String,
+    enum: ['WOULD_DEFAULT', 'DEFAULTED', 'ERROR']
+  },
+  claimTxHash: String,
+  claimError: String,
+  error: String
+}, { _id: false });
+
+// One run of the overdue-loan scanner
+const overdueScanReportSchema = new mongoose.Schema({
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  trigger: {
+    type: String, // cron, admin
+    default: 'cron'
+  },
+  actor: String,
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true
+  },
+  gracePeriodDays: Number,
+  // Loans due on or before this were past their grace period
+  cutoff: Date,
+  overdue: {
+    type: Number,
+    default: 0
+  },
+  defaulted: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: [overdueScanResultSchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  finishedAt: Date
+});
+
+module.exports = mongoose.model('OverdueScanReport', overdueScanReportSchema);
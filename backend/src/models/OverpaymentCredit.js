@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Where part of a credit went: another of the borrower's loans, or back to the payer
+const creditAllocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['LOAN', 'REFUND'],
+    required: true
+  },
+  amount: Number,
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  // Refund Payment hash, for REFUND allocations
+  txHash: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The part of a repayment that exceeded what the loan owed. It is applied to the
+// borrower's other open loans and whatever is left is refunded to the payer.
+const overpaymentCreditSchema = new mongoose.Schema({
+  borrower: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Repayment that overpaid
+  sourceLoan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  sourceTxHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payer: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  remaining: Number,
+  allocations: [creditAllocationSchema],
+  status: {
+    type: String,
+    enum: ['OPEN', 'REFUNDING', 'SETTLED', 'FAILED'],
+    default: 'OPEN',
+    index: true
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: Date
+});
+
+module.exports = mongoose.model('OverpaymentCredit', overpaymentCreditSchema);
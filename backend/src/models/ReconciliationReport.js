@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One place where the database and the ledger disagree
+const discrepancySchema = new mongoose.Schema({
+  // CRITICAL: money may be lost or counted wrongly; WARNING: needs action but
+  // nothing is lost yet; INFO: the database is behind the ledger
+  severity: {
+    type: String,
+    enum: ['CRITICAL', 'WARNING', 'INFO'],
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  message: String,
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  txHash: String,
+  details: mongoose.Schema.Types.Mixed,
+  // Safe automatic fix, if there is one. AVAILABLE when the run did not apply fixes.
+  fix: {
+    action: String,
+    status: {
+      type: String,
+      enum: ['AVAILABLE', 'APPLIED', 'FAILED']
+    },
+    result: String
+  }
+}, { _id: false });
+
+// One reconciliation run: loans checked against escrows and transactions, and the
+// platform account's history checked against what the database recorded
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String, // cron, admin
+    default: 'cron'
+  },
+  actor: String,
+  autoFix: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true
+  },
+  loansChecked: {
+    type: Number,
+    default: 0
+  },
+  transactionsChecked: {
+    type: Number,
+    default: 0
+  },
+  // Platform account history covered by this run
+  ledgerIndexMin: Number,
+  ledgerIndexMax: Number,
+  counts: {
+    CRITICAL: { type: Number, default: 0 },
+    WARNING: { type: Number, default: 0 },
+    INFO: { type: Number, default: 0 }
+  },
+  fixesApplied: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: [discrepancySchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  finishedAt: Date
+});
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
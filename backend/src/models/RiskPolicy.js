@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const riskTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Highest PCA score (inclusive) that falls into this tier; null for the last tier
+  maxScore: {
+    type: Number,
+    default: null
+  },
+  interestRate: {
+    type: Number, // APR as a decimal (0.12 = 12%)
+    required: true,
+    min: 0,
+    max: [1, 'interestRate is a decimal APR (0.12 for 12%)']
+  },
+  collateralRatio: {
+    type: Number,
+    required: true
+  },
+  maxLoanTerm: {
+    type: Number, // in days
+    required: true
+  },
+  maxLoanAmount: {
+    type: Number,
+    required: true
+  },
+  eligibleForUndercollateralized: {
+    type: Boolean,
+    default: true
+  },
+  // Charged once, in XRP, when a loan is still unpaid after its due date
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  // Extra APR (decimal) on the outstanding principal for every day past the due date
+  penaltyApr: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: [1, 'penaltyApr is a decimal APR (0.06 for 6%)']
+  },
+  // Charged in XRP, on top of the balance, each time the borrower extends the due date
+  extensionFee: {
+    type: Number,
+    default: 0
+  },
+  // How many extensions a loan may have; 0 means the tier cannot extend
+  maxExtensions: {
+    type: Number,
+    default: 0
+  },
+  // Longest single extension, in days
+  maxExtensionDays: {
+    type: Number,
+    default: 0
+  },
+  color: String
+}, { _id: false });
+
+const riskPolicySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  active: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  description: String,
+  // Built-in changes (riskPolicyService POLICY_UPGRADES) this version includes
+  upgrades: {
+    type: [String],
+    default: []
+  },
+  // Ordered from lowest to highest risk
+  tiers: [riskTierSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('RiskPolicy', riskPolicySchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Shared state of one scheduled task across backend instances. The lease fields
+// make sure only one instance runs the task at a time, and lastSlot that a cron
+// tick is only run once even when every instance fires it.
+const scheduledTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  schedule: String,
+  // Lease: the instance running the task and when its claim lapses
+  lockedBy: String,
+  lockedUntil: Date,
+  // Scheduled time (to the minute) of the last cron tick that was run
+  lastSlot: String,
+  lastRunAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['COMPLETED', 'FAILED']
+  },
+  lastDurationMs: Number,
+  lastError: String
+});
+
+module.exports = mongoose.model('ScheduledTask', scheduledTaskSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One run of a scheduled task, kept as its run history
+const scheduledTaskRunSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: true,
+    index: true
+  },
+  trigger: {
+    type: String, // cron, admin, startup
+    default: 'cron'
+  },
+  actor: String,
+  // Instance that ran it (host:pid)
+  instance: String,
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+    index: true
+  },
+  params: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  finishedAt: Date,
+  durationMs: Number
+});
+
+module.exports = mongoose.model('ScheduledTaskRun', scheduledTaskRunSchema);
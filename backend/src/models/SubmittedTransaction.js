@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One signed submission of the transaction. Resubmissions reuse the Sequence,
+// so at most one attempt can ever be applied to the ledger.
+const submissionAttemptSchema = new mongoose.Schema({
+  hash: String,
+  fee: String,
+  lastLedgerSequence: Number,
+  engineResult: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const submittedTransactionSchema = new mongoose.Schema({
+  // Hash of the latest attempt; the validated hash once the transaction is final
+  hash: {
+    type: String,
+    index: true
+  },
+  purpose: {
+    type: String, // DISBURSEMENT, ESCROW_FINISH, COLLATERAL_RETURN, ESCROW_CLAIM, REFUND, ...
+    required: true
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    index: true
+  },
+  // Caller-supplied key for one logical payment; a retry with the same key reuses
+  // the earlier outcome instead of sending a second transaction
+  idempotencyKey: {
+    type: String,
+    index: true
+  },
+  account: String,
+  transactionType: String,
+  sequence: Number,
+  attempts: [submissionAttemptSchema],
+  status: {
+    type: String,
+    enum: ['SUBMITTED', 'VALIDATED', 'FAILED', 'EXPIRED', 'UNKNOWN'],
+    default: 'SUBMITTED',
+    index: true
+  },
+  // Final result code from the validated ledger (tesSUCCESS, tec...)
+  resultCode: String,
+  ledgerIndex: Number,
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  finalizedAt: Date
+});
+
+module.exports = mongoose.model('SubmittedTransaction', submittedTransactionSchema);
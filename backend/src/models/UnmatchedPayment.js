@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A payment to the platform address that the ledger listener could not apply to a
+// loan. It waits here until an admin assigns it to a loan or dismisses it.
+const unmatchedPaymentSchema = new mongoose.Schema({
+  txHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  account: String, // Sender
+  destinationTag: Number,
+  memos: [{
+    type: { type: String },
+    format: String,
+    data: String,
+    _id: false
+  }],
+  // XRP actually delivered (meta.delivered_amount); unset for non-XRP payments
+  deliveredAmount: Number,
+  // Raw delivered_amount, kept for issued-currency payments
+  deliveredRaw: mongoose.Schema.Types.Mixed,
+  partialPayment: {
+    type: Boolean,
+    default: false
+  },
+  ledgerIndex: Number,
+  // Loan the memo or tag pointed at, if any
+  candidateLoan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPLIED', 'DISMISSED'],
+    default: 'PENDING',
+    index: true
+  },
+  resolvedLoan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  resolvedBy: String,
+  resolvedAt: Date,
+  note: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('UnmatchedPayment', unmatchedPaymentSchema);
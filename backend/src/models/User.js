@@ -10,6 +10,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  creditScoreModelVersion: {
+    type: String,
+    default: null
+  },
   lastScoreUpdate: {
     type: Date,
     default: null
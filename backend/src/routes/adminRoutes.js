@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middlewares/adminAuth');
+const paymentReviewService = require('../services/paymentReviewService');
+const jobQueue = require('../services/jobQueue');
+const loanService = require('../services/loanService');
+const scheduler = require('../services/scheduler');
+const reconciliationService = require('../services/reconciliationService');
+const { TASKS } = require('../services/scheduledTasks');
+const { check } = require('express-validator');
+const validate = require('../middlewares/validate');
+
+router.use(adminAuth);
+
+// Payments the ledger listener could not match to a loan
+router.get('/payments/review', async (req, res) => {
+  try {
+    const payments = await paymentReviewService.listPayments({ status: req.query.status });
+    res.json({ success: true, data: payments });
+  } catch (error) {
+    console.error('Error listing payments for review:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Credit a queued payment to a loan
+router.post('/payments/review/:id/apply', [
+  check('loanId', 'Loan ID is required').isMongoId(),
+  validate
+], async (req, res) => {
+  try {
+    const result = await paymentReviewService.applyPayment(req.params.id, req.body.loanId, {
+      actor: req.admin.actor,
+      note: req.body.note
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Close a queued payment without crediting it
+router.post('/payments/review/:id/dismiss', async (req, res) => {
+  try {
+    const payment = await paymentReviewService.dismissPayment(req.params.id, {
+      actor: req.admin.actor,
+      note: req.body.note
+    });
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Overpayment credits and their refunds
+router.get('/credits', async (req, res) => {
+  try {
+    const credits = await paymentReviewService.listCredits({ status: req.query.status });
+    res.json({ success: true, data: credits });
+  } catch (error) {
+    console.error('Error listing credits:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retry a credit whose refund failed
+router.post('/credits/:id/retry', async (req, res) => {
+  try {
+    const credit = await paymentReviewService.retryCredit(req.params.id);
+    res.json({ success: true, data: credit });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Queued on-chain side effects, with counts by status
+router.get('/jobs', async (req, res) => {
+  try {
+    const [jobs, counts] = await Promise.all([
+      jobQueue.list({
+        status: req.query.status,
+        type: req.query.type,
+        loanId: req.query.loanId,
+        limit: req.query.limit
+      }),
+      jobQueue.getCounts()
+    ]);
+    res.json({ success: true, data: { jobs, counts } });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Requeue a failed or dead-lettered job
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Run the overdue-loan scanner now; pass dryRun to only see what it would default
+router.post('/overdue/run', [
+  check('dryRun', 'dryRun must be a boolean').optional().isBoolean(),
+  validate
+], async (req, res) => {
+  try {
+    const run = await scheduler.run(TASKS.OVERDUE_LOANS, {
+      actor: req.admin.actor,
+      params: { dryRun: req.body.dryRun === true || req.body.dryRun === 'true' }
+    });
+    if (!run) {
+      return res.status(409).json({ success: false, message: 'The overdue scan is already running' });
+    }
+    if (run.status === 'FAILED') {
+      return res.status(500).json({ success: false, message: run.error });
+    }
+    const report = await loanService.getOverdueScanReport(run.result.reportId);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error running overdue scan:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Reports of past overdue scans
+router.get('/overdue/runs', async (req, res) => {
+  try {
+    const reports = await loanService.getOverdueScanReports({ limit: req.query.limit });
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error('Error listing overdue scans:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/overdue/runs/:id', async (req, res) => {
+  try {
+    const report = await loanService.getOverdueScanReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error fetching overdue scan:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Latest ledger reconciliation; ?severity=CRITICAL|WARNING|INFO narrows the discrepancies
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const report = await reconciliationService.getLatestReport();
+    if (!report) {
+      return res.json({ success: true, data: null });
+    }
+    const data = report.toObject();
+    if (req.query.severity) {
+      data.discrepancies = data.discrepancies.filter(d => d.severity === req.query.severity);
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/reconciliation/reports', async (req, res) => {
+  try {
+    const reports = await reconciliationService.listReports({ limit: req.query.limit });
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error('Error listing reconciliation reports:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/reconciliation/reports/:id', async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Reconcile now; autoFix applies the safe fixes
+router.post('/reconciliation/run', [
+  check('autoFix', 'autoFix must be a boolean').optional().isBoolean(),
+  validate
+], async (req, res) => {
+  try {
+    const run = await scheduler.run(TASKS.RECONCILIATION, {
+      actor: req.admin.actor,
+      params: { autoFix: req.body.autoFix === true || req.body.autoFix === 'true' }
+    });
+    if (!run) {
+      return res.status(409).json({ success: false, message: 'Reconciliation is already running' });
+    }
+    if (run.status === 'FAILED') {
+      return res.status(500).json({ success: false, message: run.error });
+    }
+    const report = await reconciliationService.getReport(run.result.reportId);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Scheduled tasks with their last run and lease
+router.get('/scheduler/tasks', async (req, res) => {
+  try {
+    const tasks = await scheduler.listTasks();
+    res.json({ success: true, data: tasks });
+  } catch (error) {
+    console.error('Error listing scheduled tasks:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Run history, optionally for one task
+router.get('/scheduler/runs', async (req, res) => {
+  try {
+    const runs = await scheduler.listRuns({
+      task: req.query.task,
+      status: req.query.status,
+      limit: req.query.limit
+    });
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('Error listing scheduled task runs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Run a task now; params the task declares are passed to its handler
+router.post('/scheduler/tasks/:name/run', async (req, res) => {
+  try {
+    if (!scheduler.hasTask(req.params.name)) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
+    let params;
+    try {
+      params = scheduler.parseParams(req.params.name, req.body?.params || {});
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const run = await scheduler.run(req.params.name, {
+      actor: req.admin.actor,
+      params
+    });
+    if (!run) {
+      return res.status(409).json({ success: false, message: 'Task is already running' });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    console.error('Error running scheduled task:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,33 @@ const router = express.Router();
 const auth = require('../middlewares/auth');
 const User = require('../models/User');
 const creditScoreClient = require('../services/creditScoreClient');
+const riskPolicyService = require('../services/riskPolicyService');
+
+// Get the active risk policy (optionally with the tier for a given score)
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await riskPolicyService.getActivePolicy();
+    const response = {
+      version: policy.version,
+      description: policy.description,
+      createdAt: policy.createdAt,
+      tiers: policy.tiers
+    };
+    
+    if (req.query.score !== undefined) {
+      const score = parseFloat(req.query.score);
+      if (isNaN(score)) {
+        return res.status(400).json({ message: 'Score must be a number' });
+      }
+      response.tier = riskPolicyService.findTier(policy, score);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching risk policy:', error);
+    res.status(500).json({ message: 'Failed to fetch risk policy' });
+  }
+});
 
 // Get credit score for a wallet address
 router.get('/credit-score', async (req, res) => {
@@ -26,6 +53,7 @@ router.get('/credit-score', async (req, res) => {
       
       // Update user's score in database
       user.creditScore = scoreData.score;
+      user.creditScoreModelVersion = scoreData.model_version || null;
       user.lastScoreUpdate = Date.now();
       await user.save();
       
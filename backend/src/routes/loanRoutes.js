@@ -4,34 +4,55 @@ const auth = require('../middlewares/auth');
 const loanService = require('../services/loanService');
 const { check } = require('express-validator');
 const validate = require('../middlewares/validate');
+const { REPAYMENT_FREQUENCIES } = require('../utils/loanSchedule');
+
+// Validation shared by loan applications and quotes
+const loanTermsValidation = [
+  check('amount', 'Amount is required').isNumeric(),
+  check('term', 'Term in days is required').isNumeric(),
+  check('collateralAmount', 'Collateral amount is required').isNumeric(),
+  check('repaymentFrequency', 'Repayment frequency must be WEEKLY, BIWEEKLY or MONTHLY')
+    .optional()
+    .isIn(Object.keys(REPAYMENT_FREQUENCIES)),
+  validate
+];
+
+// Preview loan terms without creating a loan
+router.post('/quote', [auth, ...loanTermsValidation], async (req, res) => {
+  try {
+    const { amount, term, collateralAmount, repaymentFrequency } = req.body;
+    
+    const quote = await loanService.getLoanQuote(
+      req.user.walletAddress,
+      amount,
+      term,
+      collateralAmount,
+      repaymentFrequency
+    );
+    
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
 
 // Apply for a loan
-router.post('/apply', [
-    auth,
-    check('amount', 'Amount is required').isNumeric(),
-    check('term', 'Term in days is required').isNumeric(),
-    check('collateralAmount', 'Collateral amount is required').isNumeric(),
-    validate
-  ], async (req, res) => {
+router.post('/apply', [auth, ...loanTermsValidation], async (req, res) => {
     try {
-      const { amount, term, collateralAmount } = req.body;
-      
-      // Ensure collateral is less than loan amount (undercollateralized check)
-      if (parseFloat(collateralAmount) >= parseFloat(amount)) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'For undercollateralized loans, collateral must be less than loan amount' 
-        });
-      }
+      const { amount, term, collateralAmount, repaymentFrequency } = req.body;
       
       const result = await loanService.createLoanApplication(
         req.user.walletAddress,
         amount,
         term,
-        collateralAmount
+        collateralAmount,
+        repaymentFrequency
       );
       
-      res.json({ success: true, data: result });
+      res.json({
+        success: true,
+        data: { ...result, loan: loanService.serializeLoan(result.loan) }
+      });
     } catch (error) {
       res.status(400).json({ success: false, message: error.message });
     }
@@ -48,13 +69,50 @@ router.post('/apply', [
       }
   
       const activatedLoan = await loanService.executeLoan(loanId, payloadId, walletAddress);
-      res.status(200).json({ success: true, data: activatedLoan });
+      // 202 while the escrow is verified and the loan disbursed in the job queue
+      res.status(activatedLoan.success ? 200 : 202).json({
+        success: activatedLoan.success,
+        message: activatedLoan.message,
+        data: { ...activatedLoan, loan: loanService.serializeLoan(activatedLoan.loan) }
+      });
     } catch (error) {
       console.error(`Error executing loan ${req.params.id}:`, error);
       res.status(500).json({ success: false, message: error.message });
     }
   });
 
+  /**
+   * Cancel a pending loan application
+   */
+  router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+      const loan = await loanService.cancelLoanApplication(req.params.id, req.user.walletAddress);
+      res.json({
+        success: true,
+        data: { loan: loanService.serializeLoan(loan) }
+      });
+    } catch (error) {
+      console.error(`Error cancelling loan ${req.params.id}:`, error);
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  /**
+   * Issue a fresh collateral escrow payload for a pending loan
+   */
+  router.post('/:id/escrow-payload', auth, async (req, res) => {
+    try {
+      const result = await loanService.reissueEscrowPayload(req.params.id, req.user.walletAddress);
+      res.json({
+        success: true,
+        data: { ...result, loan: loanService.serializeLoan(result.loan) }
+      });
+    } catch (error) {
+      console.error(`Error issuing escrow payload for loan ${req.params.id}:`, error);
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
   /**
    * Subscribe to loan signature events
    */
@@ -101,7 +159,14 @@ router.post('/apply', [
       if (result.success) {
         res.json({ 
           success: true, 
-          loan: result.loan 
+          loan: loanService.serializeLoan(result.loan)
+        });
+      } else if (result.loan) {
+        // Signed; the activation is finishing in the job queue
+        res.status(202).json({
+          success: false,
+          message: result.message,
+          loan: loanService.serializeLoan(result.loan)
         });
       } else {
         res.status(400).json({ 
@@ -124,7 +189,7 @@ router.get('/my-loans', auth, async (req, res) => {
   try {
     const walletAddress = req.user.walletAddress;
     const loans = await loanService.getBorrowerLoans(walletAddress);
-    res.status(200).json(loans);
+    res.status(200).json(loans.map(loan => loanService.serializeLoan(loan)));
   } catch (error) {
     console.error('Error fetching loans:', error);
     res.status(500).json({ error: 'Failed to fetch loans' });
@@ -145,13 +210,138 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to view this loan' });
     }
     
-    res.status(200).json(loan);
+    res.status(200).json(loanService.serializeLoan(loan));
   } catch (error) {
+    // getLoanById throws rather than returning null for an unknown loan
+    if (error.message === 'Loan not found') {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
     console.error('Error fetching loan details:', error);
     res.status(500).json({ error: 'Failed to fetch loan details' });
   }
 });
 
+// Get the live payoff quote for a loan (optionally at a given instant via ?at=)
+router.get('/:id/payoff', auth, async (req, res) => {
+  try {
+    const asOf = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date for payoff quote' });
+    }
+    
+    const loan = await loanService.getLoanById(req.params.id);
+    
+    if (loan.borrower !== req.user.walletAddress) {
+      return res.status(403).json({ error: 'Not authorized to view this loan' });
+    }
+    
+    res.status(200).json(loanService.getPayoffQuote(loan, asOf));
+  } catch (error) {
+    if (error.message === 'Loan not found') {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    console.error('Error fetching payoff quote:', error);
+    res.status(500).json({ error: 'Failed to fetch payoff quote' });
+  }
+});
+
+// Check whether the borrower can reclaim collateral from an escrow the platform never finished
+router.get('/:id/collateral-reclaim', auth, async (req, res) => {
+  try {
+    const status = await loanService.getCollateralReclaimStatus(req.params.id, req.user.walletAddress);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Error checking collateral reclaim:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Create an EscrowCancel payload for the borrower to sign
+router.post('/:id/collateral-reclaim', auth, async (req, res) => {
+  try {
+    const result = await loanService.createCollateralReclaimRequest(req.params.id, req.user.walletAddress);
+    res.json({
+      success: true,
+      data: { loan: loanService.serializeLoan(result.loan), payload: result.payload }
+    });
+  } catch (error) {
+    console.error('Error creating collateral reclaim request:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Verify the signed EscrowCancel and record the reclaim on the loan
+router.post('/:id/collateral-reclaim/verify', auth, async (req, res) => {
+  try {
+    const result = await loanService.verifyCollateralReclaim(req.params.id, req.user.walletAddress);
+    
+    if (result.success) {
+      res.json({ success: true, loan: loanService.serializeLoan(result.loan) });
+    } else if (result.pending) {
+      // Signed; the EscrowCancel has not reached a validated ledger yet
+      res.status(202).json({ success: false, pending: true, message: result.message });
+    } else {
+      res.status(400).json({ success: false, message: result.message });
+    }
+  } catch (error) {
+    console.error('Error verifying collateral reclaim:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Check whether the borrower can extend the loan's due date, and on what terms
+router.get('/:id/extend', auth, async (req, res) => {
+  try {
+    const status = await loanService.getExtensionStatus(req.params.id, req.user.walletAddress);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Error checking loan extension:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Request an extension: creates the replacement EscrowCreate payload for the borrower to sign
+router.post('/:id/extend', [
+  auth,
+  check('days', 'Number of days is required').isInt({ min: 1 }),
+  validate
+], async (req, res) => {
+  try {
+    const result = await loanService.requestExtension(req.params.id, req.user.walletAddress, req.body.days);
+    res.json({
+      success: true,
+      data: {
+        loan: loanService.serializeLoan(result.loan),
+        extension: result.extension,
+        payload: result.payload
+      }
+    });
+  } catch (error) {
+    console.error('Error requesting loan extension:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Verify the signed replacement escrow and apply the extension
+router.post('/:id/extend/verify', auth, async (req, res) => {
+  try {
+    const result = await loanService.verifyExtension(req.params.id, req.user.walletAddress);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        loan: loanService.serializeLoan(result.loan),
+        extension: result.extension
+      });
+    } else {
+      res.status(400).json({ success: false, message: result.message });
+    }
+  } catch (error) {
+    console.error('Error verifying loan extension:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Create a repayment request (generates XUMM payload)
 router.post('/:id/repay', [
   auth,
@@ -222,7 +412,7 @@ router.post('/:id/repayments/:repaymentId/verify', auth, async (req, res) => {
     if (result.success) {
       res.json({
         success: true,
-        loan: result.loan,
+        loan: loanService.serializeLoan(result.loan),
         txHash: result.txHash,
         isFullyRepaid: result.isFullyRepaid
       });
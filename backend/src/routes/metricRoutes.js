@@ -6,7 +6,7 @@ const authMiddleware = require('../middlewares/auth');
 // Get platform metrics
 router.get('/dashboard', async (req, res) => {
   try {
-    const metrics = await loanService.getMetrics();
+    const metrics = await loanService.getPlatformMetrics();
     res.status(200).json(metrics);
   } catch (error) {
     console.error('Error fetching metrics:', error);
@@ -2,13 +2,18 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const config = require('./config/config');
-const cron = require('node-cron');
+const scheduler = require('./services/scheduler');
+const { TASKS, registerScheduledTasks } = require('./services/scheduledTasks');
+const xrplConnectionManager = require('./services/xrplConnectionManager');
+const repaymentListener = require('./services/repaymentListener');
+const jobQueue = require('./services/jobQueue');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const loanRoutes = require('./routes/loanRoutes');
 const metricRoutes = require('./routes/metricRoutes');
 const creditRoutes = require('./routes/creditRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Initialize Express app
 const app = express();
@@ -22,32 +27,45 @@ app.use('/api/auth', authRoutes);
 app.use('/api/loans', loanRoutes);
 app.use('/api/metrics', metricRoutes);
 app.use('/api/credit', creditRoutes);
+app.use('/api/admin', adminRoutes);
 app.get('/api/test', (req, res) => {
     res.status(200).json({ message: 'API is working!' });
   });
 
+// Health check for load balancers and monitoring; 503 while the XRPL is unreachable
+app.get('/api/health', (req, res) => {
+  const xrplStatus = xrplConnectionManager.getStatus();
+  res.status(xrplStatus.connected ? 200 : 503).json({
+    status: xrplStatus.connected ? 'ok' : 'degraded',
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    xrpl: xrplStatus
+  });
+});
+
 mongoose.connect(config.mongoURI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Run queued disbursements, collateral releases and claims, and refunds
+    jobQueue.start();
+    // Pick up activations an earlier process was in the middle of
+    scheduler.run(TASKS.RECOVER_ACTIVATIONS, { trigger: 'startup' })
+      .catch(err => console.error('Activation recovery error:', err.message));
+    // Credit payments sent straight to the platform address
+    return repaymentListener.start()
+      .catch(err => console.error('Repayment listener error:', err.message));
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Open the shared XRPL connection up front; it keeps itself alive from here on
+xrplConnectionManager.getClient()
+  .catch(err => console.error('XRPL connection error:', err.message));
+
 // For hackathon MVP, skipping the DB connection and just run the server
 app.listen(config.port, () => {
   console.log(`Server running on port ${config.port}`);
 });
 
-cron.schedule('0 0 * * *', async () => {
-  console.log('[CRON] Starting daily check for overdue loans');
-  try {
-    const processedLoans = await loanService.checkForOverdueLoans();
-    console.log(`[CRON] Processed ${processedLoans.length} overdue loans`);
-    
-    // Log details of processed loans
-    if (processedLoans.length > 0) {
-      processedLoans.forEach(loan => {
-        console.log(`[CRON] Loan ${loan._id} for borrower ${loan.borrower} marked as defaulted at ${loan.defaultDetails.defaultedAt}`);
-      });
-    }
-  } catch (error) {
-    console.error('[CRON] Error in daily overdue loan check:', error);
-  }
-});
\ No newline at end of file
+// Periodic tasks (overdue defaults, pending-loan expiry, activation recovery, reconciliation).
+// Each run takes a lease in MongoDB, so only one backend instance runs it.
+registerScheduledTasks();
+scheduler.start();
@@ -0,0 +1,336 @@
+const os = require('os');
+const Job = require('../models/Job');
+const Loan = require('../models/Loan');
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const INITIAL_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A RUNNING job not finished within this window is assumed lost (e.g. the process died).
+// Longer than the submitter can spend on one transaction with all its resubmissions.
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * MongoDB-backed queue for work with side effects.
+ * Handlers are registered per job type. Jobs are claimed atomically, so a job runs
+ * in one place at a time, and failed runs are retried with exponential backoff
+ * until maxAttempts, after which the job is dead-lettered (DEAD) for a person to look at.
+ * Handlers must be safe to run again after a partial failure; XRPL handlers get
+ * this by passing idempotency keys to the transaction submitter.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.draining = null;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   * @param {object} [options]
+   * @param {Function} [options.onDead] - async (job) called once when the job is dead-lettered
+   */
+  register(type, handler, { onDead } = {}) {
+    this.handlers[type] = { handler, onDead };
+  }
+
+  /**
+   * Add a job, or return the existing one with the same idempotency key
+   * @param {string} type - Job type
+   * @param {object} payload - Handler input
+   * @param {object} options
+   * @param {string} options.idempotencyKey - Identifies the action; enqueueing it again is a no-op
+   * @param {string} [options.loanId] - Loan the job acts on; its jobs list is kept in sync
+   * @param {number} [options.maxAttempts=5] - Runs allowed before dead-lettering
+   * @param {Date} [options.runAt=new Date()] - Earliest time to run
+   * @returns {Promise<object>} The job
+   */
+  async enqueue(type, payload, { idempotencyKey, loanId, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() }) {
+    if (!this.handlers[type]) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    const job = await Job.findOneAndUpdate(
+      { idempotencyKey },
+      {
+        $setOnInsert: {
+          type,
+          idempotencyKey,
+          payload,
+          loan: loanId,
+          maxAttempts,
+          runAt,
+          status: 'PENDING'
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (job.loan) {
+      await Loan.updateOne(
+        { _id: job.loan, 'jobs.job': { $ne: job._id } },
+        { $push: { jobs: this.loanEntry(job) } }
+      );
+    }
+
+    console.log(`[JOBS] Enqueued ${type} ${idempotencyKey} (${job.status})`);
+    return job;
+  }
+
+  /**
+   * Run one job now if it is waiting, instead of leaving it to the poller.
+   * Does nothing if another worker already has it or it is finished.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} The job after the run (or as it was)
+   */
+  async runNow(jobId) {
+    const job = await this.claim({ _id: jobId, status: { $in: ['PENDING', 'FAILED'] } });
+    if (!job) {
+      return Job.findById(jobId);
+    }
+    return this.run(job);
+  }
+
+  /**
+   * Process due jobs in the background without waiting for the next poll
+   */
+  kick() {
+    this.drain().catch(error => {
+      console.error('[JOBS] Error processing jobs:', error);
+    });
+  }
+
+  /**
+   * Run due jobs one after another until none are left
+   * @returns {Promise<number>} Number of jobs run
+   */
+  async drain() {
+    if (this.draining) {
+      return this.draining;
+    }
+
+    this.draining = (async () => {
+      let processed = 0;
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.run(job);
+        processed++;
+      }
+      return processed;
+    })().finally(() => {
+      this.draining = null;
+    });
+
+    return this.draining;
+  }
+
+  /**
+   * Claim the next due job, including RUNNING jobs whose lock has expired
+   * @returns {Promise<object|null>} Claimed job, or null if nothing is due
+   */
+  async claimNext() {
+    const now = new Date();
+    return this.claim({
+      $or: [
+        { status: { $in: ['PENDING', 'FAILED'] }, runAt: { $lte: now } },
+        { status: 'RUNNING', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    });
+  }
+
+  /**
+   * Atomically mark a matching job as RUNNING by this worker
+   * @param {object} filter - Job query
+   * @returns {Promise<object|null>} Claimed job
+   */
+  async claim(filter) {
+    return Job.findOneAndUpdate(
+      filter,
+      {
+        $set: { status: 'RUNNING', lockedAt: new Date(), lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome. The outcome is only written while this
+   * worker still holds the lock; a job whose lock expired and was claimed again
+   * belongs to the new run.
+   * @param {object} job - Job claimed by this worker
+   * @returns {Promise<object>} Updated job
+   */
+  async run(job) {
+    const registration = this.handlers[job.type];
+    const update = { $unset: { lockedAt: '', lockedBy: '' } };
+
+    try {
+      if (!registration) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      const result = await registration.handler(job.payload, job);
+
+      update.$set = { status: 'COMPLETED', result, completedAt: new Date() };
+      update.$unset.lastError = '';
+      console.log(`[JOBS] ${job.type} ${job.idempotencyKey} completed`);
+    } catch (error) {
+      update.$set = { lastError: error.message };
+      update.$push = { failures: { attempt: job.attempts, message: error.message } };
+
+      if (job.attempts >= job.maxAttempts) {
+        update.$set.status = 'DEAD';
+        console.error(`[JOBS] ${job.type} ${job.idempotencyKey} dead after ${job.attempts} attempts: ${error.message}`);
+      } else {
+        const delay = Math.min(INITIAL_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+        update.$set.status = 'FAILED';
+        update.$set.runAt = new Date(Date.now() + delay);
+        console.warn(`[JOBS] ${job.type} ${job.idempotencyKey} attempt ${job.attempts} failed, retrying in ${delay / 1000}s: ${error.message}`);
+      }
+    }
+
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: this.workerId, lockedAt: job.lockedAt },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      console.warn(`[JOBS] ${job.type} ${job.idempotencyKey} lost its lock while running; outcome not recorded`);
+      return Job.findById(job._id);
+    }
+    await this.syncLoan(updated);
+
+    if (updated.status === 'DEAD' && registration?.onDead) {
+      try {
+        await registration.onDead(updated);
+      } catch (error) {
+        console.error(`[JOBS] onDead handler for ${updated.idempotencyKey} failed:`, error);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Put a dead (or failed) job back in the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Updated job
+   */
+  async retry(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['DEAD', 'FAILED'] } },
+      { $set: { status: 'PENDING', runAt: new Date(), attempts: 0 } },
+      { new: true }
+    );
+    if (!job) {
+      throw new Error('Only failed or dead jobs can be retried');
+    }
+
+    await this.syncLoan(job);
+    this.kick();
+    return job;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.status] - Job status
+   * @param {string} [filter.type] - Job type
+   * @param {string} [filter.loanId] - Loan ID
+   * @param {number} [filter.limit=100] - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs
+   */
+  async list({ status, type, loanId, limit = 100 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (loanId) query.loan = loanId;
+
+    return Job.find(query).sort({ createdAt: -1 }).limit(Math.min(parseInt(limit) || 100, 500));
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} Job
+   */
+  async get(jobId) {
+    return Job.findById(jobId);
+  }
+
+  /**
+   * Get a job by its idempotency key
+   * @param {string} idempotencyKey - Job key
+   * @returns {Promise<object|null>} Job
+   */
+  async getByKey(idempotencyKey) {
+    return Job.findOne({ idempotencyKey });
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Promise<object>} { PENDING: n, RUNNING: n, ... }
+   */
+  async getCounts() {
+    const rows = await Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    return rows.reduce((counts, row) => ({ ...counts, [row._id]: row.count }), {});
+  }
+
+  /**
+   * Loan.jobs entry for a job
+   * @param {object} job - Job document
+   * @returns {object} Summary stored on the loan
+   */
+  loanEntry(job) {
+    return {
+      job: job._id,
+      type: job.type,
+      idempotencyKey: job.idempotencyKey,
+      status: job.status,
+      attempts: job.attempts,
+      lastError: job.lastError,
+      updatedAt: new Date()
+    };
+  }
+
+  /**
+   * Copy a job's state onto its loan
+   * @param {object} job - Job document
+   */
+  async syncLoan(job) {
+    if (!job.loan) {
+      return;
+    }
+    await Loan.updateOne(
+      { _id: job.loan, 'jobs.job': job._id },
+      { $set: { 'jobs.$': this.loanEntry(job) } }
+    );
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {number} [intervalMs=5000] - Poll interval
+   */
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.kick(), intervalMs);
+    this.kick();
+    console.log(`[JOBS] Worker ${this.workerId} started`);
+  }
+
+  /**
+   * Stop polling. A job already running is allowed to finish.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new JobQueue();
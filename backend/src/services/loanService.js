@@ -1,8 +1,68 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const xrpl = require('xrpl');
 const Loan = require('../models/Loan');
 const User = require('../models/User');
+const OverpaymentCredit = require('../models/OverpaymentCredit');
+const UnmatchedPayment = require('../models/UnmatchedPayment');
+const OverdueScanReport = require('../models/OverdueScanReport');
 const xrplService = require('./xrplService');
+const jobQueue = require('./jobQueue');
 const creditScoreClient = require('./creditScoreClient');
+const riskPolicyService = require('./riskPolicyService');
 const XummSubscriptionHandler = require('./xummSubscriptionHandler');
+const {
+  DEFAULT_REPAYMENT_FREQUENCY,
+  roundXrp,
+  generateInstallmentSchedule,
+  applyPaymentToInstallments,
+  settleRemainingInstallments,
+  getScheduleTotal
+} = require('../utils/loanSchedule');
+const {
+  calculatePayoff,
+  calculateCollateralRatio,
+  calculateMinimumCollateral,
+  summarizeLoan
+} = require('../utils/loanMath');
+const {
+  LOAN_STATUS,
+  OPEN_STATUSES,
+  isOpen,
+  assertTransition,
+  transition,
+  transitionUpdate
+} = require('../utils/loanStateMachine');
+const {
+  createPreimageCondition,
+  encryptFulfillment,
+  decryptFulfillment
+} = require('../utils/escrowCondition');
+
+// Seconds between the Unix epoch and the Ripple epoch (2000-01-01)
+const RIPPLE_EPOCH_OFFSET = 946684800;
+// Destination tags are unsigned 32-bit integers; 0 is avoided as wallets treat it as "no tag"
+const MAX_DESTINATION_TAG = 0xffffffff;
+const DESTINATION_TAG_ATTEMPTS = 10;
+// An activation claim older than this with nothing queued was left behind by a crash
+const ACTIVATION_STALL_MINUTES = 10;
+// Activations tried for one signed escrow payload before the application is expired instead
+const MAX_ACTIVATION_ATTEMPTS = 3;
+// Time an activation may take after its escrow payload is issued. The due date is
+// re-anchored on activation, so the escrow's CancelAfter covers a due date this much later.
+const ACTIVATION_WINDOW_HOURS = 24;
+// Times a repayment is re-priced when the loan changes underneath it
+const REPAYMENT_APPLY_ATTEMPTS = 5;
+
+// On-chain side effects run as jobs of these types
+const JOB_TYPES = {
+  VERIFY_ESCROW: 'VERIFY_ESCROW',
+  DISBURSE_LOAN: 'DISBURSE_LOAN',
+  RELEASE_COLLATERAL: 'RELEASE_COLLATERAL',
+  CLAIM_COLLATERAL: 'CLAIM_COLLATERAL',
+  REFUND_CREDIT: 'REFUND_CREDIT',
+  RETIRE_ESCROW: 'RETIRE_ESCROW'
+};
 
 class LoanService {
   constructor() {
@@ -10,60 +70,175 @@ class LoanService {
       process.env.XUMM_API_KEY, 
       process.env.XUMM_API_SECRET
     );
+    this.registerJobs();
+  }
+
+  /**
+   * Register the handlers for the loan side effects run through the job queue.
+   * Each job's idempotency key is also used for its XRPL submissions, so a
+   * retried job picks up the transaction an earlier run sent instead of paying twice.
+   */
+  registerJobs() {
+    jobQueue.register(JOB_TYPES.VERIFY_ESCROW, payload => this.runEscrowVerification(payload), {
+      onDead: job => this.releaseActivationClaim(
+        job.payload.loanId,
+        `Collateral escrow could not be verified: ${job.lastError}`
+      )
+    });
+    jobQueue.register(JOB_TYPES.DISBURSE_LOAN, payload => this.runDisbursement(payload));
+    jobQueue.register(JOB_TYPES.RELEASE_COLLATERAL, payload => this.runCollateralRelease(payload));
+    jobQueue.register(JOB_TYPES.CLAIM_COLLATERAL, payload => this.runCollateralClaim(payload), {
+      onDead: job => Loan.updateOne(
+        { _id: job.loan },
+        { $set: { 'defaultDetails.claimError': job.lastError } }
+      )
+    });
+    jobQueue.register(JOB_TYPES.REFUND_CREDIT, payload => this.runCreditRefund(payload), {
+      onDead: job => OverpaymentCredit.updateOne(
+        { _id: job.payload.creditId },
+        { $set: { status: 'FAILED', error: job.lastError } }
+      )
+    });
+    jobQueue.register(JOB_TYPES.RETIRE_ESCROW, payload => this.runEscrowRetirement(payload), {
+      onDead: job => Loan.updateOne(
+        { _id: job.loan, 'extensions._id': job.payload.extensionId },
+        { $set: { 'extensions.$.error': job.lastError } }
+      )
+    });
   }
   /**
    * Calculate risk category based on PCA risk score
    * @param {number} pcaScore - The PCA risk score (0-100)
-   * @returns {object} Risk category and appropriate loan terms
+   * @returns {Promise<object>} Risk category and appropriate loan terms from the active risk policy
    */
-  calculateRiskCategory(pcaScore) {
-    // Risk categories based on provided PCA data
-    // Note: For undercollateralized lending, we use much stricter criteria
-    if (pcaScore <= 36.2) { // Very Low Risk mean
-      return {
-        category: 'Very Low Risk',
-        interestRate: 0.12, // 12% - higher than traditional lending due to undercollateralization
-        collateralRatio: 0.60, // Only 60% of loan needs to be collateralized
-        maxLoanTerm: 90, // days
-        maxLoanAmount: 1000, // More conservative amounts due to undercollateralization
-        eligibleForUndercollateralized: true
-      };
-    } else if (pcaScore <= 44.5) { // Low Risk mean
-      return {
-        category: 'Low Risk',
-        interestRate: 0.18, // 18%
-        collateralRatio: 0.70, // 70% collateral required
-        maxLoanTerm: 60, // days
-        maxLoanAmount: 750,
-        eligibleForUndercollateralized: true
-      };
-    } else if (pcaScore <= 56.5) { // Medium Risk mean
-      return {
-        category: 'Medium Risk',
-        interestRate: 0.25, // 25%
-        collateralRatio: 0.80, // 80% collateral required
-        maxLoanTerm: 45, // days
-        maxLoanAmount: 500,
-        eligibleForUndercollateralized: true
-      };
-    } else if (pcaScore <= 80) { // High Risk mean
-      return {
-        category: 'High Risk',
-        interestRate: 0.35, // 35%
-        collateralRatio: 0.90, // 90% collateral required (almost fully collateralized)
-        maxLoanTerm: 30, // days
-        maxLoanAmount: 300,
-        eligibleForUndercollateralized: true
-      };
-    } else {
+  async calculateRiskCategory(pcaScore) {
+    return await riskPolicyService.getTermsForScore(pcaScore);
+  }
+
+  /**
+   * Run the eligibility and risk checks for a prospective loan.
+   * Nothing is written to the database.
+   * @param {string} borrowerWalletAddress - Borrower's XRP wallet address
+   * @param {number} amount - Requested loan amount
+   * @param {number} term - Loan term in days
+   * @param {number} collateralAmount - Proposed collateral amount (less than loan amount)
+   * @param {string} [repaymentFrequency='MONTHLY'] - Installment frequency (WEEKLY, BIWEEKLY or MONTHLY)
+   * @returns {Promise<object>} Credit score, risk profile, schedule and key dates
+   */
+  async assessLoanTerms(borrowerWalletAddress, amount, term, collateralAmount, repaymentFrequency = DEFAULT_REPAYMENT_FREQUENCY) {
+    amount = parseFloat(amount);
+    term = parseInt(term);
+    collateralAmount = parseFloat(collateralAmount);
+
+    // Get credit score - CRITICAL for undercollateralized lending
+    const user = await User.findOne({ walletAddress: borrowerWalletAddress });
+    let creditScore = user?.creditScore;
+    let modelVersion = user?.creditScoreModelVersion || null;
+    if (!creditScore || creditScore === 0) {
+      const scoreData = await creditScoreClient.getCreditScore(borrowerWalletAddress);
+      creditScore = scoreData.risk_score;
+      modelVersion = scoreData.model_version || null;
+    }
+    
+    // Determine risk category and loan terms
+    const riskProfile = await this.calculateRiskCategory(creditScore);
+    
+    // Check if borrower is eligible for undercollateralized lending
+    if (!riskProfile.eligibleForUndercollateralized) {
+      throw new Error(`Your risk profile (${riskProfile.category}) does not qualify for undercollateralized lending.`);
+    }
+    
+    // Validate loan parameters
+    if (amount > riskProfile.maxLoanAmount) {
+      throw new Error(`Loan amount exceeds maximum for your risk profile (${riskProfile.maxLoanAmount} XRP)`);
+    }
+    
+    if (term > riskProfile.maxLoanTerm) {
+      throw new Error(`Loan term exceeds maximum for your risk profile (${riskProfile.maxLoanTerm} days)`);
+    }
+    
+    // Calculate minimum required collateral (which is less than the loan amount)
+    const minRequiredCollateral = calculateMinimumCollateral(amount, riskProfile.collateralRatio);
+    
+    // For undercollateralized loans, we ensure:
+    // 1. Collateral is less than loan amount (that's the point of undercollateralized)
+    // 2. Collateral meets minimum requirement based on risk profile
+    if (collateralAmount >= amount) {
+      throw new Error(`For undercollateralized loans, collateral (${collateralAmount} XRP) must be less than loan amount (${amount} XRP)`);
+    }
+    
+    if (collateralAmount < minRequiredCollateral) {
+      throw new Error(`Insufficient collateral. Minimum required for your risk profile: ${minRequiredCollateral} XRP (${riskProfile.collateralRatio * 100}% of loan amount)`);
+    }
+
+    const applicationDate = new Date();
+    const dueDate = new Date(applicationDate);
+    dueDate.setDate(applicationDate.getDate() + term);
+
+    // Build the amortized installment schedule for the loan
+    const installments = generateInstallmentSchedule({
+      principal: amount,
+      annualRate: riskProfile.interestRate,
+      termDays: term,
+      frequency: repaymentFrequency,
+      startDate: applicationDate
+    });
+
+    return {
+      creditScore,
+      modelVersion,
+      riskProfile,
+      minRequiredCollateral,
+      installments,
+      applicationDate,
+      dueDate
+    };
+  }
+
+  /**
+   * Preview binding loan terms without creating a loan or an escrow payload
+   * @param {string} borrowerWalletAddress - Borrower's XRP wallet address
+   * @param {number} amount - Requested loan amount
+   * @param {number} term - Loan term in days
+   * @param {number} collateralAmount - Proposed collateral amount
+   * @param {string} [repaymentFrequency='MONTHLY'] - Installment frequency
+   * @returns {Promise<object>} Quoted rate, collateral, totals and schedule
+   */
+  async getLoanQuote(borrowerWalletAddress, amount, term, collateralAmount, repaymentFrequency = DEFAULT_REPAYMENT_FREQUENCY) {
+    try {
+      const {
+        riskProfile,
+        minRequiredCollateral,
+        installments,
+        dueDate
+      } = await this.assessLoanTerms(borrowerWalletAddress, amount, term, collateralAmount, repaymentFrequency);
+
+      const principal = parseFloat(amount);
+      const totalRepayment = getScheduleTotal(installments);
+
       return {
-        category: 'Very High Risk',
-        interestRate: 0, // Not eligible for undercollateralized loans
-        collateralRatio: 1.5, // Would require overcollateralization (not offering this product)
-        maxLoanTerm: 0, // Not eligible
-        maxLoanAmount: 0, // Not eligible
-        eligibleForUndercollateralized: false
+        riskCategory: riskProfile.category,
+        amount: principal,
+        collateralAmount: parseFloat(collateralAmount),
+        term: parseInt(term),
+        repaymentFrequency,
+        interestRate: riskProfile.interestRate,
+        apr: riskProfile.interestRate,
+        collateralRatio: riskProfile.collateralRatio,
+        lateFee: riskProfile.lateFee,
+        penaltyApr: riskProfile.penaltyApr,
+        extensionFee: riskProfile.extensionFee,
+        maxExtensions: riskProfile.maxExtensions,
+        maxExtensionDays: riskProfile.maxExtensionDays,
+        minimumCollateral: minRequiredCollateral,
+        totalInterest: roundXrp(totalRepayment - principal),
+        totalRepayment,
+        dueDate,
+        schedule: installments
       };
+    } catch (error) {
+      console.error('Error quoting loan terms:', error);
+      throw error;
     }
   }
 
@@ -73,59 +248,31 @@ class LoanService {
    * @param {number} amount - Requested loan amount
    * @param {number} term - Loan term in days
    * @param {number} collateralAmount - Proposed collateral amount (less than loan amount)
+   * @param {string} [repaymentFrequency='MONTHLY'] - Installment frequency (WEEKLY, BIWEEKLY or MONTHLY)
    * @returns {Promise<object>} Created loan object with risk assessment
    */
-  async createLoanApplication(borrowerWalletAddress, amount, term, collateralAmount) {
+  async createLoanApplication(borrowerWalletAddress, amount, term, collateralAmount, repaymentFrequency = DEFAULT_REPAYMENT_FREQUENCY) {
     try {
-      // Get or create user
+      const {
+        creditScore,
+        modelVersion,
+        riskProfile,
+        installments,
+        applicationDate,
+        dueDate
+      } = await this.assessLoanTerms(borrowerWalletAddress, amount, term, collateralAmount, repaymentFrequency);
+
+      // Get or create user, caching the score used for this application
       let user = await User.findOne({ walletAddress: borrowerWalletAddress });
       if (!user) {
         user = new User({ walletAddress: borrowerWalletAddress });
-        await user.save();
-      }
-
-      // Get credit score - CRITICAL for undercollateralized lending
-      let creditScore = user.creditScore;
-      if (!creditScore || creditScore === 0) {
-        creditScore = await creditScoreClient.getCreditScore(borrowerWalletAddress);
-        user.creditScore = creditScore.risk_score;
-        await user.save();
-      };
-      
-      // Determine risk category and loan terms
-      const riskProfile = this.calculateRiskCategory(creditScore);
-      
-      // Check if borrower is eligible for undercollateralized lending
-      if (!riskProfile.eligibleForUndercollateralized) {
-        throw new Error(`Your risk profile (${riskProfile.category}) does not qualify for undercollateralized lending.`);
-      }
-      
-      // Validate loan parameters
-      if (amount > riskProfile.maxLoanAmount) {
-        throw new Error(`Loan amount exceeds maximum for your risk profile (${riskProfile.maxLoanAmount} XRP)`);
-      }
-      
-      if (term > riskProfile.maxLoanTerm) {
-        throw new Error(`Loan term exceeds maximum for your risk profile (${riskProfile.maxLoanTerm} days)`);
-      }
-      
-      // Calculate minimum required collateral (which is less than the loan amount)
-      const minRequiredCollateral = amount * riskProfile.collateralRatio;
-      
-      // For undercollateralized loans, we ensure:
-      // 1. Collateral is less than loan amount (that's the point of undercollateralized)
-      // 2. Collateral meets minimum requirement based on risk profile
-      if (collateralAmount > amount) {
-        throw new Error(`For undercollateralized loans, collateral (${collateralAmount} XRP) must be less than loan amount (${amount} XRP)`);
       }
-      
-      if (collateralAmount < minRequiredCollateral) {
-        throw new Error(`Insufficient collateral. Minimum required for your risk profile: ${minRequiredCollateral} XRP (${riskProfile.collateralRatio * 100}% of loan amount)`);
+      if (user.creditScore !== creditScore) {
+        user.creditScore = creditScore;
+        user.creditScoreModelVersion = modelVersion;
+        user.lastScoreUpdate = Date.now();
       }
-
-      const applicationDate = new Date();
-      const dueDate = new Date(applicationDate);
-      dueDate.setDate(applicationDate.getDate() + parseInt(term))
+      await user.save();
 
       // Create loan in PENDING status
       const newLoan = new Loan({
@@ -133,23 +280,51 @@ class LoanService {
         amount,
         collateralAmount,
         interestRate: riskProfile.interestRate,
+        lateFee: riskProfile.lateFee,
+        penaltyApr: riskProfile.penaltyApr,
+        extensionFee: riskProfile.extensionFee,
+        maxExtensions: riskProfile.maxExtensions,
+        maxExtensionDays: riskProfile.maxExtensionDays,
         term,
-        status: 'PENDING',
+        repaymentFrequency,
+        installments,
+        riskCategory: riskProfile.category,
+        riskSnapshot: {
+          score: creditScore,
+          modelVersion,
+          policyVersion: riskProfile.policyVersion,
+          tierName: riskProfile.category,
+          tier: {
+            maxScore: riskProfile.maxScore,
+            interestRate: riskProfile.interestRate,
+            collateralRatio: riskProfile.collateralRatio,
+            maxLoanTerm: riskProfile.maxLoanTerm,
+            maxLoanAmount: riskProfile.maxLoanAmount,
+            eligibleForUndercollateralized: riskProfile.eligibleForUndercollateralized,
+            lateFee: riskProfile.lateFee,
+            penaltyApr: riskProfile.penaltyApr,
+            extensionFee: riskProfile.extensionFee,
+            maxExtensions: riskProfile.maxExtensions,
+            maxExtensionDays: riskProfile.maxExtensionDays
+          },
+          assessedAt: applicationDate
+        },
+        status: LOAN_STATUS.PENDING,
+        statusHistory: [{
+          from: null,
+          to: LOAN_STATUS.PENDING,
+          actor: borrowerWalletAddress,
+          reason: 'Loan application submitted',
+          at: applicationDate
+        }],
         createdAt: applicationDate,
-        dueDate: dueDate
+        dueDate: dueDate,
+        destinationTag: await this.generateDestinationTag()
       });
 
       await newLoan.save();
       
-      const xrplService = require('./xrplService');
-      const escrowPayload = await xrplService.createCollateralEscrowPayload(
-        borrowerWalletAddress,
-        newLoan.collateralAmount,
-        newLoan.term
-      );
-      
-      newLoan.escrowPayloadId = escrowPayload.uuid;
-      await newLoan.save();
+      const escrowPayload = await this.issueEscrowPayload(newLoan);
       return { loan: newLoan, escrowPayload };
     } catch (error) {
       console.error('Error creating undercollateralized loan application:', error);
@@ -158,422 +333,2143 @@ class LoanService {
   }
 
   /**
-   * Subscribe to loan payload signature events
-   * @param {string} loanId - The loan ID to subscribe to
-   * @returns {Promise<Object>} Subscription result
+   * Pick a random destination tag no other loan uses
+   * @returns {Promise<number>} Unused destination tag
    */
-  async subscribeToLoanSignature(loanId) {
+  async generateDestinationTag() {
+    for (let attempt = 0; attempt < DESTINATION_TAG_ATTEMPTS; attempt++) {
+      const tag = crypto.randomInt(1, MAX_DESTINATION_TAG);
+      if (!(await Loan.exists({ destinationTag: tag }))) {
+        return tag;
+      }
+    }
+    throw new Error('Could not allocate a unique destination tag');
+  }
+
+  /**
+   * Assign a destination tag to a loan created before tags existed
+   * @param {object} loan - Loan document
+   * @returns {Promise<number>} The loan's destination tag
+   */
+  async ensureDestinationTag(loan) {
+    if (!loan.destinationTag) {
+      loan.destinationTag = await this.generateDestinationTag();
+      await loan.save();
+    }
+    return loan.destinationTag;
+  }
+
+  /**
+   * Create a collateral EscrowCreate payload for a loan and record it as current.
+   * Each payload gets a fresh crypto-condition; its fulfillment is stored encrypted
+   * on the loan so the platform can finish the escrow on repayment or default.
+   * @param {object} loan - PENDING loan document
+   * @returns {Promise<object>} XUMM payload
+   */
+  async issueEscrowPayload(loan) {
+    const { condition, fulfillment } = createPreimageCondition();
+    const latestDueDate = new Date(Date.now() + ACTIVATION_WINDOW_HOURS * 60 * 60 * 1000);
+    latestDueDate.setDate(latestDueDate.getDate() + loan.term);
+    const escrowTerms = xrplService.buildCollateralEscrowTerms(
+      loan.borrower,
+      loan.collateralAmount,
+      condition,
+      this.escrowCancelAfter(latestDueDate)
+    );
+    const escrowFulfillment = encryptFulfillment(fulfillment);
+    const escrowPayload = await xrplService.createCollateralEscrowPayload(escrowTerms);
+
+    loan.escrowTerms = escrowTerms;
+    loan.escrowFulfillment = escrowFulfillment;
+    loan.escrowPayloadId = escrowPayload.uuid;
+    loan.escrowPayloadIssuedAt = new Date();
+    await loan.save();
+    return escrowPayload;
+  }
+
+  /**
+   * When a collateral escrow for a loan due at dueDate may be cancelled by the borrower:
+   * only once the platform's window to claim on default has passed
+   * @param {Date} dueDate - Loan due date
+   * @returns {Date} CancelAfter time
+   */
+  escrowCancelAfter(dueDate) {
+    const cancelAfter = new Date(dueDate);
+    cancelAfter.setDate(cancelAfter.getDate() + config.defaultGracePeriodDays + config.escrowClaimWindowDays);
+    return cancelAfter;
+  }
+
+  /**
+   * Whether a loan's collateral escrow can still be claimed on a default when the
+   * loan is due at dueDate
+   * @param {object} loan - Loan with its escrow terms
+   * @param {Date} dueDate - Due date the loan would get
+   * @returns {boolean}
+   */
+  escrowCoversDueDate(loan, dueDate) {
+    const cancelAfter = new Date(xrpl.rippleTimeToUnixTime(loan.escrowTerms.cancelAfter));
+    return cancelAfter >= this.escrowCancelAfter(dueDate);
+  }
+
+  /**
+   * Due date of a loan activated at activationDate: the term runs from activation
+   * @param {object} loan - Loan document
+   * @param {Date} activationDate - When the loan is disbursed
+   * @returns {Date} Due date
+   */
+  activationDueDate(loan, activationDate) {
+    const dueDate = new Date(activationDate);
+    dueDate.setDate(activationDate.getDate() + loan.term);
+    return dueDate;
+  }
+
+  /**
+   * Decrypted escrow fulfillment for a loan, or null for time-based escrows
+   * @param {string} loanId - The loan ID
+   * @returns {Promise<string|null>} Hex fulfillment
+   */
+  async getEscrowFulfillment(loanId) {
+    const loan = await Loan.findById(loanId).select('+escrowFulfillment');
+    if (!loan || !loan.escrowFulfillment || !loan.escrowFulfillment.ciphertext) {
+      return null;
+    }
+    return decryptFulfillment(loan.escrowFulfillment);
+  }
+
+  /**
+   * Retire a loan's current escrow payload: refuse if it has already been signed,
+   * otherwise cancel it in Xumm and close any subscriptions for the loan
+   * @param {object} loan - PENDING loan document
+   */
+  async retireEscrowPayload(loan) {
+    const loanId = loan._id.toString();
+
+    if (loan.escrowPayloadId) {
+      const payload = await this.xummHandler.checkPayloadStatus(loan.escrowPayloadId);
+      if (payload?.meta?.signed === true) {
+        throw new Error('The collateral escrow has already been signed. Verify the signature instead.');
+      }
+
+      try {
+        await xrplService.cancelPayload(loan.escrowPayloadId);
+      } catch (error) {
+        // An expired or resolved payload can no longer be signed either way
+        console.error(`Error cancelling escrow payload for loan ${loanId}:`, error);
+      }
+    }
+
+    this.xummHandler.unsubscribeLoan(loanId);
+  }
+
+  /**
+   * Cancel a PENDING loan application at the borrower's request
+   * @param {string} loanId - ID of the loan to cancel
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Updated loan object
+   */
+  async cancelLoanApplication(loanId, walletAddress) {
     try {
-      // Get loan from database
       const loan = await Loan.findById(loanId);
       if (!loan) {
         throw new Error('Loan not found');
       }
-      
-      if (!loan.escrowPayloadId) {
-        throw new Error('No escrow payload ID found for loan');
+
+      if (loan.borrower !== walletAddress) {
+        throw new Error('Unauthorized: Only the borrower can cancel this loan');
       }
-      
-      // Create subscription with callbacks
-      const result = await this.xummHandler.subscribeToPayload(
-        loan.escrowPayloadId,
-        loanId,
-        // onSigned callback
-        async (loanId, payload) => {
-          console.log(`[${new Date().toISOString()}] Processing signed transaction for loan ${loanId}`);
-          await this.executeLoan(loanId, payload.uuid, loan.borrower);
-        },
-        // onRejected callback
-        async (loanId) => {
-          console.log(`[${new Date().toISOString()}] Processing rejected transaction for loan ${loanId}`);
-          await this.rejectLoan(loanId);
-        }
-      );
-      
-      return result;
+
+      assertTransition(loan, LOAN_STATUS.CANCELLED);
+      await this.retireEscrowPayload(loan);
+
+      transition(loan, LOAN_STATUS.CANCELLED, {
+        actor: walletAddress,
+        reason: 'Application cancelled by borrower'
+      });
+      loan.cancelledAt = new Date();
+      await loan.save();
+
+      return loan;
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error subscribing to loan signature:`, error);
+      console.error('Error cancelling loan application:', error);
       throw error;
     }
   }
 
   /**
-     * Manually check if a loan's payload has been signed
-     * @param {string} loanId - The loan ID to check
-     * @returns {Promise<Object>} Result of verification and execution
-     */
-  async verifyLoanSignature(loanId) {
+   * Replace the escrow payload of a PENDING loan, e.g. after the old one expired in Xumm
+   * @param {string} loanId - ID of the loan
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Updated loan and the new XUMM payload
+   */
+  async reissueEscrowPayload(loanId, walletAddress) {
     try {
-      // Get loan
       const loan = await Loan.findById(loanId);
       if (!loan) {
         throw new Error('Loan not found');
       }
-      
-      // Check payload status directly
-      const payload = await this.xummHandler.checkPayloadStatus(loan.escrowPayloadId);
-      
-      if (payload.meta.signed === true) {
-        // Execute the loan
-        console.log(`[${new Date().toISOString()}] Manual verification found signed payload for loan ${loanId}`);
-        return await this.executeLoan(loanId, loan.escrowPayloadId, loan.borrower);
-      } else {
-        return { 
-          success: false, 
-          message: 'Transaction not signed yet',
-          payloadStatus: payload.meta 
-        };
+
+      if (loan.borrower !== walletAddress) {
+        throw new Error('Unauthorized: Only the borrower can sign this loan');
+      }
+
+      if (loan.status !== LOAN_STATUS.PENDING) {
+        throw new Error(`Cannot issue an escrow payload for loan with status: ${loan.status}`);
       }
+
+      await this.retireEscrowPayload(loan);
+      const escrowPayload = await this.issueEscrowPayload(loan);
+
+      return { loan, escrowPayload };
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error verifying loan signature:`, error);
+      console.error('Error re-issuing escrow payload:', error);
       throw error;
     }
   }
 
-  async executeLoan(loanId, payloadId, walletAddress) {
-    const loan = await Loan.findById(loanId);
-
-    // --- Security and State Checks ---
-    if (!loan) throw new Error("Loan not found.");
-    if (loan.borrower !== walletAddress) throw new Error("Authorization error: Wallet address does not match loan borrower.");
-    if (loan.status !== 'PENDING') throw new Error(`Loan is not pending signature. Current status: ${loan.status}`);
-    if (loan.escrowPayloadId !== payloadId) throw new Error("Payload ID mismatch.");
-
-    // 1. Securely verify the payload signature with the Xumm API on the backend
-    const verification = await xrplService.verifySignature(payloadId);
-    if (!verification.signed) {
-      throw new Error("Xumm signature verification failed.");
+  /**
+   * Find the collateral escrow a borrower can still cancel for a closed loan.
+   * Applies to rejected, expired and cancelled applications that were signed anyway,
+   * and to repaid loans whose collateral the platform never released.
+   * @param {object} loan - Loan document
+   * @returns {Promise<object|null>} Cancellable escrow (with `sequence`), or null
+   */
+  async findReclaimableEscrow(loan) {
+    const reclaimableStatuses = [
+      LOAN_STATUS.REJECTED,
+      LOAN_STATUS.EXPIRED,
+      LOAN_STATUS.CANCELLED,
+      LOAN_STATUS.REPAID
+    ];
+    if (!reclaimableStatuses.includes(loan.status) || loan.collateralReleased) {
+      return null;
     }
-    
-    console.log(`[LoanService] Signature verified for loan ${loanId}.`);
 
-    // 2. Disburse the full loan amount from the protocol to the borrower
-    const disburseResult = await xrplService.disburseLoan(loan.borrower, loan.amount);
+    const escrows = await xrplService.checkForUnclaimedEscrows(loan.borrower);
+    const condition = loan.escrowTerms?.condition?.toUpperCase();
 
-    // 3. Update the loan document to ACTIVE
-    loan.status = 'ACTIVE';
-    loan.collateralTxHash = verification.txid; // The hash of the successful EscrowCreate tx
-    loan.disbursementTxHash = disburseResult.txHash;
-    loan.activationDate = new Date();
-    // In a real system, we'd get the escrow sequence from the transaction metadata
-    loan.escrowSequence = disburseResult.sequence; 
-    
-    await loan.save();
+    return escrows.find(escrow =>
+      (loan.collateralTxHash && escrow.PreviousTxnID === loan.collateralTxHash) ||
+      (condition && (escrow.Condition || '').toUpperCase() === condition)
+    ) || null;
+  }
 
-    console.log(`[LoanService] Loan ${loanId} is now ACTIVE.`);
-    return { success: true, loan };
+  /**
+   * Whether a borrower can reclaim collateral for a loan, and the last reclaim attempt
+   * @param {string} loanId - The loan ID
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Eligibility, escrow details and recorded reclaim
+   */
+  async getCollateralReclaimStatus(loanId, walletAddress) {
+    const loan = await this.getLoanById(loanId);
+    if (loan.borrower !== walletAddress) {
+      throw new Error('Unauthorized: Only the borrower can reclaim this collateral');
+    }
+
+    const escrow = await this.findReclaimableEscrow(loan);
+    return {
+      eligible: Boolean(escrow),
+      escrow: escrow ? {
+        sequence: escrow.sequence,
+        amount: parseFloat(xrpl.dropsToXrp(escrow.Amount)),
+        cancelAfter: new Date((escrow.CancelAfter + RIPPLE_EPOCH_OFFSET) * 1000)
+      } : null,
+      reclaim: loan.collateralReclaim || null
+    };
   }
 
   /**
-   * Approve an undercollateralized loan and initiate disbursement
-   * @param {string} loanId - ID of the loan to approve
-   * @returns {Promise<object>} Updated loan object
+   * Create an EscrowCancel payload for the borrower to reclaim their collateral
+   * @param {string} loanId - The loan ID
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Updated loan and XUMM payload
    */
-  async approveLoan(loanId) {
+  async createCollateralReclaimRequest(loanId, walletAddress) {
     try {
-      const loan = await Loan.findById(loanId);
-      if (!loan) {
-        throw new Error('Loan not found');
+      const loan = await this.getLoanById(loanId);
+      if (loan.borrower !== walletAddress) {
+        throw new Error('Unauthorized: Only the borrower can reclaim this collateral');
       }
 
-      if (loan.status !== 'PENDING') {
-        throw new Error(`Cannot approve loan with status: ${loan.status}`);
+      const escrow = await this.findReclaimableEscrow(loan);
+      if (!escrow) {
+        throw new Error('No cancellable collateral escrow found for this loan');
       }
 
-      // Create escrow for the partial collateral
-      const escrowPayload = await xrplService.createCollateralEscrow(
-        loan.borrower,
-        loan.collateralAmount,
-        loan.term
-      );
-
-      // Simulate escrow sequence and transaction hash for hackathon
-      loan.escrowSequence = Math.floor(Math.random() * 1000000) + 1000000;
-      loan.escrowTxHash = `ESCROW_TX_${Math.random().toString(36).substring(2, 15)}`;
-
-      // Create disbursement transaction for the full loan amount
-      // This is where the undercollateralized magic happens - we disburse more than we hold as collateral
-      const disbursementPayload = await xrplService.createLoanDisbursement(
-        loan.borrower,
-        loan.amount, // Full amount, greater than collateral
-        loan._id
-      );
-
-      // Simulate disbursement transaction hash
-      loan.disbursementTxHash = `DISBURSE_TX_${Math.random().toString(36).substring(2, 15)}`;
-
-      // Update loan status and timestamps
-      loan.status = 'ACTIVE';
-      loan.approvedAt = new Date();
-      
-      // Calculate due date
-      const dueDate = new Date();
-      dueDate.setDate(dueDate.getDate() + loan.term);
-      loan.dueDate = dueDate;
+      const payload = await xrplService.createEscrowCancelPayload(loan.borrower, escrow.sequence);
 
+      loan.collateralReclaim = {
+        status: 'PENDING',
+        payloadId: payload.uuid,
+        escrowSequence: escrow.sequence,
+        amount: parseFloat(xrpl.dropsToXrp(escrow.Amount)),
+        requestedAt: new Date()
+      };
       await loan.save();
-      return loan;
+
+      return { loan, payload };
     } catch (error) {
-      console.error('Error approving undercollateralized loan:', error);
+      console.error('Error creating collateral reclaim request:', error);
       throw error;
     }
   }
 
   /**
-   * Create a repayment request for a loan
-   * @param {string} loanId - ID of the loan being repaid
-   * @param {number} amount - Repayment amount
-   * @param {string} borrowerAddress - Address of the borrower making payment
-   * @returns {Promise<object>} Repayment data and XUMM payload
+   * Check a collateral reclaim payload and record the EscrowCancel once it is validated
+   * @param {string} loanId - The loan ID
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Verification result
    */
-  async createRepaymentRequest(loanId, amount, borrowerAddress) {
+  async verifyCollateralReclaim(loanId, walletAddress) {
     try {
-      const loan = await Loan.findById(loanId);
-      if (!loan) {
-        throw new Error('Loan not found');
+      const loan = await this.getLoanById(loanId);
+      if (loan.borrower !== walletAddress) {
+        throw new Error('Unauthorized: Only the borrower can reclaim this collateral');
       }
 
-      if (loan.status !== 'ACTIVE') {
-        throw new Error(`Cannot process repayment for loan with status: ${loan.status}`);
+      const reclaim = loan.collateralReclaim;
+      if (!reclaim || !reclaim.payloadId) {
+        throw new Error('No collateral reclaim request found for this loan');
       }
-      
-      // Verify borrower is the actual loan borrower
-      if (loan.borrower !== borrowerAddress) {
-        throw new Error('Unauthorized: Only the borrower can repay this loan');
+      if (reclaim.status === 'RECLAIMED') {
+        return { success: true, loan };
       }
-      
-      // Calculate total owed (principal + interest)
-      const interestAmount = loan.amount * (loan.interestRate / 100);
-      const totalOwed = loan.amount + interestAmount;
-      
-      // Calculate total repaid so far
-      const totalRepaid = loan.repayments?.reduce((sum, payment) => sum + payment.amount, 0) || 0;
-      
-      // Calculate remaining balance
-      const remainingBalance = Math.max(0, totalOwed - totalRepaid);
-      
-      // Validate repayment amount
-      if (amount <= 0) {
-        throw new Error('Repayment amount must be greater than zero');
+
+      const signature = await xrplService.verifySignature(reclaim.payloadId);
+      if (!signature.signed) {
+        return { success: false, message: 'Transaction not signed yet' };
       }
-      
-      if (amount > remainingBalance) {
-        throw new Error(`Repayment amount (${amount} XRP) exceeds remaining balance (${remainingBalance} XRP)`);
+
+      const result = await xrplService.verifyEscrowCancel(signature.txid, loan.borrower, reclaim.escrowSequence);
+      if (result.pending) {
+        // Signed but not validated yet; the reclaim stays PENDING and is checked again
+        return { success: false, pending: true, message: result.message };
       }
-      
-      // Create a new repayment record
-      const repayment = {
+      if (!result.verified) {
+        reclaim.status = 'FAILED';
+        reclaim.error = result.message;
+        await loan.save();
+        throw new Error(`Collateral reclaim could not be verified: ${result.message}`);
+      }
+
+      reclaim.status = 'RECLAIMED';
+      reclaim.txHash = result.txHash;
+      reclaim.reclaimedAt = new Date();
+      reclaim.error = undefined;
+      loan.collateralReleased = true;
+      loan.collateralReleasedAt = reclaim.reclaimedAt;
+      await loan.save();
+
+      console.log(`[LoanService] Borrower reclaimed collateral for loan ${loanId}, txHash: ${result.txHash}`);
+      return { success: true, loan };
+    } catch (error) {
+      console.error('Error verifying collateral reclaim:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extensions that moved the loan's due date (confirmed, whether or not the old
+   * escrow has been finished yet)
+   * @param {object} loan - Loan document
+   * @returns {Array} Confirmed extensions
+   */
+  confirmedExtensions(loan) {
+    return (loan.extensions || []).filter(extension => ['ESCROWED', 'COMPLETED'].includes(extension.status));
+  }
+
+  /**
+   * Why a loan cannot be extended right now, or null if it can.
+   * Extensions must be asked for before the due date: penalties are worked out from
+   * the current due date, so moving it after they started would write them off.
+   * @param {object} loan - Loan document
+   * @param {Date} [asOf=new Date()] - Instant to check at
+   * @returns {string|null} Reason the loan is not eligible
+   */
+  extensionIneligibility(loan, asOf = new Date()) {
+    if (!isOpen(loan.status)) {
+      return `Cannot extend a loan with status: ${loan.status}`;
+    }
+    if (!loan.maxExtensions || !loan.maxExtensionDays) {
+      return 'Extensions are not offered for this loan\'s risk tier';
+    }
+    if (this.confirmedExtensions(loan).length >= loan.maxExtensions) {
+      return `This loan has already been extended the maximum of ${loan.maxExtensions} times`;
+    }
+    if (new Date(asOf) >= new Date(loan.dueDate)) {
+      return 'Extensions must be requested before the due date';
+    }
+    if (!loan.escrowSequence || !loan.escrowTerms?.condition) {
+      return 'The collateral escrow of this loan cannot be replaced';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a borrower can extend a loan, on what terms, and any extension in progress
+   * @param {string} loanId - The loan ID
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Eligibility, fee, limits and the pending extension
+   */
+  async getExtensionStatus(loanId, walletAddress) {
+    const loan = await this.getLoanById(loanId);
+    if (loan.borrower !== walletAddress) {
+      throw new Error('Unauthorized: Only the borrower can extend this loan');
+    }
+
+    const reason = this.extensionIneligibility(loan);
+    return {
+      eligible: !reason,
+      reason,
+      extensionFee: loan.extensionFee,
+      maxExtensionDays: loan.maxExtensionDays,
+      maxExtensions: loan.maxExtensions,
+      extensionsUsed: this.confirmedExtensions(loan).length,
+      dueDate: loan.dueDate,
+      pending: loan.extensions.find(extension => extension.status === 'PENDING') || null
+    };
+  }
+
+  /**
+   * Start an extension: issue an EscrowCreate payload for a replacement escrow whose
+   * CancelAfter follows the new due date. Nothing changes on the loan until the
+   * borrower signs it and verifyExtension finds it validated.
+   * An earlier unsigned extension payload is cancelled and replaced.
+   * @param {string} loanId - The loan ID
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @param {number} days - Days to push the due date out by
+   * @returns {Promise<object>} Updated loan, the extension and the XUMM payload
+   */
+  async requestExtension(loanId, walletAddress, days) {
+    try {
+      const loan = await this.getLoanById(loanId);
+      if (loan.borrower !== walletAddress) {
+        throw new Error('Unauthorized: Only the borrower can extend this loan');
+      }
+
+      const reason = this.extensionIneligibility(loan);
+      if (reason) {
+        throw new Error(reason);
+      }
+
+      const extensionDays = parseInt(days);
+      if (!Number.isInteger(extensionDays) || extensionDays < 1 || extensionDays > loan.maxExtensionDays) {
+        throw new Error(`Extensions must be between 1 and ${loan.maxExtensionDays} days`);
+      }
+
+      const pending = loan.extensions.find(extension => extension.status === 'PENDING');
+      if (pending) {
+        await this.retireExtensionPayload(loan, pending);
+      }
+
+      const newDueDate = new Date(loan.dueDate);
+      newDueDate.setDate(newDueDate.getDate() + extensionDays);
+
+      const { condition, fulfillment } = createPreimageCondition();
+      const escrowTerms = xrplService.buildCollateralEscrowTerms(
+        loan.borrower,
+        loan.collateralAmount,
+        condition,
+        this.escrowCancelAfter(newDueDate)
+      );
+      const payload = await xrplService.createCollateralEscrowPayload(escrowTerms);
+
+      // Only one extension can be pending, and only against the due date it was priced on
+      const updated = await Loan.findOneAndUpdate(
+        { _id: loan._id, status: loan.status, dueDate: loan.dueDate, 'extensions.status': { $ne: 'PENDING' } },
+        {
+          $push: {
+            extensions: {
+              status: 'PENDING',
+              days: extensionDays,
+              fee: loan.extensionFee,
+              previousDueDate: loan.dueDate,
+              newDueDate,
+              payloadId: payload.uuid,
+              escrowTerms,
+              escrowFulfillment: encryptFulfillment(fulfillment),
+              requestedAt: new Date()
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!updated) {
+        await xrplService.cancelPayload(payload.uuid).catch(error =>
+          console.error(`Error cancelling extension payload for loan ${loanId}:`, error));
+        throw new Error('The loan changed while the extension was being prepared. Please try again.');
+      }
+
+      const extension = updated.extensions[updated.extensions.length - 1];
+      console.log(`[EXTENSION] Loan ${loanId}: ${extensionDays}-day extension requested, payload ${payload.uuid}`);
+      return { loan: updated, extension, payload };
+    } catch (error) {
+      console.error('Error requesting loan extension:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the payload of a PENDING extension, refusing if it was already signed
+   * @param {object} loan - Loan document
+   * @param {object} extension - PENDING extension
+   * @param {string} [status='CANCELLED'] - CANCELLED when replaced, EXPIRED when too late to sign
+   */
+  async retireExtensionPayload(loan, extension, status = 'CANCELLED') {
+    const payload = await this.xummHandler.checkPayloadStatus(extension.payloadId);
+    if (payload?.meta?.signed === true) {
+      throw new Error('The replacement escrow has already been signed. Verify the extension instead.');
+    }
+
+    try {
+      await xrplService.cancelPayload(extension.payloadId);
+    } catch (error) {
+      // An expired or resolved payload can no longer be signed either way
+      console.error(`Error cancelling extension payload for loan ${loan._id}:`, error);
+    }
+
+    await Loan.updateOne(
+      { _id: loan._id, extensions: { $elemMatch: { _id: extension._id, status: 'PENDING' } } },
+      { $set: { 'extensions.$.status': status } }
+    );
+  }
+
+  /**
+   * Expire an extension whose replacement escrow was signed after the loan stopped
+   * being eligible. The loan keeps its escrow and due date; the unneeded replacement
+   * escrow is finished and its collateral returned by a RETIRE_ESCROW job.
+   * @param {object} loan - Loan document
+   * @param {object} extension - PENDING extension
+   * @param {object} escrow - Verified replacement escrow
+   * @param {string} reason - Why the loan is no longer eligible
+   */
+  async expireSignedExtension(loan, extension, escrow, reason) {
+    const expired = await Loan.updateOne(
+      { _id: loan._id, extensions: { $elemMatch: { _id: extension._id, status: 'PENDING' } } },
+      {
+        $set: {
+          'extensions.$.status': 'EXPIRED',
+          'extensions.$.escrowTxHash': escrow.txHash,
+          'extensions.$.escrowSequence': escrow.sequence,
+          'extensions.$.escrowLedgerIndex': escrow.ledgerIndex,
+          'extensions.$.error': reason
+        }
+      }
+    );
+    if (expired.modifiedCount === 0) {
+      return;
+    }
+
+    console.log(`[EXTENSION] Loan ${loan._id}: extension signed too late (${reason}), returning escrow ${escrow.txHash}`);
+    await this.enqueueEscrowRetirement(loan._id, extension._id);
+    jobQueue.kick();
+  }
+
+  /**
+   * Check a pending extension's payload and, once its EscrowCreate is validated with
+   * the agreed terms, move the loan onto the new escrow and due date (RESTRUCTURED).
+   * The extension fee is owed from then on. The old escrow is finished and its
+   * collateral returned by a RETIRE_ESCROW job.
+   * @param {string} loanId - The loan ID
+   * @param {string} walletAddress - Wallet address of the requesting borrower
+   * @returns {Promise<object>} Verification result with the updated loan and extension
+   */
+  async verifyExtension(loanId, walletAddress) {
+    try {
+      const loan = await Loan.findById(loanId).select('+escrowFulfillment +extensions.escrowFulfillment');
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+      if (loan.borrower !== walletAddress) {
+        throw new Error('Unauthorized: Only the borrower can extend this loan');
+      }
+
+      const extension = loan.extensions.find(entry => entry.status === 'PENDING');
+      if (!extension) {
+        const latest = loan.extensions[loan.extensions.length - 1];
+        if (latest && this.confirmedExtensions(loan).includes(latest)) {
+          return { success: true, loan, extension: latest };
+        }
+        throw new Error('No pending extension found for this loan');
+      }
+
+      const signature = await xrplService.verifySignature(extension.payloadId);
+      if (!signature.signed) {
+        // An unsigned extension cannot be used once the due date it was priced on has passed
+        const reason = this.extensionIneligibility(loan);
+        if (reason) {
+          await this.retireExtensionPayload(loan, extension, 'EXPIRED');
+          throw new Error(`Extension expired before it was signed: ${reason}`);
+        }
+        return { success: false, message: 'Transaction not signed yet' };
+      }
+
+      const escrow = await xrplService.verifyCollateralEscrow(signature.txid, extension.escrowTerms);
+      if (!escrow.verified) {
+        await Loan.updateOne(
+          { _id: loan._id, 'extensions._id': extension._id },
+          { $set: { 'extensions.$.error': escrow.message } }
+        );
+        throw new Error(`Replacement escrow could not be verified: ${escrow.message}`);
+      }
+
+      // Signing late must not move a due date that has already passed: that would
+      // write off the late fee and penalty interest charged since
+      const confirmedAt = new Date();
+      const reason = this.extensionIneligibility(loan, confirmedAt);
+      if (reason) {
+        await this.expireSignedExtension(loan, extension, escrow, reason);
+        throw new Error(`Extension could not be applied: ${reason}. The new escrow will be returned to you.`);
+      }
+
+      // Swap escrow, due date and schedule in one update against the terms the
+      // extension was priced on, so a concurrent verification applies it only once
+      const { filter, update } = transitionUpdate(loan.status, LOAN_STATUS.RESTRUCTURED, {
+        actor: walletAddress,
+        reason: `Due date extended by ${extension.days} days`,
+        txHash: escrow.txHash,
+        at: confirmedAt
+      });
+      Object.assign(update.$set, {
+        dueDate: extension.newDueDate,
+        escrowTerms: extension.escrowTerms,
+        escrowFulfillment: extension.escrowFulfillment,
+        collateralTxHash: escrow.txHash,
+        escrowSequence: escrow.sequence,
+        collateralLedgerIndex: escrow.ledgerIndex,
+        'extensions.$.status': 'ESCROWED',
+        'extensions.$.escrowTxHash': escrow.txHash,
+        'extensions.$.escrowSequence': escrow.sequence,
+        'extensions.$.escrowLedgerIndex': escrow.ledgerIndex,
+        'extensions.$.confirmedAt': confirmedAt,
+        'extensions.$.previousEscrow': {
+          txHash: loan.collateralTxHash,
+          sequence: loan.escrowSequence,
+          amount: loan.collateralAmount,
+          fulfillment: loan.escrowFulfillment
+        }
+      });
+      // The rest of the schedule moves out with the due date
+      loan.installments.forEach((installment, index) => {
+        if (installment.paidAmount < installment.amount) {
+          const dueDate = new Date(installment.dueDate);
+          dueDate.setDate(dueDate.getDate() + extension.days);
+          update.$set[`installments.${index}.dueDate`] = dueDate;
+        }
+      });
+      update.$unset = { 'extensions.$.error': '' };
+
+      const updated = await Loan.findOneAndUpdate(
+        {
+          _id: loan._id,
+          ...filter,
+          dueDate: { $eq: extension.previousDueDate, $gt: confirmedAt },
+          escrowSequence: loan.escrowSequence,
+          extensions: { $elemMatch: { _id: extension._id, status: 'PENDING' } }
+        },
+        update,
+        { new: true }
+      );
+      if (!updated) {
+        const current = await Loan.findById(loanId);
+        const applied = current?.extensions.id(extension._id);
+        if (applied && this.confirmedExtensions(current).includes(applied)) {
+          return { success: true, loan: current, extension: applied };
+        }
+        const lateReason = current && this.extensionIneligibility(current);
+        if (lateReason && applied?.status === 'PENDING') {
+          await this.expireSignedExtension(current, applied, escrow, lateReason);
+          throw new Error(`Extension could not be applied: ${lateReason}. The new escrow will be returned to you.`);
+        }
+        throw new Error('The loan changed while the extension was being verified. Please verify again.');
+      }
+
+      console.log(`[EXTENSION] Loan ${loanId} extended by ${extension.days} days to ${extension.newDueDate.toISOString()}, escrow ${escrow.txHash}`);
+
+      await this.enqueueEscrowRetirement(loanId, extension._id);
+      jobQueue.kick();
+
+      return { success: true, loan: updated, extension: updated.extensions.id(extension._id) };
+    } catch (error) {
+      console.error('Error verifying loan extension:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to loan payload signature events
+   * @param {string} loanId - The loan ID to subscribe to
+   * @returns {Promise<Object>} Subscription result
+   */
+  async subscribeToLoanSignature(loanId) {
+    try {
+      // Get loan from database
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+      
+      if (!loan.escrowPayloadId) {
+        throw new Error('No escrow payload ID found for loan');
+      }
+      
+      // Create subscription with callbacks
+      const result = await this.xummHandler.subscribeToPayload(
+        loan.escrowPayloadId,
+        loanId,
+        // onSigned callback
+        async (loanId, payload) => {
+          console.log(`[${new Date().toISOString()}] Processing signed transaction for loan ${loanId}`);
+          await this.executeLoan(loanId, payload.uuid, loan.borrower);
+        },
+        // onRejected callback
+        async (loanId) => {
+          console.log(`[${new Date().toISOString()}] Processing rejected transaction for loan ${loanId}`);
+          await this.rejectLoan(loanId, {
+            actor: loan.borrower,
+            reason: 'Escrow payload rejected in Xumm'
+          });
+        }
+      );
+      
+      return result;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error subscribing to loan signature:`, error);
+      throw error;
+    }
+  }
+
+  /**
+     * Manually check if a loan's payload has been signed
+     * @param {string} loanId - The loan ID to check
+     * @returns {Promise<Object>} Result of verification and execution
+     */
+  async verifyLoanSignature(loanId) {
+    try {
+      // Get loan
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+      
+      // Check payload status directly
+      const payload = await this.xummHandler.checkPayloadStatus(loan.escrowPayloadId);
+      
+      if (payload.meta.signed === true) {
+        // Execute the loan
+        console.log(`[${new Date().toISOString()}] Manual verification found signed payload for loan ${loanId}`);
+        return await this.executeLoan(loanId, loan.escrowPayloadId, loan.borrower);
+      } else {
+        return { 
+          success: false, 
+          message: 'Transaction not signed yet',
+          payloadStatus: payload.meta 
+        };
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error verifying loan signature:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activate a signed loan: verify its collateral escrow and disburse it.
+   * Reached from the Xumm callback, /execute and /verify, possibly at the same time,
+   * so the loan is first claimed atomically as ACTIVATING. Only the caller that wins
+   * the claim queues the verification; the others get the state of that activation.
+   * The escrow can take a while to be validated, so verification and disbursement
+   * finish in the job queue and the loan is polled for the outcome.
+   * @param {string} loanId - Loan to activate
+   * @param {string} payloadId - Signed escrow payload
+   * @param {string} walletAddress - Borrower wallet
+   * @returns {Promise<object>} { success, loan, verification?, disbursement?, message? }
+   */
+  async executeLoan(loanId, payloadId, walletAddress) {
+    const loan = await Loan.findById(loanId);
+
+    // --- Security and State Checks ---
+    if (!loan) throw new Error("Loan not found.");
+    if (loan.borrower !== walletAddress) throw new Error("Authorization error: Wallet address does not match loan borrower.");
+    if (loan.escrowPayloadId !== payloadId) throw new Error("Payload ID mismatch.");
+    if (loan.status !== LOAN_STATUS.PENDING) {
+      return this.activationResult(loan);
+    }
+
+    // 1. Securely verify the payload signature with the Xumm API on the backend
+    const verification = await xrplService.verifySignature(payloadId);
+    if (!verification.signed) {
+      throw new Error("Xumm signature verification failed.");
+    }
+    
+    console.log(`[LoanService] Signature verified for loan ${loanId}.`);
+
+    // 2. Claim the loan. Only one caller gets past this point.
+    const { filter, update } = transitionUpdate(LOAN_STATUS.PENDING, LOAN_STATUS.ACTIVATING, {
+      actor: walletAddress,
+      reason: 'Escrow payload signed'
+    });
+    update.$set.activationStartedAt = new Date();
+    const claimed = await Loan.findOneAndUpdate(
+      { _id: loanId, escrowPayloadId: payloadId, ...filter },
+      update,
+      { new: true }
+    );
+    if (!claimed) {
+      return this.activationResult(await Loan.findById(loanId));
+    }
+
+    // 3. Verify the escrow in the background; the verification job queues the disbursement
+    let job;
+    try {
+      job = await this.enqueueEscrowVerification(claimed, verification.txid, walletAddress);
+    } catch (error) {
+      await this.releaseActivationClaim(loanId, error.message);
+      throw error;
+    }
+    jobQueue.kick();
+
+    return this.activationResult(claimed, job);
+  }
+
+  /**
+   * VERIFY_ESCROW job: confirm a claimed loan's EscrowCreate is validated on the ledger
+   * with the agreed terms, record it and queue the disbursement. Nothing is disbursed
+   * unless every check passes. A transaction not validated yet is retried; an escrow
+   * that does not match returns the loan to PENDING.
+   * @param {object} payload
+   * @param {string} payload.loanId - Loan in ACTIVATING
+   * @param {string} payload.txHash - EscrowCreate the borrower signed
+   * @param {string} [payload.actor] - Who triggered the activation
+   * @returns {Promise<object>} { verified, txHash?, sequence?, message? }
+   */
+  async runEscrowVerification({ loanId, txHash, actor = 'system' }) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) throw new Error('Loan not found');
+
+    if (!loan.collateralTxHash) {
+      if (loan.status !== LOAN_STATUS.ACTIVATING) {
+        return { verified: false, message: `Loan is ${loan.status}` };
+      }
+      if (!loan.escrowTerms || !loan.escrowTerms.amount) {
+        const message = 'Loan has no recorded escrow terms. Request a new escrow payload.';
+        await this.releaseActivationClaim(loanId, message);
+        return { verified: false, message };
+      }
+      if (!this.escrowCoversDueDate(loan, this.activationDueDate(loan, new Date()))) {
+        const message = 'Collateral escrow becomes cancellable before a default could be claimed. Request a new escrow payload.';
+        await this.releaseActivationClaim(loanId, message);
+        return { verified: false, message };
+      }
+
+      const escrow = await xrplService.verifyCollateralEscrow(txHash, loan.escrowTerms);
+      if (!escrow.verified) {
+        if (escrow.pending) {
+          throw new Error(escrow.message);
+        }
+        await this.releaseActivationClaim(loanId, `Collateral escrow could not be verified: ${escrow.message}`);
+        return { verified: false, message: escrow.message };
+      }
+
+      const recorded = await Loan.updateOne(
+        { _id: loanId, status: LOAN_STATUS.ACTIVATING },
+        {
+          $set: {
+            collateralTxHash: escrow.txHash,
+            escrowSequence: escrow.sequence,
+            collateralLedgerIndex: escrow.ledgerIndex
+          }
+        }
+      );
+      if (recorded.modifiedCount === 0) {
+        return { verified: false, message: 'Loan is no longer being activated' };
+      }
+      loan.collateralTxHash = escrow.txHash;
+      loan.escrowSequence = escrow.sequence;
+
+      console.log(`[LoanService] Collateral escrow ${escrow.txHash} verified for loan ${loanId} (sequence ${escrow.sequence}).`);
+    }
+
+    // Disburse through the job queue. If it fails it is retried in the background
+    // and the loan stays ACTIVATING until it succeeds.
+    await this.enqueueDisbursement(loanId, actor);
+    jobQueue.kick();
+    return { verified: true, txHash: loan.collateralTxHash, sequence: loan.escrowSequence };
+  }
+
+  /**
+   * Queue the escrow verification of a loan claimed for activation. The key is per
+   * activation attempt, so a loan returned to PENDING and signed again is verified afresh.
+   * @param {object} loan - Loan in ACTIVATING
+   * @param {string} txHash - EscrowCreate the borrower signed
+   * @param {string} [actor='system'] - Who triggered the activation
+   * @returns {Promise<object>} The job
+   */
+  async enqueueEscrowVerification(loan, txHash, actor = 'system') {
+    return jobQueue.enqueue(JOB_TYPES.VERIFY_ESCROW, { loanId: String(loan._id), txHash, actor }, {
+      idempotencyKey: this.escrowVerificationKey(loan),
+      loanId: loan._id
+    });
+  }
+
+  /**
+   * Idempotency key of the escrow verification for a loan's current activation attempt
+   * @param {object} loan - Loan in ACTIVATING
+   * @returns {string} Job key
+   */
+  escrowVerificationKey(loan) {
+    return `verify-escrow:${loan._id}:${new Date(loan.activationStartedAt).getTime()}`;
+  }
+
+  /**
+   * Queue the disbursement of a claimed loan. The key is per loan, so a loan
+   * can only ever have one disbursement job (and one disbursement on the ledger).
+   * @param {string} loanId - Loan in ACTIVATING with a verified escrow
+   * @param {string} [actor='system'] - Who triggered the activation
+   * @returns {Promise<object>} The job
+   */
+  async enqueueDisbursement(loanId, actor = 'system') {
+    return jobQueue.enqueue(JOB_TYPES.DISBURSE_LOAN, { loanId: String(loanId), actor }, {
+      idempotencyKey: `disburse:${loanId}`,
+      loanId
+    });
+  }
+
+  /**
+   * Queue the release of a repaid loan's collateral
+   * @param {string} loanId - Repaid loan
+   * @returns {Promise<object>} The job
+   */
+  async enqueueCollateralRelease(loanId) {
+    return jobQueue.enqueue(JOB_TYPES.RELEASE_COLLATERAL, { loanId: String(loanId) }, {
+      idempotencyKey: `release:${loanId}`,
+      loanId
+    });
+  }
+
+  /**
+   * Queue the claim of a defaulted loan's collateral
+   * @param {string} loanId - Defaulted loan
+   * @returns {Promise<object>} The job
+   */
+  async enqueueCollateralClaim(loanId) {
+    return jobQueue.enqueue(JOB_TYPES.CLAIM_COLLATERAL, { loanId: String(loanId) }, {
+      idempotencyKey: `claim:${loanId}`,
+      loanId
+    });
+  }
+
+  /**
+   * Queue finishing the escrow an extension replaced
+   * @param {string} loanId - Extended loan
+   * @param {string} extensionId - ESCROWED extension, or EXPIRED with a signed escrow
+   * @returns {Promise<object>} The job
+   */
+  async enqueueEscrowRetirement(loanId, extensionId) {
+    return jobQueue.enqueue(JOB_TYPES.RETIRE_ESCROW, { loanId: String(loanId), extensionId: String(extensionId) }, {
+      idempotencyKey: `extension:${extensionId}`,
+      loanId
+    });
+  }
+
+  /**
+   * Return a loan claimed for activation to PENDING after a check failed before disbursement
+   * @param {string} loanId - Loan in ACTIVATING
+   * @param {string} reason - Why the activation stopped
+   * @returns {Promise<boolean>} True if the loan was released
+   */
+  async releaseActivationClaim(loanId, reason) {
+    const { filter, update } = transitionUpdate(LOAN_STATUS.ACTIVATING, LOAN_STATUS.PENDING, { reason });
+    update.$unset = { activationStartedAt: '' };
+    const result = await Loan.updateOne({ _id: loanId, ...filter }, update);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Describe where a loan's activation stands
+   * @param {object} loan - Loan document
+   * @param {object} [job] - Its escrow verification job, looked up if not given
+   * @returns {Promise<object>} Activation result as returned by executeLoan
+   */
+  async activationResult(loan, job) {
+    if (loan.disbursementTxHash) {
+      return { success: true, loan, disbursement: { status: 'COMPLETED', txHash: loan.disbursementTxHash } };
+    }
+    if (loan.status !== LOAN_STATUS.ACTIVATING) {
+      throw new Error(`Cannot activate a loan that is ${loan.status}`);
+    }
+
+    if (!loan.collateralTxHash) {
+      const verification = job || (loan.activationStartedAt && await jobQueue.getByKey(this.escrowVerificationKey(loan)));
+      if (!verification) {
+        return { success: false, message: 'Loan activation is already in progress', loan };
+      }
+      return {
+        success: false,
+        message: verification.lastError
+          ? `Collateral escrow is being verified: ${verification.lastError}`
+          : 'Collateral escrow is being verified',
+        loan,
+        verification: { status: verification.status, error: verification.lastError }
+      };
+    }
+
+    const disbursement = await jobQueue.getByKey(`disburse:${loan._id}`);
+    if (!disbursement) {
+      return { success: false, message: 'Collateral verified; the disbursement is being queued', loan };
+    }
+    return {
+      success: false,
+      message: `Collateral verified, but disbursement has not completed yet: ${disbursement.lastError || disbursement.status}`,
+      loan,
+      disbursement: { status: disbursement.status, error: disbursement.lastError }
+    };
+  }
+
+  /**
+   * Finish activations a crash interrupted. A loan left in ACTIVATING with its escrow
+   * verified but no disbursement job gets one; a loan whose escrow was never recorded
+   * and is not being verified goes back to PENDING so the signature can be verified
+   * again. Loans with a job are left to the queue, which already recovers jobs that
+   * were cut off.
+   * @param {Date} [asOf=new Date()] - Instant to measure stalled claims against
+   * @returns {Promise<object>} Counts of requeued and released loans
+   */
+  async recoverStalledActivations(asOf = new Date()) {
+    const cutoff = new Date(asOf.getTime() - ACTIVATION_STALL_MINUTES * 60 * 1000);
+    const stalled = await Loan.find({
+      status: LOAN_STATUS.ACTIVATING,
+      $or: [
+        { activationStartedAt: { $lte: cutoff } },
+        { activationStartedAt: { $exists: false } }
+      ]
+    });
+
+    const summary = { requeued: 0, released: 0 };
+    for (const loan of stalled) {
+      try {
+        if (await jobQueue.getByKey(`disburse:${loan._id}`)) {
+          continue;
+        }
+        const verification = loan.activationStartedAt && await jobQueue.getByKey(this.escrowVerificationKey(loan));
+        if (!loan.collateralTxHash && verification && ['PENDING', 'RUNNING', 'FAILED'].includes(verification.status)) {
+          continue;
+        }
+        if (loan.collateralTxHash) {
+          await this.enqueueDisbursement(loan._id);
+          summary.requeued++;
+          console.log(`[ACTIVATION] Requeued disbursement for stalled loan ${loan._id}`);
+        } else if (await this.releaseActivationClaim(loan._id, 'Activation interrupted before the escrow was verified')) {
+          summary.released++;
+          console.log(`[ACTIVATION] Returned stalled loan ${loan._id} to PENDING`);
+        }
+      } catch (error) {
+        console.error(`[ACTIVATION] Error recovering loan ${loan._id}:`, error);
+      }
+    }
+
+    if (summary.requeued > 0) {
+      jobQueue.kick();
+    }
+    return summary;
+  }
+
+  /**
+   * DISBURSE_LOAN job: pay out a claimed loan whose collateral escrow has been verified and activate it.
+   * A rerun after a crash between paying and saving finds the earlier payment through
+   * the idempotency key and only records it.
+   * @param {object} payload
+   * @param {string} payload.loanId - Loan to disburse
+   * @param {string} [payload.actor] - Who triggered the activation
+   * @returns {Promise<object>} Disbursement transaction hash
+   */
+  async runDisbursement({ loanId, actor = 'system' }) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) throw new Error('Loan not found');
+
+    if (loan.disbursementTxHash) {
+      return { txHash: loan.disbursementTxHash };
+    }
+    if (loan.status !== LOAN_STATUS.ACTIVATING) {
+      throw new Error(`Only loans being activated can be disbursed; this one is ${loan.status}`);
+    }
+    if (!loan.collateralTxHash) {
+      throw new Error('Collateral escrow has not been verified');
+    }
+
+    // Interest accrues from activation, so the term and the schedule run from it too
+    // rather than from the application date. The escrow must outlast the new due date.
+    const activationDate = new Date();
+    const dueDate = this.activationDueDate(loan, activationDate);
+    if (!this.escrowCoversDueDate(loan, dueDate)) {
+      throw new Error('Collateral escrow becomes cancellable before a default could be claimed; not disbursing');
+    }
+
+    const disburseResult = await xrplService.disburseLoan(loan.borrower, loan.amount, loanId, `disburse:${loanId}`);
+
+    const { filter, update } = transitionUpdate(LOAN_STATUS.ACTIVATING, LOAN_STATUS.ACTIVE, {
+      actor,
+      reason: 'Collateral escrow verified and loan disbursed',
+      txHash: disburseResult.txHash
+    });
+    update.$set.disbursementTxHash = disburseResult.txHash;
+    update.$set.activationDate = activationDate;
+    update.$set.dueDate = dueDate;
+    update.$set.installments = generateInstallmentSchedule({
+      principal: loan.amount,
+      annualRate: loan.interestRate,
+      termDays: loan.term,
+      frequency: loan.repaymentFrequency,
+      startDate: activationDate
+    });
+    await Loan.updateOne({ _id: loanId, ...filter }, update);
+
+    console.log(`[LoanService] Loan ${loanId} is now ACTIVE.`);
+    return { txHash: disburseResult.txHash };
+  }
+
+  /**
+   * RELEASE_COLLATERAL job: finish the collateral escrow of a repaid loan and return it to the borrower
+   * @param {object} payload
+   * @param {string} payload.loanId - Repaid loan
+   * @returns {Promise<object>} Escrow finish and return transaction hashes
+   */
+  async runCollateralRelease({ loanId }) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) throw new Error('Loan not found');
+
+    if (loan.collateralReleased) {
+      return { txHash: loan.collateralReleaseTxHash, returnTxHash: loan.collateralReturnTxHash };
+    }
+    if (loan.status !== LOAN_STATUS.REPAID) {
+      throw new Error(`Collateral can only be released for repaid loans; this one is ${loan.status}`);
+    }
+
+    const fulfillment = await this.getEscrowFulfillment(loan._id);
+    const release = await xrplService.releaseCollateral(
+      loan.escrowSequence,
+      loan.borrower,
+      loan.collateralAmount,
+      fulfillment,
+      loan._id,
+      `release:${loan._id}`
+    );
+    loan.collateralReleaseTxHash = release.txHash;
+    loan.collateralReturnTxHash = release.returnTxHash;
+    loan.collateralReleased = true;
+    loan.collateralReleasedAt = new Date();
+    await loan.save();
+
+    return { txHash: release.txHash, returnTxHash: release.returnTxHash };
+  }
+
+  /**
+   * CLAIM_COLLATERAL job: claim the collateral escrow of a defaulted loan and update the loss
+   * @param {object} payload
+   * @param {string} payload.loanId - Defaulted loan
+   * @returns {Promise<object>} Claim transaction hash
+   */
+  async runCollateralClaim({ loanId }) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) throw new Error('Loan not found');
+
+    const details = loan.defaultDetails || {};
+    if (details.claimTxHash) {
+      return { txHash: details.claimTxHash };
+    }
+    if (loan.status !== LOAN_STATUS.DEFAULTED) {
+      throw new Error(`Collateral can only be claimed for defaulted loans; this one is ${loan.status}`);
+    }
+
+    console.log(`[DEFAULT] Attempting to claim escrow for loan ${loanId} with sequence ${loan.escrowSequence}`);
+    const fulfillment = await this.getEscrowFulfillment(loanId);
+    const claimResult = await xrplService.claimCollateralEscrow(
+      loan.borrower,
+      loan.escrowSequence,
+      loan.collateralTxHash,
+      fulfillment,
+      loanId,
+      `claim:${loanId}`
+    );
+
+    // Only collateral from a validated claim counts against the loss. Guarded on the
+    // version so a repayment recovered in the meantime is not counted as lost again.
+    let current = loan;
+    for (let attempt = 1; attempt <= REPAYMENT_APPLY_ATTEMPTS; attempt++) {
+      const recorded = await Loan.findOneAndUpdate(
+        { _id: loanId, __v: current.__v },
+        {
+          $set: {
+            'defaultDetails.claimTxHash': claimResult.txHash,
+            'defaultDetails.collateralClaimed': current.collateralAmount,
+            'defaultDetails.uncoveredLoss': Math.max(0, roundXrp(
+              current.defaultDetails.remainingOwed -
+              (current.defaultDetails.recoveredAfterDefault || 0) -
+              current.collateralAmount
+            ))
+          },
+          $unset: { 'defaultDetails.claimError': '' },
+          $inc: { __v: 1 }
+        }
+      );
+      if (recorded) {
+        console.log(`[DEFAULT] Successfully claimed collateral for loan ${loanId}, txHash: ${claimResult.txHash}`);
+        return { txHash: claimResult.txHash };
+      }
+
+      current = await Loan.findById(loanId);
+      if (!current) throw new Error('Loan not found');
+    }
+
+    // The claim job is retried; its idempotency key finds this claim on the ledger
+    throw new Error(`Loan ${loanId} kept changing while its collateral claim ${claimResult.txHash} was being recorded`);
+  }
+
+  /**
+   * RETIRE_ESCROW job: finish the escrow an extension replaced and return its collateral
+   * to the borrower. The loan is already secured by the replacement escrow. For an
+   * EXPIRED extension it is the replacement escrow itself that is finished and returned.
+   * @param {object} payload
+   * @param {string} payload.loanId - Extended loan
+   * @param {string} payload.extensionId - ESCROWED or EXPIRED extension
+   * @returns {Promise<object>} Escrow finish and return transaction hashes
+   */
+  async runEscrowRetirement({ loanId, extensionId }) {
+    const loan = await Loan.findById(loanId)
+      .select('+extensions.previousEscrow.fulfillment +extensions.escrowFulfillment');
+    if (!loan) throw new Error('Loan not found');
+
+    const extension = loan.extensions.id(extensionId);
+    if (!extension) throw new Error(`Extension ${extensionId} not found`);
+
+    if (extension.finishTxHash) {
+      return { txHash: extension.finishTxHash, returnTxHash: extension.returnTxHash };
+    }
+
+    let retiring;
+    if (extension.status === 'ESCROWED') {
+      retiring = extension.previousEscrow;
+    } else if (extension.status === 'EXPIRED' && extension.escrowSequence) {
+      retiring = {
+        sequence: extension.escrowSequence,
+        amount: loan.collateralAmount,
+        fulfillment: extension.escrowFulfillment
+      };
+    } else {
+      throw new Error(`Extension ${extensionId} has no escrow to retire; it is ${extension.status}`);
+    }
+
+    const fulfillment = retiring.fulfillment?.ciphertext ? decryptFulfillment(retiring.fulfillment) : null;
+    const release = await xrplService.releaseCollateral(
+      retiring.sequence,
+      loan.borrower,
+      retiring.amount,
+      fulfillment,
+      loan._id,
+      `extension:${extensionId}`
+    );
+
+    await Loan.updateOne(
+      { _id: loanId, extensions: { $elemMatch: { _id: extensionId, status: extension.status } } },
+      {
+        $set: {
+          // An expired extension stays EXPIRED; it only records the returned escrow
+          'extensions.$.status': extension.status === 'ESCROWED' ? 'COMPLETED' : 'EXPIRED',
+          'extensions.$.finishTxHash': release.txHash,
+          'extensions.$.returnTxHash': release.returnTxHash,
+          'extensions.$.completedAt': new Date()
+        },
+        $unset: { 'extensions.$.error': '' }
+      }
+    );
+
+    console.log(`[EXTENSION] Retired escrow ${retiring.sequence} of loan ${loanId}, txHash: ${release.txHash}`);
+    return { txHash: release.txHash, returnTxHash: release.returnTxHash };
+  }
+
+  /**
+   * Create a repayment request for a loan
+   * @param {string} loanId - ID of the loan being repaid
+   * @param {number} amount - Repayment amount
+   * @param {string} borrowerAddress - Address of the borrower making payment
+   * @returns {Promise<object>} Repayment data and XUMM payload
+   */
+  async createRepaymentRequest(loanId, amount, borrowerAddress) {
+    try {
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      if (!isOpen(loan.status)) {
+        throw new Error(`Cannot process repayment for loan with status: ${loan.status}`);
+      }
+      
+      // Verify borrower is the actual loan borrower
+      if (loan.borrower !== borrowerAddress) {
+        throw new Error('Unauthorized: Only the borrower can repay this loan');
+      }
+      
+      // Live payoff amount (outstanding principal + interest accrued to now, plus any
+      // late fee and penalty interest once the due date has passed)
+      const { payoffAmount: remainingBalance } = calculatePayoff(loan);
+      
+      // Validate repayment amount
+      if (amount <= 0) {
+        throw new Error('Repayment amount must be greater than zero');
+      }
+      
+      if (amount > remainingBalance) {
+        throw new Error(`Repayment amount (${amount} XRP) exceeds remaining balance (${remainingBalance} XRP)`);
+      }
+      
+      // Create a new repayment record
+      const repayment = {
         amount,
+        requestedAmount: amount,
         timestamp: new Date(),
         confirmed: false
       };
       
-      // If we don't have a repayments array yet, create it
-      if (!loan.repayments) {
-        loan.repayments = [];
+      // If we don't have a repayments array yet, create it
+      if (!loan.repayments) {
+        loan.repayments = [];
+      }
+      
+      // Add the repayment to the loan's repayments array
+      loan.repayments.push(repayment);
+      await loan.save();
+      
+      // Get the ID of the newly added repayment (last element in the array)
+      const repaymentId = loan.repayments[loan.repayments.length - 1]._id;
+      
+      // Create XUMM payload for the repayment transaction
+      const payload = await xrplService.createRepaymentPayload(
+        borrowerAddress, 
+        amount,
+        loanId,
+        await this.ensureDestinationTag(loan)
+      );
+      
+      // Update the repayment with the payload ID
+      const repaymentIndex = loan.repayments.findIndex(r => r._id.toString() === repaymentId.toString());
+      if (repaymentIndex !== -1) {
+        loan.repayments[repaymentIndex].payloadId = payload.uuid;
+        await loan.save();
+      }
+      
+      // Return repayment data and payload
+      return { 
+        repayment: loan.repayments[repaymentIndex], 
+        payload 
+      };
+    } catch (error) {
+      console.error('Error creating repayment request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to repayment payload signature events
+   * @param {string} loanId - The loan ID 
+   * @param {string} repaymentId - The repayment ID
+   * @returns {Promise<Object>} Subscription result
+   */
+  async subscribeToRepaymentSignature(loanId, repaymentId) {
+    try {
+      // Get loan from database
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+      
+      // Find the specific repayment
+      const repayment = loan.repayments.find(r => r._id.toString() === repaymentId);
+      if (!repayment) {
+        throw new Error('Repayment not found');
+      }
+      
+      if (!repayment.payloadId) {
+        throw new Error('No payload ID found for repayment');
+      }
+      
+      // Create subscription with callbacks
+      const result = await this.xummHandler.subscribeToPayload(
+        repayment.payloadId,
+        `${loanId}:${repaymentId}`, // Use combined ID for context
+        // onSigned callback
+        async (context, payload) => {
+          const [loanId, repaymentId] = context.split(':');
+          console.log(`[${new Date().toISOString()}] Processing signed repayment for loan ${loanId}, repayment ${repaymentId}`);
+          await this.processRepaymentSignature(loanId, repaymentId, payload.uuid);
+        },
+        // onRejected callback
+        async (context) => {
+          const [loanId, repaymentId] = context.split(':');
+          console.log(`[${new Date().toISOString()}] Processing rejected repayment for loan ${loanId}, repayment ${repaymentId}`);
+          await this.rejectRepayment(loanId, repaymentId);
+        }
+      );
+      
+      return result;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error subscribing to repayment signature:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Manually verify a repayment signature
+   * @param {string} loanId - The loan ID
+   * @param {string} repaymentId - The repayment ID
+   * @returns {Promise<Object>} Result of verification
+   */
+  async verifyRepaymentSignature(loanId, repaymentId) {
+    try {
+      // Get loan
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+      
+      // Find the repayment
+      const repaymentIndex = loan.repayments.findIndex(r => r._id.toString() === repaymentId);
+      if (repaymentIndex === -1) {
+        throw new Error('Repayment not found');
       }
       
-      // Add the repayment to the loan's repayments array
-      loan.repayments.push(repayment);
-      await loan.save();
+      const repayment = loan.repayments[repaymentIndex];
+      if (!repayment.payloadId) {
+        throw new Error('No payload ID found for repayment');
+      }
       
-      // Get the ID of the newly added repayment (last element in the array)
-      const repaymentId = loan.repayments[loan.repayments.length - 1]._id;
+      // Check payload status directly
+      const payload = await this.xummHandler.checkPayloadStatus(repayment.payloadId);
       
-      // Create XUMM payload for the repayment transaction
-      const payload = await xrplService.createRepaymentPayload(
-        borrowerAddress, 
-        amount,
-        loanId
-      );
+      if (payload.meta.signed === true) {
+        // Process the repayment
+        console.log(`[${new Date().toISOString()}] Manual verification found signed payload for repayment`);
+        return await this.processRepaymentSignature(loanId, repaymentId, repayment.payloadId);
+      } else {
+        return { 
+          success: false, 
+          message: 'Transaction not signed yet',
+          payloadStatus: payload.meta 
+        };
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error verifying repayment signature:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a signed repayment
+   * @param {string} loanId - The loan ID
+   * @param {string} repaymentId - The repayment ID
+   * @param {string} payloadId - The XUMM payload ID
+   * @returns {Promise<Object>} Processing result
+   */
+  async processRepaymentSignature(loanId, repaymentId, payloadId) {
+    try {
+      // Get loan
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
       
-      // Update the repayment with the payload ID
-      const repaymentIndex = loan.repayments.findIndex(r => r._id.toString() === repaymentId.toString());
-      if (repaymentIndex !== -1) {
-        loan.repayments[repaymentIndex].payloadId = payload.uuid;
-        await loan.save();
+      // Find the repayment
+      const repayment = loan.repayments.find(r => r._id.toString() === repaymentId);
+      if (!repayment) {
+        throw new Error('Repayment not found');
       }
       
-      // Return repayment data and payload
-      return { 
-        repayment: loan.repayments[repaymentIndex], 
-        payload 
-      };
+      // Already processed (the subscription, a manual verify and the ledger listener can all land here)
+      if (repayment.confirmed) {
+        return this.repaymentResult(loan, repaymentId, repayment.txHash);
+      }
+      
+      // Verify the signature
+      const verification = await xrplService.verifySignature(payloadId);
+      
+      // The request can outlive its loan (paid off by another payment, defaulted).
+      // Unsigned, it is withdrawn; signed, the payment is credited back once it lands
+      if (!isOpen(loan.status) && !verification.signed) {
+        await this.withdrawRepaymentRequest(loan, repayment);
+        return {
+          success: false,
+          message: `Loan is ${loan.status}; this repayment request has been withdrawn`
+        };
+      }
+      
+      if (!verification.signed) {
+        throw new Error('Signature verification failed');
+      }
+      
+      // A signed payload proves nothing about what arrived; read the validated transaction
+      const payment = await xrplService.verifyRepaymentTransaction(verification.txid);
+      if (!payment.verified) {
+        if (payment.pending) {
+          throw new Error(payment.message);
+        }
+        await this.failRepayment(loanId, repaymentId, verification.txid, payment.message);
+        return {
+          success: false,
+          message: `Repayment transaction failed verification: ${payment.message}`,
+          txHash: verification.txid
+        };
+      }
+      
+      // The listener may have queued this transaction for review before the callback arrived;
+      // whichever path resolves it first credits it, the other stands down
+      if (!(await this.resolveQueuedPayment(verification.txid, loanId))) {
+        await this.withdrawRepaymentRequest(loan, repayment, 'Withdrawn: resolved from the payment review queue');
+        return {
+          success: false,
+          message: 'This payment was already resolved from the payment review queue',
+          txHash: verification.txid
+        };
+      }
+      
+      const claimed = await this.claimRepayment(loanId, {
+        repaymentId,
+        txHash: verification.txid,
+        payer: payment.sender,
+        ledgerIndex: payment.ledgerIndex,
+        ...this.describeDelivery(repayment.requestedAmount ?? repayment.amount, payment)
+      });
+      if (!claimed) {
+        // Someone else confirmed this transaction first
+        return this.repaymentResult(await Loan.findById(loanId), repaymentId, verification.txid);
+      }
+      
+      const confirmed = claimed.repayments.id(repaymentId);
+      const applied = await this.applyConfirmedRepayment(claimed, confirmed);
+      
+      return this.repaymentResult(applied, repaymentId, verification.txid);
     } catch (error) {
-      console.error('Error creating repayment request:', error);
+      console.error('Error processing repayment signature:', error);
       throw error;
     }
   }
 
   /**
-   * Subscribe to repayment payload signature events
-   * @param {string} loanId - The loan ID 
+   * Reject a repayment request on a loan that is no longer open and cancel its payload
+   * so it cannot be signed later
+   * @param {object} loan - Loan document
+   * @param {object} repayment - The pending repayment subdocument
+   * @param {string} [note] - Why it was withdrawn; defaults to the loan status
+   */
+  async withdrawRepaymentRequest(loan, repayment, note = `Withdrawn: loan is ${loan.status}`) {
+    await Loan.updateOne(
+      { _id: loan._id, repayments: { $elemMatch: { _id: repayment._id, confirmed: false } } },
+      {
+        $set: {
+          'repayments.$[repayment].rejected': true,
+          'repayments.$[repayment].rejectedAt': new Date(),
+          'repayments.$[repayment].verificationNote': note
+        }
+      },
+      { arrayFilters: [{ 'repayment._id': repayment._id }] }
+    );
+    
+    if (repayment.payloadId) {
+      await xrplService.cancelPayload(repayment.payloadId).catch(error =>
+        console.error(`[LoanService] Could not cancel repayment payload ${repayment.payloadId}:`, error.message)
+      );
+    }
+  }
+
+  /**
+   * Whether a ledger transaction has already been credited to a loan or turned
+   * into an overpayment credit (and so possibly refunded)
+   * @param {string} txHash - Payment transaction hash
+   * @returns {Promise<boolean>}
+   */
+  async isPaymentCredited(txHash) {
+    const [credited, overpaid] = await Promise.all([
+      Loan.exists({ repayments: { $elemMatch: { txHash, confirmed: true } } }),
+      OverpaymentCredit.exists({ sourceTxHash: txHash })
+    ]);
+    return Boolean(credited || overpaid);
+  }
+
+  /**
+   * Close the review entry for a transaction that is being credited through its
+   * Xumm repayment request
+   * @param {string} txHash - Payment transaction hash
+   * @param {string} loanId - Loan the payment is credited to
+   * @returns {Promise<boolean>} False when an admin already resolved the entry
+   */
+  async resolveQueuedPayment(txHash, loanId) {
+    if (!(await UnmatchedPayment.exists({ txHash }))) {
+      return true;
+    }
+    
+    const resolved = await UnmatchedPayment.findOneAndUpdate(
+      { txHash, status: 'PENDING' },
+      {
+        $set: {
+          status: 'APPLIED',
+          resolvedLoan: loanId,
+          resolvedBy: 'system',
+          resolvedAt: new Date(),
+          note: 'Credited through its Xumm repayment request'
+        }
+      }
+    );
+    return Boolean(resolved);
+  }
+
+  /**
+   * Atomically mark a repayment as confirmed by a ledger transaction.
+   * Guarded so a transaction is only ever credited once, however many paths
+   * (Xumm callback, manual verify, ledger listener) see it.
+   * @param {string} loanId - The loan ID
+   * @param {object} details
+   * @param {string} [details.repaymentId] - Pending repayment to confirm; a new one is added when omitted
+   * @param {string} details.txHash - Validated transaction hash
+   * @param {object} details.fields - Other repayment fields to record (amount, payer, ledgerIndex, ...)
+   * @returns {Promise<object|null>} Updated loan, or null if the transaction was already credited
+   */
+  async claimRepayment(loanId, { repaymentId, txHash, ...fields }) {
+    const notYetCredited = { _id: loanId, 'repayments.txHash': { $ne: txHash } };
+    const confirmation = { ...fields, txHash, confirmed: true, confirmedAt: new Date() };
+    for (const key of Object.keys(confirmation)) {
+      if (confirmation[key] === undefined) {
+        delete confirmation[key];
+      }
+    }
+
+    if (repaymentId) {
+      const $set = {};
+      for (const [key, value] of Object.entries(confirmation)) {
+        $set[`repayments.$[repayment].${key}`] = value;
+      }
+
+      return Loan.findOneAndUpdate(
+        {
+          ...notYetCredited,
+          repayments: { $elemMatch: { _id: repaymentId, confirmed: false, rejected: { $ne: true } } }
+        },
+        // A new payment on a closed loan has to be reconciled again. The version bump
+        // stops a default quoted before this payment from going through.
+        { $set, $unset: { reconciledAt: '' }, $inc: { __v: 1 } },
+        { new: true, arrayFilters: [{ 'repayment._id': repaymentId }] }
+      );
+    }
+
+    return Loan.findOneAndUpdate(
+      notYetCredited,
+      { $push: { repayments: confirmation }, $unset: { reconciledAt: '' }, $inc: { __v: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Repayment fields describing what a payment delivered compared with what was asked.
+   * Only delivered_amount is credited. Partial payments and amount mismatches are
+   * flagged on the repayment so they can be reviewed.
+   * @param {number} [requestedAmount] - Amount the borrower requested to pay, if any
+   * @param {object} payment
+   * @param {number} payment.deliveredAmount - XRP delivered per validated metadata
+   * @param {boolean} [payment.partialPayment] - Whether tfPartialPayment was set
+   * @returns {object} amount, requestedAmount, deliveredAmount, partialPayment, amountMismatch, verificationNote
+   */
+  describeDelivery(requestedAmount, { deliveredAmount, partialPayment = false }) {
+    const amountMismatch = requestedAmount !== undefined && requestedAmount !== null &&
+      roundXrp(requestedAmount) !== roundXrp(deliveredAmount);
+
+    const notes = [];
+    if (partialPayment) {
+      notes.push('Sent with tfPartialPayment; only the delivered amount was credited');
+    }
+    if (amountMismatch) {
+      notes.push(`Requested ${requestedAmount} XRP but ${deliveredAmount} XRP was delivered`);
+    }
+    if (notes.length > 0) {
+      console.warn(`[LoanService] Repayment flagged: ${notes.join('; ')}`);
+    }
+
+    return {
+      amount: deliveredAmount,
+      requestedAmount: requestedAmount ?? undefined,
+      deliveredAmount,
+      partialPayment,
+      amountMismatch,
+      verificationNote: notes.length > 0 ? notes.join('; ') : undefined
+    };
+  }
+
+  /**
+   * Mark a pending repayment as failed because its transaction did not verify
+   * @param {string} loanId - The loan ID
+   * @param {string} repaymentId - The repayment ID
+   * @param {string} txHash - The transaction that was signed
+   * @param {string} reason - Why verification failed
+   */
+  async failRepayment(loanId, repaymentId, txHash, reason) {
+    await Loan.updateOne(
+      { _id: loanId, repayments: { $elemMatch: { _id: repaymentId, confirmed: false } } },
+      {
+        $set: {
+          'repayments.$[repayment].txHash': txHash,
+          'repayments.$[repayment].rejected': true,
+          'repayments.$[repayment].rejectedAt': new Date(),
+          'repayments.$[repayment].verificationNote': reason
+        }
+      },
+      { arrayFilters: [{ 'repayment._id': repaymentId }] }
+    );
+  }
+
+  /**
+   * Apply a confirmed repayment to the loan: pay down installments and, once the
+   * payoff is settled, mark the loan REPAID and release the collateral.
+   * Anything beyond the payoff is taken off the repayment and handled as an
+   * overpayment credit.
+   * @param {object} loan - Loan document returned by claimRepayment
+   * @param {object} repayment - The confirmed repayment subdocument
+   * @returns {Promise<object>} Updated loan
+   */
+  async applyConfirmedRepayment(loan, repayment) {
+    let current = loan;
+    for (let attempt = 1; attempt <= REPAYMENT_APPLY_ATTEMPTS; attempt++) {
+      const entry = current.repayments.id(repayment._id);
+      const updated = isOpen(current.status)
+        ? await this.settleRepayment(current, entry)
+        : await this.creditRepaymentOnClosedLoan(current, entry);
+
+      if (updated) {
+        const applied = updated.repayments.id(repayment._id);
+        await this.afterRepaymentApplied(updated, applied);
+        return updated;
+      }
+
+      // Another repayment, a default or a restructure landed first; price it again
+      current = await Loan.findById(loan._id);
+      if (!current) throw new Error('Loan not found');
+    }
+
+    throw new Error(`Loan ${loan._id} kept changing while repayment ${repayment._id} was being applied`);
+  }
+
+  /**
+   * Write a repayment on an open loan. The installments, any overpayment and, when
+   * the payoff is settled, the move to REPAID go in one update guarded on the
+   * status and version the payment was priced against.
+   * @param {object} loan - Loan document as last read
+   * @param {object} repayment - The confirmed repayment subdocument
+   * @returns {Promise<object|null>} Updated loan, or null if the loan changed first
+   */
+  async settleRepayment(loan, repayment) {
+    // Payoff as it stood when this payment arrived
+    const receivedAt = repayment.confirmedAt || new Date();
+    const before = calculatePayoff(
+      { ...loan.toObject(), repayments: loan.repayments.filter(r => !r._id.equals(repayment._id)) },
+      receivedAt
+    );
+
+    const overpayment = roundXrp(repayment.amount - before.payoffAmount);
+    const amount = overpayment > 0 ? before.payoffAmount : repayment.amount;
+    if (overpayment > 0) {
+      console.log(`[LoanService] Repayment ${repayment.txHash} on loan ${loan._id} overpaid by ${overpayment} XRP`);
+    }
+
+    const repayments = loan.repayments.map(r => (r._id.equals(repayment._id) ? { ...r.toObject(), amount } : r.toObject()));
+
+    // Late fees, penalty interest and extension fees are paid first and are not
+    // on the schedule; only the interest and principal this payment covered count
+    const scheduledPortion = roundXrp(
+      calculatePayoff({ ...loan.toObject(), repayments }, receivedAt).scheduledRepaid - before.scheduledRepaid
+    );
+
+    // Work on a copy; the document is only changed by the guarded update below
+    const installments = loan.installments.map(installment => installment.toObject());
+    applyPaymentToInstallments(installments, scheduledPortion);
+
+    const payoff = calculatePayoff({ ...loan.toObject(), installments, repayments });
+    console.log(`[LoanService] Loan ${loan._id} payoff after repayment: ${payoff.payoffAmount} XRP`);
+
+    let filter = { status: loan.status };
+    let update = { $set: {} };
+    if (payoff.isSettled) {
+      const repaidAt = new Date();
+      ({ filter, update } = transitionUpdate(loan.status, LOAN_STATUS.REPAID, {
+        actor: repayment.payer || loan.borrower,
+        reason: 'Final repayment confirmed',
+        txHash: repayment.txHash,
+        at: repaidAt
+      }));
+      update.$set.repaidAt = repaidAt;
+      settleRemainingInstallments(installments, repaidAt);
+    }
+
+    update.$set['repayments.$[repayment].amount'] = amount;
+    if (overpayment > 0) {
+      update.$set['repayments.$[repayment].overpayment'] = overpayment;
+    }
+    installments.forEach((installment, index) => {
+      update.$set[`installments.${index}.paidAmount`] = installment.paidAmount;
+      if (installment.paidAt) update.$set[`installments.${index}.paidAt`] = installment.paidAt;
+      if (installment.settledEarly) update.$set[`installments.${index}.settledEarly`] = true;
+    });
+    update.$inc = { __v: 1 };
+
+    return Loan.findOneAndUpdate(
+      { _id: loan._id, ...filter, __v: loan.__v },
+      update,
+      { new: true, arrayFilters: [{ 'repayment._id': repayment._id }] }
+    );
+  }
+
+  /**
+   * Write a repayment that was confirmed after its loan had already closed.
+   * A REPAID loan keeps whatever part of the payment its payoff still needed
+   * (another payment may have settled it using this one); a DEFAULTED loan
+   * keeps what its uncovered loss still needs (the whole remainder until the
+   * collateral claim validates); on any other final status the whole payment
+   * is owed back. The rest becomes an overpayment credit.
+   * @param {object} loan - Loan document in a final status
+   * @param {object} repayment - The confirmed repayment subdocument
+   * @returns {Promise<object|null>} Updated loan, or null if the loan changed first
+   */
+  async creditRepaymentOnClosedLoan(loan, repayment) {
+    let owed = 0;
+    if (loan.status === LOAN_STATUS.REPAID) {
+      owed = Math.max(0, calculatePayoff(
+        { ...loan.toObject(), repayments: loan.repayments.filter(r => !r._id.equals(repayment._id)) },
+        repayment.confirmedAt || new Date()
+      ).payoffAmount);
+    } else if (loan.status === LOAN_STATUS.DEFAULTED) {
+      owed = Math.max(0, loan.defaultDetails?.uncoveredLoss || 0);
+    }
+    const amount = Math.min(repayment.amount, owed);
+    const overpayment = roundXrp(repayment.amount - amount);
+
+    console.warn(`[LoanService] Repayment ${repayment.txHash || repayment._id} arrived on ${loan.status} loan ${loan._id}; ${amount} XRP applied, ${overpayment} XRP will be credited back`);
+
+    const update = { $set: { 'repayments.$[repayment].amount': amount }, $inc: { __v: 1 } };
+    if (overpayment > 0) {
+      update.$set['repayments.$[repayment].overpayment'] = overpayment;
+      update.$set['repayments.$[repayment].verificationNote'] = `Received after the loan was ${loan.status}`;
+    }
+    if (loan.status === LOAN_STATUS.DEFAULTED && amount > 0) {
+      // Recorded separately so a collateral claim that lands later does not count it as lost again
+      update.$set['defaultDetails.uncoveredLoss'] = roundXrp(owed - amount);
+      update.$inc['defaultDetails.recoveredAfterDefault'] = amount;
+    }
+
+    return Loan.findOneAndUpdate(
+      { _id: loan._id, status: loan.status, __v: loan.__v },
+      update,
+      { new: true, arrayFilters: [{ 'repayment._id': repayment._id }] }
+    );
+  }
+
+  /**
+   * Side effects of an applied repayment: queue the collateral release of a
+   * repaid loan and hand any overpayment to the credit flow
+   * @param {object} loan - Loan as updated by the repayment
+   * @param {object} repayment - The applied repayment subdocument
+   */
+  async afterRepaymentApplied(loan, repayment) {
+    // If collateral is in escrow, release it in the background
+    if (loan.status === LOAN_STATUS.REPAID && loan.escrowSequence && !loan.collateralReleased) {
+      try {
+        await this.enqueueCollateralRelease(loan._id);
+        jobQueue.kick();
+      } catch (jobError) {
+        // The repayment stands; reconciliation finds collateral that was never released
+        console.error('Error queueing collateral release:', jobError);
+      }
+    }
+
+    if (repayment.overpayment > 0 && !repayment.credit) {
+      if (!repayment.txHash) {
+        // Credit moved from another loan has no transaction of its own to key a new credit on
+        console.error(`[LoanService] Credit repayment ${repayment._id} on loan ${loan._id} could not be applied; ${repayment.overpayment} XRP needs review`);
+        return;
+      }
+      try {
+        await this.handleOverpayment(loan, repayment);
+      } catch (creditError) {
+        // The credit is recorded before it is allocated, so it can be retried
+        console.error('Error handling overpayment:', creditError);
+      }
+    }
+  }
+
+  /**
+   * Record a repayment's overpayment as a credit and allocate it
+   * @param {object} loan - Loan the repayment was made on
+   * @param {object} repayment - Repayment with an overpayment
+   * @returns {Promise<object>} The credit after allocation
+   */
+  async handleOverpayment(loan, repayment) {
+    const credit = await OverpaymentCredit.findOneAndUpdate(
+      { sourceTxHash: repayment.txHash },
+      {
+        $setOnInsert: {
+          borrower: loan.borrower,
+          sourceLoan: loan._id,
+          sourceTxHash: repayment.txHash,
+          payer: repayment.payer || loan.borrower,
+          amount: repayment.overpayment,
+          remaining: repayment.overpayment
+        }
+      },
+      { upsert: true, new: true }
+    );
+    
+    await Loan.updateOne(
+      { _id: loan._id, 'repayments._id': repayment._id },
+      { $set: { 'repayments.$.credit': credit._id } }
+    );
+    repayment.credit = credit._id;
+    
+    return this.allocateCredit(credit);
+  }
+
+  /**
+   * Spend an open credit: pay down the borrower's other open loans (earliest due first)
+   * if enabled, then refund whatever is left to the payer
+   * @param {object} credit - OverpaymentCredit document
+   * @returns {Promise<object>} Updated credit
+   */
+  async allocateCredit(credit) {
+    if (credit.status !== 'OPEN') {
+      return credit;
+    }
+    
+    if (config.applyOverpaymentToOtherLoans) {
+      const otherLoans = await Loan.find({
+        borrower: credit.borrower,
+        _id: { $ne: credit.sourceLoan },
+        status: { $in: OPEN_STATUSES }
+      }).sort({ dueDate: 1 });
+      
+      for (const other of otherLoans) {
+        if (credit.remaining <= 0) break;
+        
+        const amount = Math.min(credit.remaining, calculatePayoff(other).payoffAmount);
+        if (amount <= 0) continue;
+        
+        const applied = await this.applyCreditToLoan(credit, other._id, amount);
+        if (applied) {
+          credit.allocations.push({ type: 'LOAN', loan: other._id, amount });
+          credit.remaining = roundXrp(credit.remaining - amount);
+          await credit.save();
+        }
+      }
+    }
+    
+    if (credit.remaining > 0) {
+      return this.refundCredit(credit);
+    }
+    
+    credit.status = 'SETTLED';
+    credit.settledAt = new Date();
+    await credit.save();
+    return credit;
+  }
+
+  /**
+   * Credit part of an overpayment to another loan as a repayment
+   * @param {object} credit - OverpaymentCredit document
+   * @param {string} loanId - Loan to pay down
+   * @param {number} amount - XRP to apply, at most the loan's payoff
+   * @returns {Promise<boolean>} False if this credit was already applied to the loan
+   */
+  async applyCreditToLoan(credit, loanId, amount) {
+    const loan = await Loan.findOneAndUpdate(
+      { _id: loanId, status: { $in: OPEN_STATUSES }, 'repayments.credit': { $ne: credit._id } },
+      {
+        $push: {
+          repayments: {
+            amount,
+            confirmed: true,
+            confirmedAt: new Date(),
+            source: 'CREDIT',
+            payer: credit.payer,
+            credit: credit._id,
+            creditFromLoan: credit.sourceLoan,
+            sourceTxHash: credit.sourceTxHash
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!loan) {
+      return false;
+    }
+    
+    const repayment = loan.repayments.find(r => r.credit && r.credit.equals(credit._id));
+    await this.applyConfirmedRepayment(loan, repayment);
+    console.log(`[LoanService] Applied ${amount} XRP of credit from ${credit.sourceTxHash} to loan ${loanId}`);
+    return true;
+  }
+
+  /**
+   * Queue a refund of what is left of a credit to the account that paid it
+   * @param {object} credit - OverpaymentCredit document
+   * @returns {Promise<object>} Updated credit, REFUNDING until the refund job settles it
+   */
+  async refundCredit(credit) {
+    // Marked first so the credit is not allocated again while the refund is out
+    credit.status = 'REFUNDING';
+    await credit.save();
+    
+    await jobQueue.enqueue(JOB_TYPES.REFUND_CREDIT, { creditId: String(credit._id) }, {
+      idempotencyKey: this.refundJobKey(credit),
+      loanId: credit.sourceLoan
+    });
+    jobQueue.kick();
+    return credit;
+  }
+
+  /**
+   * Idempotency key of a credit's refund job
+   * @param {object} credit - OverpaymentCredit document
+   * @returns {string} Job key
+   */
+  refundJobKey(credit) {
+    return `refund:${credit._id}`;
+  }
+
+  /**
+   * REFUND_CREDIT job: send a credit's remaining balance back to the payer and settle it
+   * @param {object} payload
+   * @param {string} payload.creditId - OverpaymentCredit to refund
+   * @returns {Promise<object>} Refund transaction hash and amount
+   */
+  async runCreditRefund({ creditId }) {
+    const credit = await OverpaymentCredit.findById(creditId);
+    if (!credit) throw new Error('Credit not found');
+    
+    if (credit.status === 'SETTLED') {
+      const refund = credit.allocations.find(allocation => allocation.type === 'REFUND');
+      return { txHash: refund?.txHash, amount: refund?.amount };
+    }
+    
+    const amount = credit.remaining;
+    const refund = await xrplService.refundPayment(
+      credit.payer,
+      amount,
+      credit.sourceTxHash,
+      credit.sourceLoan,
+      this.refundJobKey(credit)
+    );
+    
+    credit.allocations.push({ type: 'REFUND', amount, txHash: refund.txHash });
+    credit.remaining = 0;
+    credit.status = 'SETTLED';
+    credit.error = undefined;
+    credit.settledAt = new Date();
+    await credit.save();
+    
+    // Link the refund to the repayment it came from
+    await Loan.updateOne(
+      { _id: credit.sourceLoan, 'repayments.txHash': credit.sourceTxHash },
+      {
+        $set: {
+          'repayments.$.refundTxHash': refund.txHash,
+          'repayments.$.refundAmount': amount
+        }
+      }
+    );
+    return { txHash: refund.txHash, amount };
+  }
+
+  /**
+   * Shape the response returned after processing a repayment
+   * @param {object} loan - Loan document
    * @param {string} repaymentId - The repayment ID
-   * @returns {Promise<Object>} Subscription result
+   * @param {string} txHash - Repayment transaction hash
+   * @returns {object} Processing result
    */
-  async subscribeToRepaymentSignature(loanId, repaymentId) {
-    try {
-      // Get loan from database
-      const loan = await Loan.findById(loanId);
-      if (!loan) {
-        throw new Error('Loan not found');
-      }
-      
-      // Find the specific repayment
-      const repayment = loan.repayments.find(r => r._id.toString() === repaymentId);
-      if (!repayment) {
-        throw new Error('Repayment not found');
-      }
-      
-      if (!repayment.payloadId) {
-        throw new Error('No payload ID found for repayment');
-      }
-      
-      // Create subscription with callbacks
-      const result = await this.xummHandler.subscribeToPayload(
-        repayment.payloadId,
-        `${loanId}:${repaymentId}`, // Use combined ID for context
-        // onSigned callback
-        async (context, payload) => {
-          const [loanId, repaymentId] = context.split(':');
-          console.log(`[${new Date().toISOString()}] Processing signed repayment for loan ${loanId}, repayment ${repaymentId}`);
-          await this.processRepaymentSignature(loanId, repaymentId, payload.uuid);
-        },
-        // onRejected callback
-        async (context) => {
-          const [loanId, repaymentId] = context.split(':');
-          console.log(`[${new Date().toISOString()}] Processing rejected repayment for loan ${loanId}, repayment ${repaymentId}`);
-          await this.rejectRepayment(loanId, repaymentId);
-        }
-      );
-      
-      return result;
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error subscribing to repayment signature:`, error);
-      throw error;
-    }
+  repaymentResult(loan, repaymentId, txHash) {
+    return {
+      success: true,
+      loan,
+      repaymentId,
+      txHash,
+      isFullyRepaid: loan.status === LOAN_STATUS.REPAID
+    };
   }
 
   /**
-   * Manually verify a repayment signature
-   * @param {string} loanId - The loan ID
-   * @param {string} repaymentId - The repayment ID
-   * @returns {Promise<Object>} Result of verification
+   * Credit a validated payment the ledger listener matched to a loan.
+   * If the payment came from one of the loan's pending Xumm requests, that request
+   * is confirmed; otherwise a new repayment is recorded.
+   * @param {object} loan - Loan document the payment was matched to
+   * @param {object} payment
+   * @param {string} payment.txHash - Validated transaction hash
+   * @param {number} payment.amount - XRP delivered (delivered_amount)
+   * @param {boolean} [payment.partialPayment] - Whether tfPartialPayment was set
+   * @param {string} payment.payer - Sending account
+   * @param {number} payment.ledgerIndex - Ledger the payment was validated in
+   * @returns {Promise<object>} { applied, loan, repaymentId }; applied is false if it was already credited
    */
-  async verifyRepaymentSignature(loanId, repaymentId) {
+  async recordLedgerRepayment(loan, { txHash, amount, partialPayment, payer, ledgerIndex }) {
     try {
-      // Get loan
-      const loan = await Loan.findById(loanId);
-      if (!loan) {
-        throw new Error('Loan not found');
-      }
-      
-      // Find the repayment
-      const repaymentIndex = loan.repayments.findIndex(r => r._id.toString() === repaymentId);
-      if (repaymentIndex === -1) {
-        throw new Error('Repayment not found');
+      if (!isOpen(loan.status)) {
+        throw new Error(`Cannot process repayment for loan with status: ${loan.status}`);
       }
-      
-      const repayment = loan.repayments[repaymentIndex];
-      if (!repayment.payloadId) {
-        throw new Error('No payload ID found for repayment');
+
+      const existing = loan.repayments.find(r => r.txHash === txHash && r.confirmed);
+      if (existing) {
+        return { applied: false, loan, repaymentId: existing._id.toString() };
       }
-      
-      // Check payload status directly
-      const payload = await this.xummHandler.checkPayloadStatus(repayment.payloadId);
-      
-      if (payload.meta.signed === true) {
-        // Process the repayment
-        console.log(`[${new Date().toISOString()}] Manual verification found signed payload for repayment`);
-        return await this.processRepaymentSignature(loanId, repaymentId, repayment.payloadId);
-      } else {
-        return { 
-          success: false, 
-          message: 'Transaction not signed yet',
-          payloadStatus: payload.meta 
-        };
+
+      // A borrower paying through the app also shows up on the stream
+      const pendingRequest = await this.findRepaymentRequestForTx(loan, txHash);
+
+      const claimed = await this.claimRepayment(loan._id, {
+        repaymentId: pendingRequest?._id.toString(),
+        txHash,
+        payer,
+        ledgerIndex,
+        // Only recorded for new repayments; a matched request keeps its XUMM source
+        source: pendingRequest ? undefined : 'LEDGER',
+        ...this.describeDelivery(
+          pendingRequest ? (pendingRequest.requestedAmount ?? pendingRequest.amount) : undefined,
+          { deliveredAmount: amount, partialPayment }
+        )
+      });
+      if (!claimed) {
+        return { applied: false, loan: await Loan.findById(loan._id), repaymentId: pendingRequest?._id.toString() };
       }
+
+      const repayment = claimed.repayments.find(r => r.txHash === txHash);
+      const applied = await this.applyConfirmedRepayment(claimed, repayment);
+
+      console.log(`[LoanService] Ledger payment ${txHash} of ${amount} XRP applied to loan ${loan._id}`);
+      return { applied: true, loan: applied, repaymentId: repayment._id.toString() };
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error verifying repayment signature:`, error);
+      console.error('Error recording ledger repayment:', error);
       throw error;
     }
   }
 
   /**
-   * Process a signed repayment
-   * @param {string} loanId - The loan ID
-   * @param {string} repaymentId - The repayment ID
-   * @param {string} payloadId - The XUMM payload ID
-   * @returns {Promise<Object>} Processing result
+   * Find the pending Xumm repayment request, if any, that produced a transaction
+   * @param {object} loan - Loan document
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<object|null>} Pending repayment subdocument
    */
-  async processRepaymentSignature(loanId, repaymentId, payloadId) {
-    try {
-      // Get loan
-      const loan = await Loan.findById(loanId);
-      if (!loan) {
-        throw new Error('Loan not found');
-      }
-      
-      // Find the repayment
-      const repaymentIndex = loan.repayments.findIndex(r => r._id.toString() === repaymentId);
-      if (repaymentIndex === -1) {
-        throw new Error('Repayment not found');
-      }
-      
-      // Verify the signature
-      const verification = await xrplService.verifySignature(payloadId);
-      if (!verification.signed) {
-        throw new Error('Signature verification failed');
-      }
-      
-      // Update repayment with transaction details
-      loan.repayments[repaymentIndex].txHash = verification.txid;
-      loan.repayments[repaymentIndex].confirmed = true;
-      
-      // Calculate total owed (principal + interest)
-      const interestAmount = loan.amount * (loan.interestRate / 100);
-      const totalOwed = loan.amount + interestAmount;
-      
-      // Calculate total repaid including this repayment
-      const totalRepaid = loan.repayments.reduce((sum, payment) => {
-        return payment.confirmed ? sum + payment.amount : sum;
-      }, 0);
-      
-      console.log('TOTAL_REPAID', totalRepaid);
-      console.log("TOTAL_OWED", totalOwed);
-      // Check if loan is fully repaid
-      if (totalRepaid >= totalOwed) {
-        loan.status = 'REPAID';
-        loan.repaidAt = new Date();
-        
-        // If collateral is in escrow, release it
-        if (loan.escrowSequence) {
-          try {
-            // This would be handled async in a real system to prevent blocking
-            await xrplService.releaseCollateral(loan.escrowSequence, loan.borrower);
-            loan.collateralReleased = true;
-            loan.collateralReleasedAt = new Date();
-          } catch (escrowError) {
-            console.error('Error releasing collateral:', escrowError);
-            // Don't fail the whole process if escrow release fails
-            // A separate process should retry failed escrow releases
-          }
+  async findRepaymentRequestForTx(loan, txHash) {
+    const pending = loan.repayments.filter(r => !r.confirmed && !r.rejected && r.payloadId);
+
+    for (const repayment of pending) {
+      try {
+        const verification = await xrplService.verifySignature(repayment.payloadId);
+        if (verification.signed && verification.txid === txHash) {
+          return repayment;
         }
+      } catch (error) {
+        console.error(`Error checking repayment payload ${repayment.payloadId}:`, error.message);
       }
-      
-      await loan.save();
-      
-      return {
-        success: true,
-        loan,
-        repaymentId,
-        txHash: verification.txid,
-        isFullyRepaid: loan.status === 'REPAID'
-      };
-    } catch (error) {
-      console.error('Error processing repayment signature:', error);
-      throw error;
     }
+    return null;
   }
 
   /**
@@ -615,20 +2511,20 @@ class LoanService {
   /**
    * Reject a loan application
    * @param {string} loanId - ID of the loan to reject
+   * @param {object} [options]
+   * @param {string} [options.actor='system'] - Who rejected it
+   * @param {string} [options.reason] - Why it was rejected
    * @returns {Promise<object>} Updated loan object
    */
-  async rejectLoan(loanId) {
+  async rejectLoan(loanId, { actor = 'system', reason = 'Loan application rejected' } = {}) {
     try {
       const loan = await Loan.findById(loanId);
       if (!loan) {
         throw new Error('Loan not found');
       }
 
-      if (loan.status !== 'PENDING') {
-        throw new Error(`Cannot reject loan with status: ${loan.status}`);
-      }
-
-      loan.status = 'REJECTED';
+      transition(loan, LOAN_STATUS.REJECTED, { actor, reason });
+      loan.rejectedAt = new Date();
       await loan.save();
       return loan;
     } catch (error) {
@@ -637,53 +2533,6 @@ class LoanService {
     }
   }
 
-  /**
-   * Process a loan repayment
-   * @param {string} loanId - ID of the loan being repaid
-   * @param {number} amount - Repayment amount
-   * @param {string} txHash - Transaction hash of the repayment
-   * @returns {Promise<object>} Updated loan object
-   */
-  async processRepayment(loanId, amount, txHash) {
-    try {
-      const loan = await Loan.findById(loanId);
-      if (!loan) {
-        throw new Error('Loan not found');
-      }
-
-      if (loan.status !== 'ACTIVE') {
-        throw new Error(`Cannot process repayment for loan with status: ${loan.status}`);
-      }
-
-      // Add repayment to history
-      loan.repaymentHistory.push({
-        amount,
-        txHash,
-        date: new Date()
-      });
-
-      // Calculate total repaid
-      const totalRepaid = loan.repaymentHistory.reduce((sum, payment) => sum + payment.amount, 0);
-      
-      // Calculate total owed (principal + interest)
-      const totalOwed = loan.amount * (1 + loan.interestRate);
-
-      // Check if loan is fully repaid
-      if (totalRepaid >= totalOwed) {
-        loan.status = 'REPAID';
-        
-        // Release collateral
-        await xrplService.releaseCollateral(loan.escrowSequence, loan.borrower);
-      }
-
-      await loan.save();
-      return loan;
-    } catch (error) {
-      console.error('Error processing repayment:', error);
-      throw error;
-    }
-  }
-
   /**
    * Handle defaulted undercollateralized loans
    * @param {string} loanId - ID of the defaulted loan
@@ -700,9 +2549,7 @@ class LoanService {
       }
 
       // Check loan status
-      if (loan.status !== 'ACTIVE') {
-        throw new Error(`Cannot mark as defaulted: loan with status ${loan.status}`);
-      }
+      assertTransition(loan, LOAN_STATUS.DEFAULTED);
       
       // Verify the loan is past due (unless force default is enabled)
       if (!forceDefault) {
@@ -714,7 +2561,7 @@ class LoanService {
           throw new Error(`Cannot mark as defaulted: loan is not yet past due. Due date: ${dueDate.toISOString()}`);
         }
         
-        const gracePeriod = process.env.DEFAULT_GRACE_PERIOD_DAYS || 3; // days
+        const gracePeriod = config.defaultGracePeriodDays;
         const gracePeriodEnd = new Date(dueDate);
         gracePeriodEnd.setDate(gracePeriodEnd.getDate() + parseInt(gracePeriod));
         
@@ -728,86 +2575,245 @@ class LoanService {
         console.log(`[DEFAULT] Force defaulting loan ${loanId} by admin override`);
       }
 
-      const repayments = loan.repayments || [];
-      
-      // Calculate from repayments array (new structure)
-      const totalRepaid = repayments.reduce(
-        (sum, payment) => payment.confirmed ? sum + payment.amount : sum, 
-        0
-      );
-      
-      // Calculate total owed (principal + interest)
-      // Check if interest rate is stored as percentage or decimal
-      let interestRate = loan.interestRate;
-      if (interestRate > 1) {
-        // Convert from percentage to decimal if needed
-        interestRate = interestRate / 100;
-      }
-      
-      const interestAmount = loan.amount * interestRate;
-      const totalOwed = loan.amount + interestAmount;
-      const remainingOwed = Math.max(0, totalOwed - totalRepaid);
-      
-      // Calculate how much is covered by collateral and how much is actual loss
-      const collateralValue = loan.collateralAmount;
-      const uncoveredLoss = Math.max(0, remainingOwed - collateralValue);
+      // Interest and penalties have kept accruing past the due date, so quote the payoff as of now
+      const {
+        totalOwed,
+        totalRepaid,
+        lateFeeDue,
+        penaltyInterestDue,
+        payoffAmount: remainingOwed
+      } = calculatePayoff(loan);
       
       console.log(`[DEFAULT] Loan ${loanId} default metrics:
         Total Owed: ${totalOwed} XRP
         Total Repaid: ${totalRepaid} XRP
+        Late Fee: ${lateFeeDue} XRP
+        Penalty Interest: ${penaltyInterestDue} XRP
         Remaining: ${remainingOwed} XRP
-        Collateral: ${collateralValue} XRP
-        Uncovered Loss: ${uncoveredLoss} XRP
+        Collateral: ${loan.collateralAmount} XRP
       `);
       
-      let claimTxHash = null;
-      
-      // If there is an escrow sequence, claim it on the XRPL
-      if (loan.escrowSequence) {
-        try {
-          console.log(`[DEFAULT] Attempting to claim escrow for loan ${loanId} with sequence ${loan.escrowSequence}`);
-          const claimResult = await xrplService.claimCollateralEscrow(
-            loan.borrower,
-            loan.escrowSequence
-          );
-          
-          claimTxHash = claimResult.txHash;
-          console.log(`[DEFAULT] Successfully claimed collateral for loan ${loanId}, txHash: ${claimTxHash}`);
-        } catch (escrowError) {
-          console.error(`[ERROR] Failed to claim escrow for defaulted loan ${loanId}:`, escrowError);
-          
-          // Generate a placeholder hash for recording purposes
-          claimTxHash = `ERROR_CLAIM_TX_${Math.random().toString(36).substring(2, 15)}`;
-          console.log(`[DEFAULT] Using placeholder tx hash for failed claim: ${claimTxHash}`);
-        }
-      } else {
-        console.warn(`[WARNING] No escrow sequence found for loan ${loanId}`);
-        claimTxHash = `MISSING_ESCROW_TX_${Math.random().toString(36).substring(2, 15)}`;
-      }
-      
-      // Update loan status
-      loan.status = 'DEFAULTED';
-      loan.defaultDetails = {
+      // Update loan status. The whole remainder counts as lost until the claim validates.
+      // Guarded on the status and version the payoff was quoted from, so a repayment
+      // settled in the meantime is never overwritten or its collateral claimed.
+      const reason = forceDefault ? 'Administrative action' : 'Loan past due date with insufficient repayment';
+      const { filter, update } = transitionUpdate(loan.status, LOAN_STATUS.DEFAULTED, {
+        actor: forceDefault ? 'admin' : 'system',
+        reason
+      });
+      update.$set.defaultDetails = {
         totalOwed,
         totalRepaid,
         remainingOwed,
-        collateralClaimed: collateralValue,
-        uncoveredLoss,
-        claimTxHash,
+        lateFee: lateFeeDue,
+        penaltyInterest: penaltyInterestDue,
+        collateralClaimed: 0,
+        uncoveredLoss: remainingOwed,
+        claimTxHash: null,
+        claimError: loan.escrowSequence ? null : 'No escrow sequence recorded for this loan',
         defaultedAt: new Date(),
-        reason: forceDefault ? 'Administrative action' : 'Loan past due date with insufficient repayment'
+        reason
       };
+      update.$inc = { __v: 1 };
       
-      await loan.save();
+      const defaulted = await Loan.findOneAndUpdate(
+        { _id: loan._id, ...filter, __v: loan.__v },
+        update,
+        { new: true }
+      );
+      if (!defaulted) {
+        throw new Error('Loan changed while it was being defaulted; check it again');
+      }
       console.log(`[DEFAULT] Loan ${loanId} status updated to DEFAULTED`);
       
-      return loan;
+      if (!defaulted.escrowSequence) {
+        console.warn(`[WARNING] No escrow sequence found for loan ${loanId}`);
+        return defaulted;
+      }
+      
+      // Claim the collateral through the job queue; a failed claim is retried in the background
+      const job = await this.enqueueCollateralClaim(loan._id);
+      const run = await jobQueue.runNow(job._id);
+      if (run.status !== 'COMPLETED') {
+        console.error(`[ERROR] Failed to claim escrow for defaulted loan ${loanId}: ${run.lastError}`);
+      }
+      
+      return Loan.findById(loanId);
     } catch (error) {
       console.error(`[ERROR] Error handling defaulted loan ${loanId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Default every open loan that is past its due date and grace period.
+   * Each loan is handled on its own, so one failure does not stop the rest, and
+   * the run is saved as an OverdueScanReport. A dry run only reports what it would do.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Report the overdue loans without defaulting them
+   * @param {string} [options.trigger='cron'] - What started the run (cron, admin)
+   * @param {string} [options.actor='system'] - Who started the run
+   * @returns {Promise<object>} The saved report
+   */
+  async checkForOverdueLoans({ dryRun = false, trigger = 'cron', actor = 'system' } = {}) {
+    const gracePeriodDays = config.defaultGracePeriodDays;
+    // Same rule as handleDefaultedLoan: overdue once dueDate + grace period has passed
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - gracePeriodDays);
+
+    const report = await OverdueScanReport.create({ dryRun, trigger, actor, gracePeriodDays, cutoff });
+    console.log(`[OVERDUE] Scan ${report._id} started${dryRun ? ' (dry run)' : ''}`);
+
+    try {
+      const overdueLoans = await Loan.find({
+        status: { $in: OPEN_STATUSES },
+        dueDate: { $lte: cutoff }
+      }).sort({ dueDate: 1 });
+      report.overdue = overdueLoans.length;
+
+      for (const loan of overdueLoans) {
+        const graceEndsAt = new Date(loan.dueDate);
+        graceEndsAt.setDate(graceEndsAt.getDate() + gracePeriodDays);
+        const result = {
+          loan: loan._id,
+          borrower: loan.borrower,
+          dueDate: loan.dueDate,
+          graceEndsAt,
+          collateralAmount: loan.collateralAmount
+        };
+
+        try {
+          result.remainingOwed = calculatePayoff(loan).payoffAmount;
+
+          if (dryRun) {
+            result.action = 'WOULD_DEFAULT';
+          } else {
+            const defaulted = await this.handleDefaultedLoan(loan._id);
+            result.action = 'DEFAULTED';
+            result.remainingOwed = defaulted.defaultDetails.remainingOwed;
+            result.claimTxHash = defaulted.defaultDetails.claimTxHash;
+            result.claimError = defaulted.defaultDetails.claimError;
+            report.defaulted++;
+          }
+        } catch (error) {
+          console.error(`[OVERDUE] Error defaulting loan ${loan._id}:`, error);
+          result.action = 'ERROR';
+          result.error = error.message;
+          report.failed++;
+        }
+
+        report.results.push(result);
+      }
+
+      report.status = 'COMPLETED';
+    } catch (error) {
+      console.error('[OVERDUE] Scan failed:', error);
+      report.status = 'FAILED';
+      report.error = error.message;
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    console.log(`[OVERDUE] Scan ${report._id} ${report.status}: ${report.overdue} overdue, ${report.defaulted} defaulted, ${report.failed} failed`);
+    return report;
+  }
+
+  /**
+   * List overdue scan reports, newest first
+   * @param {object} [filter]
+   * @param {number} [filter.limit=50] - Maximum number of reports
+   * @returns {Promise<Array>} Reports
+   */
+  async getOverdueScanReports({ limit = 50 } = {}) {
+    return OverdueScanReport.find()
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+  }
+
+  /**
+   * Get one overdue scan report
+   * @param {string} reportId - Report ID
+   * @returns {Promise<object|null>} Report
+   */
+  async getOverdueScanReport(reportId) {
+    return OverdueScanReport.findById(reportId);
+  }
+
+  /**
+   * Expire PENDING applications whose escrow payload was never signed.
+   * Cancels the open Xumm payload, closes any subscriptions for the loan and
+   * moves it to EXPIRED. Loans whose payload is still open in a wallet are left
+   * for the next run. A signed payload that was never activated (a missed Xumm
+   * callback) is activated now; one whose activation already failed
+   * MAX_ACTIVATION_ATTEMPTS times is expired.
+   * @param {Date} [asOf=new Date()] - Instant to measure the TTL against
+   * @returns {Promise<Array>} Loans that were expired
+   */
+  async expirePendingLoans(asOf = new Date()) {
+    const ttlMinutes = config.pendingLoanTtlMinutes;
+    const cutoff = new Date(asOf.getTime() - ttlMinutes * 60 * 1000);
+    // The TTL runs from when the current payload was issued, so re-issued
+    // payloads get a fresh window
+    const staleLoans = await Loan.find({
+      status: LOAN_STATUS.PENDING,
+      $or: [
+        { escrowPayloadIssuedAt: { $lt: cutoff } },
+        { escrowPayloadIssuedAt: { $exists: false }, createdAt: { $lt: cutoff } }
+      ]
+    });
+
+    const expiredLoans = [];
+
+    for (const loan of staleLoans) {
+      const loanId = loan._id.toString();
+      try {
+        let reason = `Escrow payload not signed within ${ttlMinutes} minutes`;
+        if (loan.escrowPayloadId) {
+          const payload = await this.xummHandler.checkPayloadStatus(loan.escrowPayloadId);
+          if (payload?.meta?.signed === true) {
+            // Activations of this payload that were handed back to PENDING
+            const issuedAt = new Date(loan.escrowPayloadIssuedAt || 0);
+            const attempts = (loan.statusHistory || []).filter(entry =>
+              entry.from === LOAN_STATUS.ACTIVATING && entry.to === LOAN_STATUS.PENDING && entry.at >= issuedAt
+            ).length;
+            if (attempts < MAX_ACTIVATION_ATTEMPTS) {
+              console.log(`[EXPIRY] Loan ${loanId} escrow payload is signed but not activated, activating it`);
+              await this.executeLoan(loanId, loan.escrowPayloadId, loan.borrower);
+              continue;
+            }
+            reason = `Signed collateral escrow could not be verified after ${attempts} attempts`;
+          } else {
+            const { cancelled, reason: notCancelled } = await xrplService.cancelPayload(loan.escrowPayloadId);
+            if (!cancelled && notCancelled === 'ALREADY_OPENED') {
+              // The borrower may still be about to sign; Xumm expires it on its own
+              console.log(`[EXPIRY] Loan ${loanId} escrow payload is open in a wallet, retrying next run`);
+              continue;
+            }
+          }
+        }
+
+        this.xummHandler.unsubscribeLoan(loanId);
+
+        // Guarded on PENDING so an activation claimed meanwhile is not overwritten
+        const { filter, update } = transitionUpdate(LOAN_STATUS.PENDING, LOAN_STATUS.EXPIRED, { reason, at: asOf });
+        update.$set.expiredAt = asOf;
+        const expired = await Loan.findOneAndUpdate({ _id: loan._id, ...filter }, update, { new: true });
+        if (!expired) {
+          console.log(`[EXPIRY] Loan ${loanId} changed status before it could be expired`);
+          continue;
+        }
+
+        console.log(`[EXPIRY] Loan ${loanId} expired`);
+        expiredLoans.push(expired);
+      } catch (error) {
+        console.error(`[EXPIRY] Error expiring loan ${loanId}:`, error);
+      }
+    }
+
+    return expiredLoans;
+  }
+
   /**
    * Get loans for a borrower
    * @param {string} borrowerWalletAddress - Borrower's wallet address
@@ -840,6 +2846,32 @@ class LoanService {
     }
   }
 
+  /**
+   * Convert a loan to its API representation, with computed balances attached
+   * @param {object} loan - Loan document
+   * @param {Date} [asOf=new Date()] - Instant to compute balances at
+   * @returns {object} Plain loan object including remainingBalance, totalOwed and nextDueDate
+   */
+  serializeLoan(loan, asOf = new Date()) {
+    const data = typeof loan.toJSON === 'function' ? loan.toJSON() : { ...loan };
+    return {
+      ...data,
+      ...summarizeLoan(loan, asOf),
+      // Where to send repayments from any wallet, together with destinationTag
+      repaymentAddress: config.platformEscrowAddress
+    };
+  }
+
+  /**
+   * Quote the live payoff amount for a loan
+   * @param {object} loan - Loan document
+   * @param {Date} [asOf=new Date()] - Instant to quote at
+   * @returns {object} Payoff quote from the accrual engine
+   */
+  getPayoffQuote(loan, asOf = new Date()) {
+    return calculatePayoff(loan, asOf);
+  }
+
   async getPlatformMetrics() {
     try {
       // Get all loans - this is the ONLY database query we need now.
@@ -847,49 +2879,46 @@ class LoanService {
       
       // --- All this calculation logic is good and remains the same ---
       const totalLoans = loans.length;
-      const activeLoans = loans.filter(loan => loan.status === 'ACTIVE').length;
-      const repaidLoans = loans.filter(loan => loan.status === 'REPAID').length;
-      const defaultedLoans = loans.filter(loan => loan.status === 'DEFAULTED').length;
+      const activeLoans = loans.filter(loan => isOpen(loan.status)).length;
+      const repaidLoans = loans.filter(loan => loan.status === LOAN_STATUS.REPAID).length;
+      const defaultedLoans = loans.filter(loan => loan.status === LOAN_STATUS.DEFAULTED).length;
       const totalLoanVolume = loans.reduce((sum, loan) => sum + loan.amount, 0);
       const totalCollateralLocked = loans
-        .filter(loan => loan.status === 'ACTIVE')
+        .filter(loan => isOpen(loan.status))
         .reduce((sum, loan) => sum + loan.collateralAmount, 0);
       const totalUndercollateralizedAmount = loans
-        .filter(loan => loan.status === 'ACTIVE')
+        .filter(loan => isOpen(loan.status))
         .reduce((sum, loan) => sum + (loan.amount - loan.collateralAmount), 0);
       const defaultRate = totalLoans > 0 ? (defaultedLoans / totalLoans) * 100 : 0; // As percentage
       const totalLossAmount = loans
-        .filter(loan => loan.status === 'DEFAULTED' && loan.defaultDetails)
+        .filter(loan => loan.status === LOAN_STATUS.DEFAULTED && loan.defaultDetails)
         .reduce((sum, loan) => sum + (loan.defaultDetails.uncoveredLoss || 0), 0);
       const avgCollateralRatio = totalLoans > 0
-        ? (loans.reduce((sum, loan) => sum + (loan.collateralAmount / loan.amount), 0) / totalLoans) * 100 // As percentage
+        ? (loans.reduce((sum, loan) => sum + calculateCollateralRatio(loan.collateralAmount, loan.amount), 0) / totalLoans) * 100 // As percentage
         : 0;
   
-      // --- START: CORRECTED RISK DISTRIBUTION LOGIC ---
-  
-      // 1. Initialize the distribution map.
-      const riskDistribution = {
-        'Very Low Risk': 0,
-        'Low Risk': 0,
-        'Medium Risk': 0,
-        'High Risk': 0,
-        'Very High Risk': 0,
-        'Unknown': 0 // For older loans without the field
-      };
-      
-      // 2. Iterate through the loans we already fetched. NO extra DB call!
+      // Group by the tier stored on each loan at origination, so the figures
+      // stay correct after the risk policy changes. Loans created before the
+      // snapshot existed are reported as 'Unknown'.
+      const riskDistribution = {};
+      const defaultsByTier = {};
+
       for (const loan of loans) {
-        if (loan.riskCategory) {
-          // Increment the count for the category stored ON THE LOAN.
-          riskDistribution[loan.riskCategory]++;
-        } else {
-          // Handle old data gracefully.
-          riskDistribution['Unknown']++;
+        const tierName = loan.riskCategory || 'Unknown';
+
+        riskDistribution[tierName] = (riskDistribution[tierName] || 0) + 1;
+
+        if (!defaultsByTier[tierName]) {
+          defaultsByTier[tierName] = { total: 0, defaulted: 0, defaultRate: '0.00%' };
         }
+        const tierStats = defaultsByTier[tierName];
+        tierStats.total++;
+        if (loan.status === LOAN_STATUS.DEFAULTED) {
+          tierStats.defaulted++;
+        }
+        tierStats.defaultRate = ((tierStats.defaulted / tierStats.total) * 100).toFixed(2) + '%';
       }
   
-      // --- END: CORRECTED LOGIC ---
-  
       return {
         totalLoans,
         activeLoans,
@@ -901,7 +2930,8 @@ class LoanService {
         defaultRate: defaultRate.toFixed(2) + '%',
         totalLossAmount,
         avgCollateralRatio: avgCollateralRatio.toFixed(2) + '%',
-        riskDistribution
+        riskDistribution,
+        defaultsByTier
       };
     } catch (error) {
       console.error('Error getting platform metrics:', error);
@@ -0,0 +1,186 @@
+const Loan = require('../models/Loan');
+const UnmatchedPayment = require('../models/UnmatchedPayment');
+const OverpaymentCredit = require('../models/OverpaymentCredit');
+const loanService = require('./loanService');
+const jobQueue = require('./jobQueue');
+
+/**
+ * Review queue for payments the repayment listener could not match to a loan.
+ * An admin either applies a payment to the right loan or dismisses it
+ * (for example after refunding it by hand). Overpayment credits whose refund
+ * failed are also reviewed here.
+ */
+class PaymentReviewService {
+  /**
+   * List queued payments, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.status='PENDING'] - PENDING, APPLIED or DISMISSED
+   * @returns {Promise<Array>} Unmatched payments
+   */
+  async listPayments({ status = 'PENDING' } = {}) {
+    return UnmatchedPayment.find({ status }).sort({ receivedAt: -1 });
+  }
+
+  /**
+   * Credit a queued payment to a loan as a confirmed repayment
+   * @param {string} paymentId - UnmatchedPayment ID
+   * @param {string} loanId - Loan to credit
+   * @param {object} [options]
+   * @param {string} [options.actor='admin'] - Who resolved it
+   * @param {string} [options.note] - Why it belongs to this loan
+   * @returns {Promise<object>} { payment, loan }
+   */
+  async applyPayment(paymentId, loanId, { actor = 'admin', note } = {}) {
+    try {
+      const payment = await this.getPendingPayment(paymentId);
+
+      if (payment.deliveredAmount === undefined || payment.deliveredAmount === null) {
+        throw new Error('Only XRP payments can be applied to a loan');
+      }
+
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      // Its Xumm repayment request may have credited (or refunded) the same transaction
+      if (await loanService.isPaymentCredited(payment.txHash)) {
+        throw new Error('This transaction was already credited or refunded');
+      }
+
+      // Claim the entry first so the Xumm path and a second admin stand down
+      const claimed = await UnmatchedPayment.findOneAndUpdate(
+        { _id: payment._id, status: 'PENDING' },
+        {
+          $set: {
+            status: 'APPLIED',
+            resolvedLoan: loan._id,
+            resolvedBy: actor,
+            resolvedAt: new Date(),
+            note
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('Payment was resolved while it was being applied');
+      }
+
+      let result;
+      try {
+        result = await loanService.recordLedgerRepayment(loan, {
+          txHash: payment.txHash,
+          amount: payment.deliveredAmount,
+          partialPayment: payment.partialPayment,
+          payer: payment.account,
+          ledgerIndex: payment.ledgerIndex
+        });
+      } catch (error) {
+        await UnmatchedPayment.updateOne(
+          { _id: payment._id, status: 'APPLIED', resolvedBy: actor },
+          {
+            $set: { status: 'PENDING' },
+            $unset: { resolvedLoan: '', resolvedBy: '', resolvedAt: '', note: '' }
+          }
+        );
+        throw error;
+      }
+
+      return { payment: claimed, loan: result.loan };
+    } catch (error) {
+      console.error('Error applying queued payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a queued payment without crediting it
+   * @param {string} paymentId - UnmatchedPayment ID
+   * @param {object} [options]
+   * @param {string} [options.actor='admin'] - Who resolved it
+   * @param {string} [options.note] - What was done instead
+   * @returns {Promise<object>} Updated payment
+   */
+  async dismissPayment(paymentId, { actor = 'admin', note } = {}) {
+    try {
+      const payment = await this.getPendingPayment(paymentId);
+
+      payment.status = 'DISMISSED';
+      payment.resolvedBy = actor;
+      payment.resolvedAt = new Date();
+      payment.note = note;
+      await payment.save();
+
+      return payment;
+    } catch (error) {
+      console.error('Error dismissing queued payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List overpayment credits, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.status] - OPEN, REFUNDING, SETTLED or FAILED; all when omitted
+   * @returns {Promise<Array>} Overpayment credits
+   */
+  async listCredits({ status } = {}) {
+    return OverpaymentCredit.find(status ? { status } : {}).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Try again to settle a credit whose refund failed.
+   * The refund job is put back in the queue; its idempotency key makes it check the
+   * ledger for the earlier refund before sending another.
+   * @param {string} creditId - OverpaymentCredit ID
+   * @returns {Promise<object>} Updated credit
+   */
+  async retryCredit(creditId) {
+    try {
+      const credit = await OverpaymentCredit.findById(creditId);
+      if (!credit) {
+        throw new Error('Credit not found');
+      }
+      if (credit.status !== 'FAILED') {
+        throw new Error(`Only failed credits can be retried; this one is ${credit.status}`);
+      }
+
+      credit.error = undefined;
+
+      // A refund that ran out of attempts is retried as the same job, so it cannot be sent twice
+      const refundJob = await jobQueue.getByKey(loanService.refundJobKey(credit));
+      if (refundJob) {
+        credit.status = 'REFUNDING';
+        await credit.save();
+        await jobQueue.retry(refundJob._id);
+        return credit;
+      }
+
+      credit.status = 'OPEN';
+      await credit.save();
+
+      return loanService.allocateCredit(credit);
+    } catch (error) {
+      console.error('Error retrying credit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a queued payment that has not been resolved yet
+   * @param {string} paymentId - UnmatchedPayment ID
+   * @returns {Promise<object>} Unmatched payment
+   */
+  async getPendingPayment(paymentId) {
+    const payment = await UnmatchedPayment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    if (payment.status !== 'PENDING') {
+      throw new Error(`Payment was already ${payment.status.toLowerCase()}`);
+    }
+    return payment;
+  }
+}
+
+module.exports = new PaymentReviewService();
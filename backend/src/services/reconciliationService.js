@@ -0,0 +1,631 @@
+const config = require('../config/config');
+const Loan = require('../models/Loan');
+const SubmittedTransaction = require('../models/SubmittedTransaction');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const xrplService = require('./xrplService');
+const loanService = require('./loanService');
+const jobQueue = require('./jobQueue');
+const repaymentListener = require('./repaymentListener');
+const { roundXrp } = require('../utils/loanSchedule');
+const { LOAN_STATUS, OPEN_STATUSES, isOpen } = require('../utils/loanStateMachine');
+
+// Platform transactions this close to the validated tip are left for the next run,
+// so the repayment listener and the transaction submitter record them first
+const SETTLE_LEDGERS = 20;
+const MAX_TRANSACTIONS_PER_RUN = 1000;
+const XRP_TOLERANCE = 0.000001;
+// Job states in which the queue is still working on a side effect
+const JOB_IN_PROGRESS = ['PENDING', 'RUNNING', 'FAILED'];
+
+/**
+ * Checks that MongoDB agrees with the ledger and writes a ReconciliationReport.
+ * Loans are checked against their escrows, disbursements and repayment transactions,
+ * and the platform account's history against what the backend recorded sending and
+ * receiving. Fixes are only applied for clear cases, and only through paths that are
+ * safe to repeat: requeueing idempotent jobs, copying results the job queue already
+ * has, and passing missed payments to the repayment listener.
+ */
+class ReconciliationService {
+  /**
+   * Run a reconciliation
+   * @param {object} [options]
+   * @param {boolean} [options.autoFix=false] - Apply the safe fixes found
+   * @param {string} [options.trigger='cron'] - What started the run (cron, admin)
+   * @param {string} [options.actor='system'] - Who started the run
+   * @returns {Promise<object>} The saved report
+   */
+  async run({ autoFix = false, trigger = 'cron', actor = 'system' } = {}) {
+    const report = await ReconciliationReport.create({ autoFix, trigger, actor });
+    console.log(`[RECONCILE] Run ${report._id} started${autoFix ? ' with auto-fix' : ''}`);
+
+    try {
+      await this.checkLoans(report);
+      await this.checkPlatformHistory(report);
+      report.status = 'COMPLETED';
+    } catch (error) {
+      console.error('[RECONCILE] Run failed:', error);
+      report.status = 'FAILED';
+      report.error = error.message;
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    const { CRITICAL, WARNING, INFO } = report.counts;
+    console.log(`[RECONCILE] Run ${report._id} ${report.status}: ${CRITICAL} critical, ${WARNING} warnings, ${INFO} info, ${report.fixesApplied} fixed`);
+    return report;
+  }
+
+  /**
+   * Add a discrepancy to the report, applying its fix if the run does auto-fixes
+   * @param {object} report - ReconciliationReport document
+   * @param {object} discrepancy - { severity, type, message, loan?, txHash?, details? }
+   * @param {object} [fix]
+   * @param {string} fix.action - Name of the fix
+   * @param {Function} fix.apply - async () => description of what was done
+   */
+  async record(report, discrepancy, fix) {
+    if (fix) {
+      discrepancy.fix = { action: fix.action, status: 'AVAILABLE' };
+      if (report.autoFix) {
+        try {
+          discrepancy.fix.result = await fix.apply();
+          discrepancy.fix.status = 'APPLIED';
+          report.fixesApplied++;
+        } catch (error) {
+          console.error(`[RECONCILE] Fix ${fix.action} failed:`, error);
+          discrepancy.fix.status = 'FAILED';
+          discrepancy.fix.result = error.message;
+        }
+      }
+    }
+
+    report.discrepancies.push(discrepancy);
+    report.counts[discrepancy.severity]++;
+  }
+
+  /**
+   * Check every loan that has, or had, money on the ledger. Closed loans that
+   * already checked clean since they closed are skipped.
+   * @param {object} report - ReconciliationReport document
+   */
+  async checkLoans(report) {
+    const loans = await Loan.find({
+      $or: [
+        { status: { $in: OPEN_STATUSES } },
+        { status: { $in: [LOAN_STATUS.REPAID, LOAN_STATUS.DEFAULTED] }, reconciledAt: null }
+      ]
+    });
+
+    for (const loan of loans) {
+      const found = report.discrepancies.length;
+      try {
+        await this.checkLoan(report, loan);
+        if (!isOpen(loan.status) && report.discrepancies.length === found && this.isSettled(loan)) {
+          await Loan.updateOne({ _id: loan._id, reconciledAt: null }, { $set: { reconciledAt: new Date() } });
+        }
+      } catch (error) {
+        await this.record(report, {
+          severity: 'WARNING',
+          type: 'CHECK_FAILED',
+          loan: loan._id,
+          message: `Loan could not be checked: ${error.message}`
+        });
+      }
+      report.loansChecked++;
+    }
+  }
+
+  /**
+   * Whether a closed loan has nothing left to happen on the ledger: its collateral
+   * released or claimed and every replaced escrow retired
+   * @param {object} loan - Repaid or defaulted loan
+   * @returns {boolean} True if later runs can skip it
+   */
+  isSettled(loan) {
+    if (loan.escrowSequence) {
+      if (loan.status === LOAN_STATUS.REPAID && !loan.collateralReleased) return false;
+      if (loan.status === LOAN_STATUS.DEFAULTED && !loan.defaultDetails?.claimTxHash) return false;
+    }
+    return !(loan.extensions || []).some(extension =>
+      extension.status === 'ESCROWED' ||
+      (extension.status === 'EXPIRED' && extension.escrowSequence && !extension.finishTxHash));
+  }
+
+  /**
+   * Check one loan's escrow, disbursement and repayments
+   * @param {object} report - ReconciliationReport document
+   * @param {object} loan - Loan document
+   */
+  async checkLoan(report, loan) {
+    const escrow = loan.collateralTxHash
+      ? await xrplService.findCollateralEscrow(loan.borrower, loan.collateralTxHash)
+      : null;
+
+    if (isOpen(loan.status)) {
+      if (!escrow) {
+        await this.record(report, {
+          severity: 'CRITICAL',
+          type: 'OPEN_LOAN_ESCROW_MISSING',
+          loan: loan._id,
+          txHash: loan.collateralTxHash,
+          message: `Loan is ${loan.status} but its collateral escrow is not on the ledger`
+        });
+      }
+      await this.checkDisbursement(report, loan);
+    } else if (loan.status === LOAN_STATUS.REPAID && loan.escrowSequence) {
+      await this.checkCollateralRelease(report, loan, escrow);
+    } else if (loan.status === LOAN_STATUS.DEFAULTED && loan.escrowSequence) {
+      await this.checkCollateralClaim(report, loan, escrow);
+    }
+
+    await this.checkExtensions(report, loan);
+    await this.checkRepayments(report, loan);
+  }
+
+  /**
+   * Escrows replaced by an extension should be finished once the new escrow is in place,
+   * and a replacement escrow signed for an expired extension returned
+   * @param {object} report - ReconciliationReport document
+   * @param {object} loan - Loan document
+   */
+  async checkExtensions(report, loan) {
+    const retiring = (loan.extensions || []).filter(extension =>
+      extension.status === 'ESCROWED' ||
+      (extension.status === 'EXPIRED' && extension.escrowSequence && !extension.finishTxHash));
+
+    for (const extension of retiring) {
+      const job = await jobQueue.getByKey(`extension:${extension._id}`);
+      if (job && JOB_IN_PROGRESS.includes(job.status)) {
+        continue;
+      }
+
+      await this.record(report, {
+        severity: 'WARNING',
+        type: 'REPLACED_ESCROW_NOT_RETIRED',
+        loan: loan._id,
+        txHash: extension.previousEscrow?.txHash,
+        message: extension.status === 'ESCROWED'
+          ? 'Loan was extended onto a new escrow but the escrow it replaced was not finished'
+          : 'An expired extension left a signed replacement escrow that was not returned',
+        details: { extension: extension._id, job: job?._id, jobStatus: job?.status, jobError: job?.lastError }
+      }, {
+        action: 'QUEUE_RETIREMENT',
+        apply: () => this.requeue(job, () => loanService.enqueueEscrowRetirement(loan._id, extension._id))
+      });
+    }
+  }
+
+  /**
+   * An open loan must have a successful disbursement on the ledger
+   * @param {object} report - ReconciliationReport document
+   * @param {object} loan - Open loan
+   */
+  async checkDisbursement(report, loan) {
+    if (!loan.disbursementTxHash) {
+      await this.record(report, {
+        severity: 'CRITICAL',
+        type: 'DISBURSEMENT_MISSING',
+        loan: loan._id,
+        message: `Loan is ${loan.status} but has no disbursement transaction`
+      });
+      return;
+    }
+
+    const tx = await xrplService.getValidatedTransaction(loan.disbursementTxHash, { attempts: 1 });
+    const resultCode = tx?.meta?.TransactionResult;
+    if (resultCode !== 'tesSUCCESS') {
+      await this.record(report, {
+        severity: 'CRITICAL',
+        type: 'DISBURSEMENT_NOT_ON_LEDGER',
+        loan: loan._id,
+        txHash: loan.disbursementTxHash,
+        message: tx
+          ? `Disbursement failed on the ledger with ${resultCode}`
+          : 'Disbursement is not in a validated ledger'
+      });
+    }
+  }
+
+  /**
+   * A repaid loan's escrow should be finished and recorded as released
+   * @param {object} report - ReconciliationReport document
+   * @param {object} loan - Repaid loan with an escrow
+   * @param {object|null} escrow - The escrow if it is still on the ledger
+   */
+  async checkCollateralRelease(report, loan, escrow) {
+    if (escrow && loan.collateralReleased) {
+      await this.record(report, {
+        severity: 'CRITICAL',
+        type: 'RELEASED_COLLATERAL_STILL_LOCKED',
+        loan: loan._id,
+        txHash: loan.collateralReleaseTxHash,
+        message: 'Collateral is recorded as released but the escrow is still on the ledger'
+      });
+      return;
+    }
+    if (loan.collateralReleased) {
+      return;
+    }
+
+    const job = await jobQueue.getByKey(`release:${loan._id}`);
+    if (job && JOB_IN_PROGRESS.includes(job.status)) {
+      return;
+    }
+
+    if (escrow) {
+      await this.record(report, {
+        severity: 'WARNING',
+        type: 'COLLATERAL_NOT_RELEASED',
+        loan: loan._id,
+        message: 'Loan is repaid but its collateral is still in escrow',
+        details: { job: job?._id, jobStatus: job?.status, jobError: job?.lastError }
+      }, {
+        action: 'QUEUE_RELEASE',
+        apply: () => this.requeue(job, () => loanService.enqueueCollateralRelease(loan._id))
+      });
+    } else if (job?.status === 'COMPLETED' && job.result?.txHash) {
+      await this.record(report, {
+        severity: 'INFO',
+        type: 'RELEASE_NOT_RECORDED',
+        loan: loan._id,
+        txHash: job.result.txHash,
+        message: 'Collateral was released on the ledger but the loan does not record it'
+      }, {
+        action: 'RECORD_RELEASE',
+        apply: async () => {
+          await Loan.updateOne(
+            { _id: loan._id, collateralReleased: { $ne: true } },
+            {
+              $set: {
+                collateralReleaseTxHash: job.result.txHash,
+                collateralReturnTxHash: job.result.returnTxHash,
+                collateralReleased: true,
+                collateralReleasedAt: job.completedAt
+              }
+            }
+          );
+          return `Recorded release ${job.result.txHash}`;
+        }
+      });
+    } else {
+      await this.record(report, {
+        severity: 'WARNING',
+        type: 'RELEASE_NOT_RECORDED',
+        loan: loan._id,
+        message: 'Collateral escrow is gone but no release was recorded; the borrower may have cancelled it'
+      });
+    }
+  }
+
+  /**
+   * A defaulted loan's escrow should be claimed and the claim recorded
+   * @param {object} report - ReconciliationReport document
+   * @param {object} loan - Defaulted loan with an escrow
+   * @param {object|null} escrow - The escrow if it is still on the ledger
+   */
+  async checkCollateralClaim(report, loan, escrow) {
+    const claimTxHash = loan.defaultDetails?.claimTxHash;
+    if (escrow && claimTxHash) {
+      await this.record(report, {
+        severity: 'CRITICAL',
+        type: 'CLAIMED_COLLATERAL_STILL_LOCKED',
+        loan: loan._id,
+        txHash: claimTxHash,
+        message: 'Collateral is recorded as claimed but the escrow is still on the ledger'
+      });
+      return;
+    }
+    if (claimTxHash) {
+      return;
+    }
+
+    const job = await jobQueue.getByKey(`claim:${loan._id}`);
+    if (job && JOB_IN_PROGRESS.includes(job.status)) {
+      return;
+    }
+
+    if (escrow) {
+      await this.record(report, {
+        severity: 'WARNING',
+        type: 'COLLATERAL_NOT_CLAIMED',
+        loan: loan._id,
+        message: 'Loan is defaulted but its collateral is still in escrow',
+        details: { job: job?._id, jobStatus: job?.status, jobError: job?.lastError }
+      }, {
+        action: 'QUEUE_CLAIM',
+        apply: () => this.requeue(job, () => loanService.enqueueCollateralClaim(loan._id))
+      });
+    } else if (job?.status === 'COMPLETED' && job.result?.txHash) {
+      await this.record(report, {
+        severity: 'INFO',
+        type: 'CLAIM_NOT_RECORDED',
+        loan: loan._id,
+        txHash: job.result.txHash,
+        message: 'Collateral was claimed on the ledger but the loan does not record it'
+      }, {
+        action: 'RECORD_CLAIM',
+        apply: async () => {
+          const remainingOwed = (loan.defaultDetails?.remainingOwed || 0) - (loan.defaultDetails?.recoveredAfterDefault || 0);
+          await Loan.updateOne(
+            { _id: loan._id, 'defaultDetails.claimTxHash': null },
+            {
+              $set: {
+                'defaultDetails.claimTxHash': job.result.txHash,
+                'defaultDetails.collateralClaimed': loan.collateralAmount,
+                'defaultDetails.uncoveredLoss': Math.max(0, roundXrp(remainingOwed - loan.collateralAmount))
+              },
+              $unset: { 'defaultDetails.claimError': '' }
+            }
+          );
+          return `Recorded claim ${job.result.txHash}`;
+        }
+      });
+    } else {
+      await this.record(report, {
+        severity: 'CRITICAL',
+        type: 'COLLATERAL_LOST',
+        loan: loan._id,
+        message: 'Collateral escrow is gone but no claim was recorded; the borrower may have cancelled it'
+      });
+    }
+  }
+
+  /**
+   * Every confirmed on-ledger repayment must be a successful payment to the
+   * platform that delivered the amount recorded
+   * @param {object} report - ReconciliationReport document
+   * @param {object} loan - Loan document
+   */
+  async checkRepayments(report, loan) {
+    const repayments = (loan.repayments || []).filter(r => r.confirmed && r.txHash && r.source !== 'CREDIT');
+
+    for (const repayment of repayments) {
+      const tx = await xrplService.getValidatedTransaction(repayment.txHash, { attempts: 1 });
+      const txJson = tx && (tx.tx_json || tx);
+      const resultCode = tx?.meta?.TransactionResult;
+
+      let problem = null;
+      if (!tx) {
+        problem = 'Repayment is not in a validated ledger';
+      } else if (resultCode !== 'tesSUCCESS') {
+        problem = `Repayment failed on the ledger with ${resultCode}`;
+      } else if (txJson.Destination !== config.platformEscrowAddress) {
+        problem = `Repayment was paid to ${txJson.Destination}, not the platform`;
+      }
+
+      if (problem) {
+        await this.record(report, {
+          severity: 'CRITICAL',
+          type: 'REPAYMENT_NOT_ON_LEDGER',
+          loan: loan._id,
+          txHash: repayment.txHash,
+          message: problem,
+          details: { repayment: repayment._id, amount: repayment.amount }
+        });
+        continue;
+      }
+
+      const delivered = xrplService.getDeliveredXrp(tx.meta);
+      const recorded = repayment.deliveredAmount ?? roundXrp(repayment.amount + (repayment.overpayment || 0));
+      if (delivered === null || Math.abs(delivered - recorded) > XRP_TOLERANCE) {
+        await this.record(report, {
+          severity: 'CRITICAL',
+          type: 'REPAYMENT_AMOUNT_MISMATCH',
+          loan: loan._id,
+          txHash: repayment.txHash,
+          message: `Ledger delivered ${delivered === null ? 'a non-XRP amount' : `${delivered} XRP`} but ${recorded} XRP was recorded`,
+          details: { repayment: repayment._id, delivered, recorded }
+        });
+      }
+    }
+  }
+
+  /**
+   * Check the platform account's transactions since the last completed run:
+   * everything it sent must have come from the transaction submitter, and every
+   * incoming payment must have been credited or queued for review
+   * @param {object} report - ReconciliationReport document
+   */
+  async checkPlatformHistory(report) {
+    const account = config.platformEscrowAddress;
+    if (!account) {
+      return;
+    }
+
+    const previous = await ReconciliationReport.findOne({
+      status: 'COMPLETED',
+      ledgerIndexMax: { $exists: true }
+    }).sort({ startedAt: -1 });
+    const ledgerIndexMax = (await xrplService.getValidatedLedgerIndex()) - SETTLE_LEDGERS;
+    const ledgerIndexMin = previous ? previous.ledgerIndexMax + 1 : await this.firstLedgerToCheck();
+    if (ledgerIndexMin === null) {
+      // Nothing tracked yet: start the cursor here instead of reading the account's whole past
+      report.ledgerIndexMax = ledgerIndexMax;
+      return;
+    }
+    if (ledgerIndexMin > ledgerIndexMax) {
+      return;
+    }
+    const seriesStart = await this.firstSubmittedLedger();
+
+    let entries = await xrplService.getAccountTransactions(account, {
+      ledgerIndexMin,
+      ledgerIndexMax,
+      maxTransactions: MAX_TRANSACTIONS_PER_RUN
+    });
+
+    let coveredMax = ledgerIndexMax;
+    if (entries.length >= MAX_TRANSACTIONS_PER_RUN) {
+      // The last ledger read may be incomplete; leave it for the next run
+      coveredMax = this.ledgerOf(entries[entries.length - 1]) - 1;
+      entries = entries.filter(entry => this.ledgerOf(entry) <= coveredMax);
+    }
+    report.ledgerIndexMin = ledgerIndexMin;
+    report.ledgerIndexMax = coveredMax;
+
+    for (const entry of entries) {
+      if (entry.validated === false || !entry.meta) {
+        continue;
+      }
+      await this.checkPlatformTransaction(report, entry, account, seriesStart);
+      report.transactionsChecked++;
+    }
+  }
+
+  /**
+   * Ledger the first run reads the platform account's history from: the configured
+   * start ledger, else the earliest ledger a loan escrow or a submitted transaction
+   * was validated in. Anything earlier predates what the backend tracks.
+   * @returns {Promise<number|null>} Ledger index, or null if nothing is tracked yet
+   */
+  async firstLedgerToCheck() {
+    if (config.reconciliationStartLedger) {
+      return config.reconciliationStartLedger;
+    }
+
+    const firstEscrow = await Loan.findOne({ collateralLedgerIndex: { $ne: null } })
+      .sort({ collateralLedgerIndex: 1 })
+      .select('collateralLedgerIndex');
+    const candidates = [firstEscrow?.collateralLedgerIndex, await this.firstSubmittedLedger()]
+      .filter(index => index !== null && index !== undefined);
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+
+  /**
+   * Ledger of the first transaction the transaction submitter recorded. Outgoing
+   * transactions before it were sent before the backend kept submission records.
+   * @returns {Promise<number|null>} Ledger index, or null if it has recorded none yet
+   */
+  async firstSubmittedLedger() {
+    const first = await SubmittedTransaction.findOne({ ledgerIndex: { $ne: null } })
+      .sort({ ledgerIndex: 1 })
+      .select('ledgerIndex');
+    return first ? first.ledgerIndex : null;
+  }
+
+  /**
+   * Check one transaction from the platform account's history
+   * @param {object} report - ReconciliationReport document
+   * @param {object} entry - account_tx entry
+   * @param {string} account - Platform address
+   * @param {number|null} seriesStart - Ledger of the first submission record, see firstSubmittedLedger
+   */
+  async checkPlatformTransaction(report, entry, account, seriesStart) {
+    const tx = entry.tx_json || entry.tx;
+    const txHash = entry.hash || tx.hash;
+
+    if (tx.Account === account) {
+      const known = await SubmittedTransaction.exists({
+        $or: [{ hash: txHash }, { 'attempts.hash': txHash }]
+      });
+      if (!known) {
+        const ledgerIndex = this.ledgerOf(entry);
+        const legacy = seriesStart === null || ledgerIndex < seriesStart;
+        await this.record(report, {
+          severity: legacy ? 'INFO' : 'CRITICAL',
+          type: legacy ? 'LEGACY_OUTGOING_TRANSACTION' : 'UNRECORDED_OUTGOING_TRANSACTION',
+          txHash,
+          message: legacy
+            ? `${tx.TransactionType} sent from the platform account before the backend recorded its submissions`
+            : `${tx.TransactionType} sent from the platform account was not submitted by the backend`,
+          details: {
+            transactionType: tx.TransactionType,
+            destination: tx.Destination,
+            result: entry.meta.TransactionResult,
+            ledgerIndex
+          }
+        });
+      }
+      return;
+    }
+
+    const payment = repaymentListener.parsePayment(entry);
+    if (!payment || await repaymentListener.isKnown(payment.txHash)) {
+      return;
+    }
+
+    await this.record(report, {
+      severity: 'WARNING',
+      type: 'UNRECORDED_INCOMING_PAYMENT',
+      txHash,
+      message: 'Payment to the platform was neither credited nor queued for review',
+      details: {
+        payer: payment.payer,
+        amount: payment.amount,
+        destinationTag: payment.destinationTag,
+        ledgerIndex: payment.ledgerIndex
+      }
+    }, {
+      action: 'PROCESS_PAYMENT',
+      apply: async () => {
+        // Same path as a live payment: credited to its loan or queued for review
+        const outcome = await repaymentListener.enqueue(entry);
+        if (!outcome) {
+          throw new Error('Repayment listener could not process the payment');
+        }
+        return `Repayment listener: ${outcome.status}`;
+      }
+    });
+  }
+
+  /**
+   * Requeue a collateral job, or queue it if it was never created
+   * @param {object|null} job - Existing job for the action
+   * @param {Function} enqueue - async () => new job
+   * @returns {Promise<string>} What was done
+   */
+  async requeue(job, enqueue) {
+    if (job && ['DEAD', 'FAILED'].includes(job.status)) {
+      await jobQueue.retry(job._id);
+      return `Retried job ${job._id}`;
+    }
+    if (job) {
+      throw new Error(`Job ${job._id} already completed; check the escrow by hand`);
+    }
+    const queued = await enqueue();
+    jobQueue.kick();
+    return `Queued job ${queued._id}`;
+  }
+
+  /**
+   * Ledger index of an account_tx entry (API v1 or v2)
+   * @param {object} entry - account_tx entry
+   * @returns {number} Ledger index
+   */
+  ledgerOf(entry) {
+    return entry.ledger_index ?? (entry.tx_json || entry.tx || {}).ledger_index;
+  }
+
+  /**
+   * Latest report
+   * @returns {Promise<object|null>} Report
+   */
+  async getLatestReport() {
+    return ReconciliationReport.findOne().sort({ startedAt: -1 });
+  }
+
+  /**
+   * List reports without their discrepancies, newest first
+   * @param {object} [filter]
+   * @param {number} [filter.limit=50] - Maximum number of reports
+   * @returns {Promise<Array>} Report summaries
+   */
+  async listReports({ limit = 50 } = {}) {
+    return ReconciliationReport.find()
+      .select('-discrepancies')
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+  }
+
+  /**
+   * Get one report
+   * @param {string} reportId - Report ID
+   * @returns {Promise<object|null>} Report
+   */
+  async getReport(reportId) {
+    return ReconciliationReport.findById(reportId);
+  }
+}
+
+module.exports = new ReconciliationService();
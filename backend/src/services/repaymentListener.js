@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Loan = require('../models/Loan');
+const UnmatchedPayment = require('../models/UnmatchedPayment');
+const ListenerCursor = require('../models/ListenerCursor');
+const loanService = require('./loanService');
+const xrplService = require('./xrplService');
+const xrplConnectionManager = require('./xrplConnectionManager');
+const { decodeMemos, findMemoData, MEMO_TYPES } = require('../utils/xrplMemo');
+
+// account_tx page size when catching up on missed ledgers
+const BACKFILL_PAGE_LIMIT = 200;
+// ListenerCursor this listener saves its progress in
+const CURSOR_NAME = 'repayment-listener';
+
+/**
+ * Watches the platform account's transaction stream and credits repayments
+ * that arrive on the ledger, whether or not they went through Xumm.
+ * A payment is matched to a loan by its `repayment` memo or the loan's
+ * destination tag, so wallets that cannot set memos work too. Payments that cannot
+ * be matched or applied are stored as UnmatchedPayment for an admin to review.
+ * After a restart or reconnect it catches up with account_tx from the last ledger
+ * it handled, which is saved as a ListenerCursor.
+ */
+class RepaymentListener {
+  constructor() {
+    this.account = config.platformEscrowAddress;
+    this.started = false;
+    this.lastLedgerIndex = null;
+    // Transactions are handled one at a time so the same loan is never updated concurrently
+    this.queue = Promise.resolve();
+    this.onConnected = this.onConnected.bind(this);
+    this.onTransaction = this.onTransaction.bind(this);
+  }
+
+  /**
+   * Start listening. Subscribes now if connected, and again after every reconnect.
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+    if (!this.account) {
+      console.warn('[LISTENER] PLATFORM_ESCROW_ADDRESS is not set; repayment listener disabled');
+      return;
+    }
+    this.started = true;
+
+    this.lastLedgerIndex = await this.getLastProcessedLedger();
+    xrplConnectionManager.on('connected', this.onConnected);
+
+    // Triggers 'connected' if there is no connection yet
+    const client = await xrplConnectionManager.getClient();
+    if (!client.listeners('transaction').includes(this.onTransaction)) {
+      await this.onConnected(client);
+    }
+  }
+
+  /**
+   * Subscribe a newly connected client and catch up on anything missed
+   * @param {object} client - Connected xrpl.Client
+   */
+  async onConnected(client) {
+    try {
+      client.on('transaction', this.onTransaction);
+      await client.request({ command: 'subscribe', accounts: [this.account] });
+      console.log(`[LISTENER] Subscribed to transactions for ${this.account}`);
+
+      await this.backfill(client);
+    } catch (error) {
+      console.error('[LISTENER] Error subscribing to account stream:', error.message);
+    }
+  }
+
+  /**
+   * Stream handler; queues the transaction for processing
+   * @param {object} event - Transaction stream message
+   */
+  onTransaction(event) {
+    this.enqueue(event, { advanceCursor: true });
+  }
+
+  /**
+   * Process a transaction after any already queued
+   * @param {object} event - Transaction stream message or account_tx entry
+   * @param {object} [options]
+   * @param {boolean} [options.advanceCursor=false] - Save the transaction's ledger as handled;
+   *   only for transactions read in order from the stream or a backfill
+   * @returns {Promise<object|null>} What happened to the payment, see handleTransaction
+   */
+  enqueue(event, { advanceCursor = false } = {}) {
+    this.queue = this.queue
+      .then(async () => {
+        const outcome = await this.handleTransaction(event);
+        if (advanceCursor) {
+          await this.saveCursor(event.ledger_index || (event.tx_json || event.tx)?.ledger_index);
+        }
+        return outcome;
+      })
+      .catch(error => {
+        console.error('[LISTENER] Error handling transaction:', error);
+      });
+    return this.queue;
+  }
+
+  /**
+   * Replay validated transactions since the last ledger seen, e.g. after downtime
+   * @param {object} client - Connected xrpl.Client
+   */
+  async backfill(client) {
+    if (!this.lastLedgerIndex) {
+      return;
+    }
+
+    let marker;
+    let replayed = 0;
+    do {
+      // From the saved ledger itself, in case only part of it was handled;
+      // transactions already handled are skipped as duplicates
+      const response = await client.request({
+        command: 'account_tx',
+        account: this.account,
+        ledger_index_min: this.lastLedgerIndex,
+        ledger_index_max: -1,
+        forward: true,
+        limit: BACKFILL_PAGE_LIMIT,
+        marker
+      });
+
+      for (const entry of response.result.transactions) {
+        await this.enqueue(entry, { advanceCursor: true });
+        replayed++;
+      }
+      marker = response.result.marker;
+    } while (marker);
+
+    if (replayed > 0) {
+      console.log(`[LISTENER] Replayed ${replayed} transactions missed while disconnected`);
+    }
+  }
+
+  /**
+   * Credit an incoming payment to its loan, or queue it for review
+   * @param {object} event - Transaction stream message or account_tx entry
+   * @returns {Promise<object|null>} What happened to the payment, or null if it was not a repayment
+   */
+  async handleTransaction(event) {
+    const payment = this.parsePayment(event);
+    if (!payment) {
+      return null;
+    }
+    if (await this.isKnown(payment.txHash)) {
+      return { status: 'DUPLICATE', txHash: payment.txHash };
+    }
+
+    if (payment.amount === null) {
+      return this.queueForReview(payment, 'Payment delivered a non-XRP amount');
+    }
+
+    const { loan, error } = await this.matchLoan(payment);
+    if (!loan) {
+      return this.queueForReview(payment, error);
+    }
+    const loanId = loan._id.toString();
+
+    try {
+      const result = await loanService.recordLedgerRepayment(loan, payment);
+      return { status: result.applied ? 'APPLIED' : 'DUPLICATE', txHash: payment.txHash, loanId };
+    } catch (error) {
+      return this.queueForReview(payment, error.message, loan._id);
+    }
+  }
+
+  /**
+   * Find the loan a payment is for, from its repayment memo and/or destination tag.
+   * When both are present they must point at the same loan.
+   * @param {object} payment - Payment from parsePayment
+   * @returns {Promise<object>} { loan } when matched, otherwise { error } explaining why not
+   */
+  async matchLoan(payment) {
+    const memoLoanId = findMemoData(payment.memos, MEMO_TYPES.REPAYMENT);
+    const tag = payment.destinationTag;
+
+    if (!memoLoanId && tag === undefined) {
+      return { error: 'No repayment memo or destination tag' };
+    }
+
+    let memoLoan = null;
+    if (memoLoanId) {
+      if (!mongoose.Types.ObjectId.isValid(memoLoanId)) {
+        return { error: `Repayment memo is not a loan ID: ${memoLoanId}` };
+      }
+      memoLoan = await Loan.findById(memoLoanId);
+      if (!memoLoan) {
+        return { error: `Loan ${memoLoanId} not found` };
+      }
+    }
+
+    let tagLoan = null;
+    if (tag !== undefined) {
+      tagLoan = await Loan.findOne({ destinationTag: tag });
+      if (!tagLoan && !memoLoan) {
+        return { error: `No loan has destination tag ${tag}` };
+      }
+    }
+
+    if (memoLoan && tagLoan && !memoLoan._id.equals(tagLoan._id)) {
+      return { error: `Memo points at loan ${memoLoan._id} but destination tag ${tag} belongs to loan ${tagLoan._id}` };
+    }
+
+    return { loan: memoLoan || tagLoan };
+  }
+
+  /**
+   * Extract an incoming, successful Payment from a stream message or account_tx entry.
+   * Handles both API v1 (transaction) and v2 (tx_json) shapes.
+   * @param {object} event - Transaction stream message or account_tx entry
+   * @returns {object|null} Payment details, or null if this is not an incoming payment
+   */
+  parsePayment(event) {
+    const tx = event.tx_json || event.transaction || event.tx;
+    const meta = event.meta;
+
+    if (!tx || !meta || event.validated === false) {
+      return null;
+    }
+    if (tx.TransactionType !== 'Payment' || tx.Destination !== this.account || tx.Account === this.account) {
+      return null;
+    }
+    if (meta.TransactionResult !== 'tesSUCCESS') {
+      return null;
+    }
+
+    return {
+      txHash: event.hash || tx.hash,
+      payer: tx.Account,
+      destinationTag: tx.DestinationTag,
+      memos: tx.Memos,
+      // delivered_amount is what actually arrived; Amount can overstate partial payments
+      amount: xrplService.getDeliveredXrp(meta),
+      deliveredRaw: meta.delivered_amount ?? meta.DeliveredAmount,
+      partialPayment: xrplService.isPartialPayment(tx),
+      ledgerIndex: event.ledger_index || tx.ledger_index
+    };
+  }
+
+  /**
+   * Whether a transaction was already credited, refunded or queued
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<boolean>} True if it has been seen before
+   */
+  async isKnown(txHash) {
+    const [credited, queued] = await Promise.all([
+      loanService.isPaymentCredited(txHash),
+      UnmatchedPayment.exists({ txHash })
+    ]);
+    return Boolean(credited || queued);
+  }
+
+  /**
+   * Store a payment the listener could not apply
+   * @param {object} payment - Payment from parsePayment
+   * @param {string} reason - Why it was not applied
+   * @param {string} [candidateLoan] - Loan the memo or tag pointed at
+   * @returns {Promise<object>} Outcome
+   */
+  async queueForReview(payment, reason, candidateLoan) {
+    await UnmatchedPayment.updateOne(
+      { txHash: payment.txHash },
+      {
+        $setOnInsert: {
+          txHash: payment.txHash,
+          account: payment.payer,
+          destinationTag: payment.destinationTag,
+          memos: decodeMemos(payment.memos),
+          deliveredAmount: payment.amount ?? undefined,
+          deliveredRaw: payment.deliveredRaw,
+          partialPayment: payment.partialPayment,
+          ledgerIndex: payment.ledgerIndex,
+          candidateLoan,
+          reason
+        }
+      },
+      { upsert: true }
+    );
+
+    console.warn(`[LISTENER] Payment ${payment.txHash} queued for review: ${reason}`);
+    return { status: 'REVIEW', txHash: payment.txHash, reason };
+  }
+
+  /**
+   * Highest ledger the listener has handled: its saved cursor or, before it saved
+   * one, the latest ledger of any recorded repayment or unmatched payment
+   * @returns {Promise<number|null>} Ledger index, or null if none yet
+   */
+  async getLastProcessedLedger() {
+    const cursor = await ListenerCursor.findOne({ name: CURSOR_NAME, account: this.account });
+    if (cursor?.ledgerIndex) {
+      return cursor.ledgerIndex;
+    }
+
+    const [loans, unmatched] = await Promise.all([
+      Loan.aggregate([
+        { $match: { 'repayments.ledgerIndex': { $ne: null } } },
+        { $unwind: '$repayments' },
+        { $group: { _id: null, ledgerIndex: { $max: '$repayments.ledgerIndex' } } }
+      ]),
+      UnmatchedPayment.findOne().sort({ ledgerIndex: -1 }).select('ledgerIndex')
+    ]);
+
+    return Math.max(loans[0]?.ledgerIndex || 0, unmatched?.ledgerIndex || 0) || null;
+  }
+
+  /**
+   * Record that every transaction up to a ledger has been handled
+   * @param {number} ledgerIndex - Ledger of the transaction just handled
+   */
+  async saveCursor(ledgerIndex) {
+    if (!ledgerIndex || ledgerIndex <= (this.lastLedgerIndex || 0)) {
+      return;
+    }
+    this.lastLedgerIndex = ledgerIndex;
+    await ListenerCursor.updateOne(
+      { name: CURSOR_NAME, account: this.account },
+      { $max: { ledgerIndex }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    xrplConnectionManager.off('connected', this.onConnected);
+
+    const client = xrplConnectionManager.client;
+    if (client) {
+      client.off('transaction', this.onTransaction);
+      if (client.isConnected()) {
+        await client.request({ command: 'unsubscribe', accounts: [this.account] }).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = new RepaymentListener();
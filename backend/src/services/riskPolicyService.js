@@ -0,0 +1,198 @@
+const RiskPolicy = require('../models/RiskPolicy');
+
+// Initial policy, seeded as version 1 when the collection is empty.
+// Cutoffs are the PCA risk score means for each category.
+// Note: For undercollateralized lending, we use much stricter criteria
+const DEFAULT_TIERS = [
+  {
+    name: 'Very Low Risk',
+    maxScore: 36.2,
+    interestRate: 0.12, // 12% - higher than traditional lending due to undercollateralization
+    collateralRatio: 0.60, // Only 60% of loan needs to be collateralized
+    maxLoanTerm: 90, // days
+    maxLoanAmount: 1000, // More conservative amounts due to undercollateralization
+    eligibleForUndercollateralized: true,
+    color: '#4CAF50' // Green
+  },
+  {
+    name: 'Low Risk',
+    maxScore: 44.5,
+    interestRate: 0.18, // 18%
+    collateralRatio: 0.70, // 70% collateral required
+    maxLoanTerm: 60, // days
+    maxLoanAmount: 750,
+    eligibleForUndercollateralized: true,
+    color: '#8BC34A' // Light Green
+  },
+  {
+    name: 'Medium Risk',
+    maxScore: 56.5,
+    interestRate: 0.25, // 25%
+    collateralRatio: 0.80, // 80% collateral required
+    maxLoanTerm: 45, // days
+    maxLoanAmount: 500,
+    eligibleForUndercollateralized: true,
+    color: '#FF9800' // Orange
+  },
+  {
+    name: 'High Risk',
+    maxScore: 80,
+    interestRate: 0.35, // 35%
+    collateralRatio: 0.90, // 90% collateral required (almost fully collateralized)
+    maxLoanTerm: 30, // days
+    maxLoanAmount: 300,
+    eligibleForUndercollateralized: true,
+    color: '#F44336' // Red
+  },
+  {
+    name: 'Very High Risk',
+    maxScore: null,
+    interestRate: 0, // Not eligible for undercollateralized loans
+    collateralRatio: 1.5, // Would require overcollateralization (not offering this product)
+    maxLoanTerm: 0, // Not eligible
+    maxLoanAmount: 0, // Not eligible
+    eligibleForUndercollateralized: false,
+    color: '#D32F2F' // Dark Red
+  }
+];
+
+// Policy changes shipped after v1. Each is published once, as the next version on top of
+// the active policy's tiers, so deployments seeded before the change pick it up too.
+// tierValues is keyed by tier name; tiers not listed keep the schema defaults.
+const POLICY_UPGRADES = [
+  {
+    name: 'late-penalties',
+    description: 'Late fee and penalty APR per tier',
+    tierValues: {
+      'Very Low Risk': { lateFee: 5, penaltyApr: 0.06 }, // 5 XRP once past due, +6% APR while past due
+      'Low Risk': { lateFee: 5, penaltyApr: 0.08 },
+      'Medium Risk': { lateFee: 10, penaltyApr: 0.10 },
+      'High Risk': { lateFee: 15, penaltyApr: 0.12 }
+    }
+  },
+  {
+    name: 'extensions',
+    description: 'Due date extensions per tier',
+    tierValues: {
+      // 2 XRP added to the balance per extension, at most 2 extensions of up to 30 days
+      'Very Low Risk': { extensionFee: 2, maxExtensions: 2, maxExtensionDays: 30 },
+      'Low Risk': { extensionFee: 3, maxExtensions: 2, maxExtensionDays: 30 },
+      'Medium Risk': { extensionFee: 5, maxExtensions: 1, maxExtensionDays: 21 },
+      'High Risk': { extensionFee: 10, maxExtensions: 1, maxExtensionDays: 14 }
+    }
+  }
+];
+
+class RiskPolicyService {
+  /**
+   * Get the active risk policy, seeding the default policy on first use
+   * @returns {Promise<object>} Active policy document
+   */
+  async getActivePolicy() {
+    try {
+      const policy = await RiskPolicy.findOne({ active: true }).sort({ version: -1 });
+      if (policy) {
+        return await this.applyUpgrades(policy);
+      }
+
+      const existing = await RiskPolicy.countDocuments();
+      if (existing > 0) {
+        throw new Error('No active risk policy configured');
+      }
+
+      console.log('[RiskPolicy] No policy found, seeding default policy v1');
+      const seeded = await RiskPolicy.create({
+        version: 1,
+        active: true,
+        description: 'Initial PCA score tiers',
+        tiers: DEFAULT_TIERS
+      });
+      return await this.applyUpgrades(seeded);
+    } catch (error) {
+      // Another instance may have seeded v1 at the same time
+      if (error.code === 11000) {
+        return await this.applyUpgrades(await RiskPolicy.findOne({ active: true }).sort({ version: -1 }));
+      }
+      console.error('Error loading risk policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish any built-in policy changes the active policy does not include yet,
+   * each as a new version that becomes the active one
+   * @param {object} policy - Active policy document
+   * @returns {Promise<object>} The active policy once every upgrade is included
+   */
+  async applyUpgrades(policy) {
+    let active = policy;
+
+    for (const upgrade of POLICY_UPGRADES) {
+      if ((active.upgrades || []).includes(upgrade.name)) {
+        continue;
+      }
+
+      try {
+        const next = await RiskPolicy.create({
+          version: active.version + 1,
+          active: true,
+          description: upgrade.description,
+          upgrades: [...(active.upgrades || []), upgrade.name],
+          tiers: active.tiers.map(tier => ({
+            ...tier.toObject(),
+            ...(upgrade.tierValues[tier.name] || {})
+          }))
+        });
+        await RiskPolicy.updateOne({ _id: active._id }, { $set: { active: false } });
+        console.log(`[RiskPolicy] Published policy v${next.version}: ${upgrade.description}`);
+        active = next;
+      } catch (error) {
+        // Another instance published this version first
+        if (error.code !== 11000) {
+          throw error;
+        }
+        active = await RiskPolicy.findOne({ active: true }).sort({ version: -1 });
+      }
+    }
+
+    return active;
+  }
+
+  /**
+   * Find the tier a PCA score falls into
+   * @param {object} policy - Risk policy document
+   * @param {number} pcaScore - The PCA risk score (0-100)
+   * @returns {object} Matching tier
+   */
+  findTier(policy, pcaScore) {
+    const tier = policy.tiers.find(t => t.maxScore === null || t.maxScore === undefined || pcaScore <= t.maxScore);
+    if (!tier) {
+      throw new Error(`Risk policy v${policy.version} has no tier for score ${pcaScore}`);
+    }
+    return tier;
+  }
+
+  /**
+   * Loan terms for a PCA score under the active policy
+   * @param {number} pcaScore - The PCA risk score (0-100)
+   * @returns {Promise<object>} Risk category, loan terms and the policy version applied
+   */
+  async getTermsForScore(pcaScore) {
+    const policy = await this.getActivePolicy();
+    const tier = this.findTier(policy, pcaScore);
+
+    return {
+      category: tier.name,
+      interestRate: tier.interestRate,
+      collateralRatio: tier.collateralRatio,
+      maxLoanTerm: tier.maxLoanTerm,
+      maxLoanAmount: tier.maxLoanAmount,
+      eligibleForUndercollateralized: tier.eligibleForUndercollateralized,
+      color: tier.color,
+      maxScore: tier.maxScore,
+      policyVersion: policy.version
+    };
+  }
+}
+
+module.exports = new RiskPolicyService();
@@ -0,0 +1,82 @@
+const config = require('../config/config');
+const scheduler = require('./scheduler');
+const loanService = require('./loanService');
+const reconciliationService = require('./reconciliationService');
+
+// Names of the periodic tasks run through the scheduler
+const TASKS = {
+  OVERDUE_LOANS: 'overdue-loans',
+  EXPIRE_PENDING_LOANS: 'expire-pending-loans',
+  RECOVER_ACTIVATIONS: 'recover-activations',
+  RECONCILIATION: 'reconciliation'
+};
+
+/**
+ * Register the backend's periodic tasks with the scheduler.
+ * Handlers return a small summary, which is saved with the run.
+ */
+function registerScheduledTasks() {
+  scheduler.register(TASKS.OVERDUE_LOANS, '0 0 * * *', async ({ dryRun = false, trigger, actor }) => {
+    const report = await loanService.checkForOverdueLoans({ dryRun, trigger, actor });
+
+    // Log details of processed loans
+    report.results.forEach(result => {
+      if (result.action === 'DEFAULTED') {
+        console.log(`[CRON] Loan ${result.loan} for borrower ${result.borrower} marked as defaulted`);
+      } else if (result.action === 'ERROR') {
+        console.error(`[CRON] Loan ${result.loan} could not be defaulted: ${result.error}`);
+      }
+    });
+
+    if (report.status === 'FAILED') {
+      throw new Error(`Overdue scan ${report._id} failed: ${report.error}`);
+    }
+    return {
+      reportId: report._id,
+      dryRun,
+      overdue: report.overdue,
+      defaulted: report.defaulted,
+      failed: report.failed
+    };
+  }, {
+    description: 'Default loans past their due date and grace period',
+    params: { dryRun: 'boolean' }
+  });
+
+  scheduler.register(TASKS.EXPIRE_PENDING_LOANS, '*/10 * * * *', async () => {
+    const expiredLoans = await loanService.expirePendingLoans();
+    if (expiredLoans.length > 0) {
+      console.log(`[CRON] Expired ${expiredLoans.length} abandoned loan applications`);
+    }
+    return { expired: expiredLoans.length };
+  }, { description: 'Expire PENDING applications whose escrow payload was never signed; activate signed ones that were missed' });
+
+  scheduler.register(TASKS.RECOVER_ACTIVATIONS, '*/10 * * * *', async () => {
+    const summary = await loanService.recoverStalledActivations();
+    if (summary.requeued + summary.released > 0) {
+      console.log(`[CRON] Recovered stalled activations: ${summary.requeued} requeued, ${summary.released} returned to PENDING`);
+    }
+    return summary;
+  }, { description: 'Finish or roll back activations left in ACTIVATING by a crash' });
+
+  scheduler.register(TASKS.RECONCILIATION, '30 * * * *', async ({ autoFix = config.reconciliationAutoFix, trigger, actor }) => {
+    const report = await reconciliationService.run({ autoFix, trigger, actor });
+    if (report.status === 'FAILED') {
+      throw new Error(`Reconciliation ${report._id} failed: ${report.error}`);
+    }
+    return {
+      reportId: report._id,
+      autoFix,
+      counts: report.toObject().counts,
+      fixesApplied: report.fixesApplied
+    };
+  }, {
+    description: 'Check loans and the platform account history against the ledger',
+    params: { autoFix: 'boolean' }
+  });
+}
+
+module.exports = {
+  TASKS,
+  registerScheduledTasks
+};
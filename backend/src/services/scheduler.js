@@ -0,0 +1,280 @@
+const os = require('os');
+const cron = require('node-cron');
+const ScheduledTask = require('../models/ScheduledTask');
+const ScheduledTaskRun = require('../models/ScheduledTaskRun');
+
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Turn a param from an admin request into the type its task declared; undefined if invalid
+const PARAM_PARSERS = {
+  boolean: value => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+  }
+};
+
+/**
+ * Runs periodic tasks (overdue defaults, pending-loan expiry, ...) on cron schedules.
+ * Every instance of the backend schedules every task, but a run first takes a lease
+ * on the task's ScheduledTask document, so only one instance runs it at a time and
+ * each cron tick runs once. Every run is saved as a ScheduledTaskRun.
+ */
+class Scheduler {
+  constructor() {
+    this.tasks = {};
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a task
+   * @param {string} name - Unique task name
+   * @param {string} schedule - Cron expression
+   * @param {Function} handler - async ({ trigger, actor, ...params }) => result summary
+   * @param {object} [options]
+   * @param {string} [options.description] - Shown in the admin task list
+   * @param {number} [options.leaseMs=900000] - How long a run holds the task; renewed while it runs
+   * @param {object} [options.params={}] - Params an admin may pass, by name, with their type (e.g. { dryRun: 'boolean' })
+   */
+  register(name, schedule, handler, { description, leaseMs = DEFAULT_LEASE_MS, params = {} } = {}) {
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid schedule for task ${name}: ${schedule}`);
+    }
+    for (const [param, type] of Object.entries(params)) {
+      if (!PARAM_PARSERS[type]) {
+        throw new Error(`Unsupported type ${type} for param ${param} of task ${name}`);
+      }
+    }
+    this.tasks[name] = { name, schedule, handler, description, leaseMs, params, cronTask: null };
+  }
+
+  /**
+   * Check and convert params sent with an admin run against what the task declares
+   * @param {string} name - Task name
+   * @param {object} [raw={}] - Params as received
+   * @returns {object} Params converted to their declared types
+   */
+  parseParams(name, raw = {}) {
+    const task = this.tasks[name];
+    if (!task) {
+      throw new Error(`Unknown task ${name}`);
+    }
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+      throw new Error('params must be an object');
+    }
+
+    const params = {};
+    for (const [param, value] of Object.entries(raw)) {
+      const type = task.params[param];
+      if (!type) {
+        throw new Error(`Task ${name} does not take param ${param}`);
+      }
+      params[param] = PARAM_PARSERS[type](value);
+      if (params[param] === undefined) {
+        throw new Error(`${param} must be a ${type}`);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Start the cron schedules of all registered tasks
+   */
+  start() {
+    Object.values(this.tasks).forEach(task => {
+      if (task.cronTask) return;
+      task.cronTask = cron.schedule(task.schedule, context => {
+        this.run(task.name, { trigger: 'cron', slot: this.slotFor(context?.date) })
+          .catch(error => console.error(`[SCHEDULER] Error running ${task.name}:`, error));
+      });
+    });
+    console.log(`[SCHEDULER] Started ${Object.keys(this.tasks).length} tasks on ${this.instanceId}`);
+  }
+
+  /**
+   * Stop all cron schedules. Runs in progress finish.
+   */
+  stop() {
+    Object.values(this.tasks).forEach(task => {
+      if (task.cronTask) {
+        task.cronTask.stop();
+        task.cronTask = null;
+      }
+    });
+  }
+
+  /**
+   * Run a task now if no other instance is running it
+   * @param {string} name - Task name
+   * @param {object} [options]
+   * @param {string} [options.trigger='admin'] - What started the run
+   * @param {string} [options.actor='system'] - Who started the run
+   * @param {object} [options.params={}] - Extra handler input (e.g. { dryRun: true })
+   * @param {string} [options.slot] - Cron tick being run; a tick already run elsewhere is skipped
+   * @returns {Promise<object|null>} The saved run, or null if the task was skipped
+   */
+  async run(name, { trigger = 'admin', actor = 'system', params = {}, slot } = {}) {
+    const task = this.tasks[name];
+    if (!task) {
+      throw new Error(`Unknown task ${name}`);
+    }
+
+    const acquired = await this.acquireLease(task, slot);
+    if (!acquired) {
+      console.log(`[SCHEDULER] Skipping ${name}: ${slot ? 'already run or running elsewhere' : 'already running'}`);
+      return null;
+    }
+
+    const run = await ScheduledTaskRun.create({
+      task: name,
+      trigger,
+      actor,
+      instance: this.instanceId,
+      params
+    });
+
+    // Keep the lease while the handler runs, however long it takes
+    const heartbeat = setInterval(() => {
+      ScheduledTask.updateOne(
+        { name, lockedBy: this.instanceId },
+        { $set: { lockedUntil: new Date(Date.now() + task.leaseMs) } }
+      ).catch(error => console.error(`[SCHEDULER] Error renewing lease on ${name}:`, error.message));
+    }, task.leaseMs / 3);
+
+    try {
+      // trigger and actor always come from the scheduler, never from params
+      run.result = await task.handler({ ...params, trigger, actor });
+      run.status = 'COMPLETED';
+    } catch (error) {
+      console.error(`[SCHEDULER] ${name} failed:`, error);
+      run.status = 'FAILED';
+      run.error = error.message;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    await ScheduledTask.updateOne(
+      { name, lockedBy: this.instanceId },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: null,
+          lastRunAt: run.startedAt,
+          lastStatus: run.status,
+          lastDurationMs: run.durationMs,
+          lastError: run.error || null
+        }
+      }
+    );
+
+    console.log(`[SCHEDULER] ${name} ${run.status} in ${run.durationMs}ms`);
+    return run;
+  }
+
+  /**
+   * Take the lease on a task. Fails if another instance holds an unexpired lease
+   * or, for cron runs, if this tick was already run.
+   * @param {object} task - Registered task
+   * @param {string} [slot] - Cron tick being run
+   * @returns {Promise<boolean>} True if this instance now holds the lease
+   */
+  async acquireLease(task, slot) {
+    const now = new Date();
+    const filter = {
+      name: task.name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    if (slot) {
+      filter.lastSlot = { $ne: slot };
+    }
+
+    const update = {
+      $set: {
+        schedule: task.schedule,
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + task.leaseMs)
+      }
+    };
+    if (slot) {
+      update.$set.lastSlot = slot;
+    }
+
+    try {
+      const doc = await ScheduledTask.findOneAndUpdate(filter, update, { upsert: true, new: true });
+      return Boolean(doc);
+    } catch (error) {
+      // The task exists but did not match the filter, so the upsert tried to insert a second one
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Identify a cron tick by its scheduled minute, which is the same on every instance
+   * @param {Date} [date] - Scheduled time of the tick
+   * @returns {string} Slot key
+   */
+  slotFor(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 16);
+  }
+
+  /**
+   * List registered tasks with their shared state
+   * @returns {Promise<Array>} Tasks
+   */
+  async listTasks() {
+    const states = await ScheduledTask.find({ name: { $in: Object.keys(this.tasks) } });
+    const byName = Object.fromEntries(states.map(state => [state.name, state]));
+
+    return Object.values(this.tasks).map(task => {
+      const state = byName[task.name];
+      return {
+        name: task.name,
+        schedule: task.schedule,
+        description: task.description,
+        params: task.params,
+        nextRunAt: task.cronTask ? task.cronTask.getNextRun() : null,
+        running: Boolean(state?.lockedUntil && state.lockedUntil > new Date()),
+        lockedBy: state?.lockedBy,
+        lastRunAt: state?.lastRunAt,
+        lastStatus: state?.lastStatus,
+        lastDurationMs: state?.lastDurationMs,
+        lastError: state?.lastError
+      };
+    });
+  }
+
+  /**
+   * List past runs, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.task] - Task name
+   * @param {string} [filter.status] - Run status
+   * @param {number} [filter.limit=50] - Maximum number of runs
+   * @returns {Promise<Array>} Runs
+   */
+  async listRuns({ task, status, limit = 50 } = {}) {
+    const query = {};
+    if (task) query.task = task;
+    if (status) query.status = status;
+
+    return ScheduledTaskRun.find(query).sort({ startedAt: -1 }).limit(Math.min(parseInt(limit) || 50, 500));
+  }
+
+  /**
+   * Whether a task is registered
+   * @param {string} name - Task name
+   * @returns {boolean} True if registered
+   */
+  hasTask(name) {
+    return Boolean(this.tasks[name]);
+  }
+}
+
+module.exports = new Scheduler();
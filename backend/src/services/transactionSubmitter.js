@@ -0,0 +1,277 @@
+const SubmittedTransaction = require('../models/SubmittedTransaction');
+const xrplConnectionManager = require('./xrplConnectionManager');
+
+// Ledgers a submission stays valid for before it expires (LastLedgerSequence)
+const LEDGER_OFFSET = 20;
+// Fee multiplier applied on each resubmission after an expiry
+const FEE_BUMP = 1.5;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = 1000;
+// Upper bound on waiting for one attempt, in case ledgers stop closing
+const MAX_WAIT_MS = 5 * 60 * 1000;
+
+/**
+ * Submits platform-signed transactions and follows each one until it is final.
+ * A transaction is final once it is in a validated ledger (VALIDATED or FAILED) or
+ * its LastLedgerSequence has passed without it being included (EXPIRED). Expired
+ * attempts are resubmitted with the same Sequence and a higher fee, so only one
+ * attempt can ever apply. Every attempt and the final outcome are stored.
+ * Calls with an idempotency key first settle any earlier submission under that key:
+ * a validated one is returned as is, and a new transaction is only sent once the
+ * earlier one provably can no longer be applied.
+ */
+class TransactionSubmitter {
+  /**
+   * Submit a transaction and wait for its final result
+   * @param {object} wallet - xrpl.Wallet that signs the transaction
+   * @param {object} tx - Unsigned transaction
+   * @param {object} options
+   * @param {string} options.purpose - What the transaction is for (DISBURSEMENT, ESCROW_FINISH, ...)
+   * @param {string} [options.loanId] - Loan the transaction belongs to
+   * @param {string} [options.idempotencyKey] - Key identifying this payment across retries
+   * @param {number} [options.maxAttempts=3] - Submissions allowed before giving up
+   * @returns {Promise<object>} { hash, resultCode, ledgerIndex, record, reused }; throws unless the result is tesSUCCESS
+   */
+  async submit(wallet, tx, { purpose, loanId, idempotencyKey, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+    if (idempotencyKey) {
+      const previous = await this.resolvePrevious(idempotencyKey);
+      if (previous) {
+        return previous;
+      }
+    }
+
+    let prepared = await (await xrplConnectionManager.getClient()).autofill(tx);
+
+    const record = await SubmittedTransaction.create({
+      purpose,
+      loan: loanId,
+      idempotencyKey,
+      account: prepared.Account,
+      transactionType: prepared.TransactionType,
+      sequence: prepared.Sequence
+    });
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // The shared connection may have failed over since the last attempt
+      const client = await xrplConnectionManager.getClient();
+
+      if (attempt > 1) {
+        // Same Sequence, higher fee and a fresh validity window
+        const currentLedger = await client.getLedgerIndex();
+        prepared = {
+          ...prepared,
+          Fee: String(Math.ceil(parseInt(prepared.Fee) * FEE_BUMP)),
+          LastLedgerSequence: currentLedger + LEDGER_OFFSET
+        };
+      }
+
+      const firstLedger = await client.getLedgerIndex();
+      const signed = wallet.sign(prepared);
+
+      console.log(`[SUBMIT] ${purpose} attempt ${attempt}: ${signed.hash} (fee ${prepared.Fee}, LastLedgerSequence ${prepared.LastLedgerSequence})`);
+
+      // Stored before sending, so a crash mid-submit never leaves an attempt we cannot look up
+      record.hash = signed.hash;
+      record.attempts.push({
+        hash: signed.hash,
+        fee: prepared.Fee,
+        lastLedgerSequence: prepared.LastLedgerSequence
+      });
+      await record.save();
+
+      const submitResult = await client.submit(signed.tx_blob);
+      const engineResult = submitResult.result.engine_result;
+
+      record.attempts[record.attempts.length - 1].engineResult = engineResult;
+      await record.save();
+
+      // tem: malformed, never valid. tef: cannot apply, e.g. the sequence is already used.
+      // Anything else (tes, tec, ter, tel) may still make it into a ledger, so wait.
+      if (engineResult.startsWith('tem') || engineResult.startsWith('tef')) {
+        return this.finish(record, 'FAILED', { resultCode: engineResult });
+      }
+
+      const outcome = await this.waitForFinalResult(signed.hash, firstLedger, prepared.LastLedgerSequence);
+
+      if (outcome.status === 'VALIDATED') {
+        const status = outcome.resultCode === 'tesSUCCESS' ? 'VALIDATED' : 'FAILED';
+        return this.finish(record, status, outcome);
+      }
+
+      if (outcome.status === 'UNKNOWN') {
+        // We cannot prove the attempt was not applied, so resubmitting is unsafe
+        return this.finish(record, 'UNKNOWN', { error: outcome.error });
+      }
+
+      console.warn(`[SUBMIT] ${purpose} attempt ${attempt} expired without being validated`);
+    }
+
+    return this.finish(record, 'EXPIRED', { error: `Not validated after ${maxAttempts} attempts` });
+  }
+
+  /**
+   * Settle the latest earlier submission made under an idempotency key
+   * @param {string} idempotencyKey - Key passed to submit
+   * @returns {Promise<object|null>} The earlier result if it validated, or null if a new transaction may be sent
+   */
+  async resolvePrevious(idempotencyKey) {
+    const record = await SubmittedTransaction.findOne({ idempotencyKey }).sort({ createdAt: -1 });
+    if (!record || record.status === 'FAILED' || record.status === 'EXPIRED') {
+      return null;
+    }
+
+    if (record.status === 'VALIDATED') {
+      console.log(`[SUBMIT] ${record.purpose} ${idempotencyKey} already validated as ${record.hash}`);
+      return { hash: record.hash, resultCode: record.resultCode, ledgerIndex: record.ledgerIndex, record, reused: true };
+    }
+
+    // SUBMITTED (interrupted) or UNKNOWN: find out what happened before sending anything new
+    const outcome = await this.reconcile(record);
+
+    if (outcome.status === 'VALIDATED') {
+      record.hash = outcome.hash;
+      const status = outcome.resultCode === 'tesSUCCESS' ? 'VALIDATED' : 'FAILED';
+      const result = await this.finish(record, status, outcome);
+      return { ...result, reused: true };
+    }
+
+    if (outcome.status === 'EXPIRED') {
+      record.status = 'EXPIRED';
+      record.error = 'No attempt can be applied any more';
+      record.finalizedAt = new Date();
+      await record.save();
+      return null;
+    }
+
+    throw new Error(`${record.purpose} transaction ${record.hash} is still unresolved; not sending another`);
+  }
+
+  /**
+   * Work out the fate of an unfinished submission from the ledger.
+   * All attempts share one Sequence, so once that Sequence is used one of them
+   * (or something else) applied; if it is unused and every attempt's
+   * LastLedgerSequence has passed, none of them ever can.
+   * @param {object} record - SubmittedTransaction document
+   * @returns {Promise<object>} { status: VALIDATED|EXPIRED|UNKNOWN, hash?, resultCode?, ledgerIndex? }
+   */
+  async reconcile(record) {
+    if (record.attempts.length === 0) {
+      // Attempts are stored before sending, so nothing was ever submitted
+      return { status: 'EXPIRED' };
+    }
+
+    const client = await xrplConnectionManager.getClient();
+
+    for (const attempt of record.attempts) {
+      try {
+        const response = await client.request({ command: 'tx', transaction: attempt.hash });
+        if (response.result.validated) {
+          return {
+            status: 'VALIDATED',
+            hash: attempt.hash,
+            resultCode: response.result.meta.TransactionResult,
+            ledgerIndex: response.result.ledger_index
+          };
+        }
+      } catch (error) {
+        if (error.data?.error !== 'txnNotFound') throw error;
+      }
+    }
+
+    const lastLedgerSequence = Math.max(0, ...record.attempts.map(a => a.lastLedgerSequence || 0));
+    const validatedLedger = await client.getLedgerIndex();
+    const accountInfo = await client.request({
+      command: 'account_info',
+      account: record.account,
+      ledger_index: 'validated'
+    });
+    const sequenceUnused = accountInfo.result.account_data.Sequence <= record.sequence;
+
+    if (sequenceUnused && validatedLedger > lastLedgerSequence) {
+      return { status: 'EXPIRED' };
+    }
+    return { status: 'UNKNOWN' };
+  }
+
+  /**
+   * Poll until a transaction is in a validated ledger or can no longer be included.
+   * Connection errors are retried, since the pool reconnects or fails over on its own.
+   * @param {string} hash - Transaction hash
+   * @param {number} firstLedger - Ledger index when it was submitted
+   * @param {number} lastLedgerSequence - Last ledger it can be included in
+   * @returns {Promise<object>} { status: VALIDATED|EXPIRED|UNKNOWN, resultCode?, ledgerIndex?, error? }
+   */
+  async waitForFinalResult(hash, firstLedger, lastLedgerSequence) {
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < MAX_WAIT_MS) {
+      let client;
+      try {
+        client = await xrplConnectionManager.getClient();
+        const response = await client.request({
+          command: 'tx',
+          transaction: hash,
+          min_ledger: firstLedger,
+          max_ledger: lastLedgerSequence
+        });
+        if (response.result.validated) {
+          return {
+            status: 'VALIDATED',
+            resultCode: response.result.meta.TransactionResult,
+            ledgerIndex: response.result.ledger_index
+          };
+        }
+      } catch (error) {
+        if (error.data?.error === 'txnNotFound') {
+          const validatedLedger = await client.getLedgerIndex().catch(() => null);
+          if (validatedLedger > lastLedgerSequence) {
+            // Only an expiry if the server holds every ledger the transaction could be in
+            return error.data.searched_all
+              ? { status: 'EXPIRED' }
+              : { status: 'UNKNOWN', error: 'Ledger history incomplete; cannot confirm the transaction expired' };
+          }
+        } else if (error.data) {
+          // The server answered with an error other than not-found
+          throw error;
+        } else {
+          console.warn(`[SUBMIT] Lost connection while waiting for ${hash}: ${error.message}`);
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+
+    return { status: 'UNKNOWN', error: `No validated result within ${MAX_WAIT_MS / 1000} seconds` };
+  }
+
+  /**
+   * Record the final outcome and return it, throwing unless it succeeded
+   * @param {object} record - SubmittedTransaction document
+   * @param {string} status - Final status
+   * @param {object} details - resultCode, ledgerIndex and/or error
+   * @returns {Promise<object>} Submission result
+   */
+  async finish(record, status, { resultCode, ledgerIndex, error } = {}) {
+    record.status = status;
+    record.resultCode = resultCode;
+    record.ledgerIndex = ledgerIndex;
+    record.error = error;
+    record.finalizedAt = new Date();
+    await record.save();
+
+    console.log(`[SUBMIT] ${record.purpose} ${record.hash} final: ${status} ${resultCode || error || ''}`);
+
+    if (status !== 'VALIDATED') {
+      throw new Error(`${record.purpose} transaction ${record.hash} ${status.toLowerCase()}: ${resultCode || error}`);
+    }
+
+    return {
+      hash: record.hash,
+      resultCode,
+      ledgerIndex,
+      record
+    };
+  }
+}
+
+module.exports = new TransactionSubmitter();
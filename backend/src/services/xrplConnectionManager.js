@@ -0,0 +1,285 @@
+const EventEmitter = require('events');
+const xrpl = require('xrpl');
+const config = require('../config/config');
+
+const CONNECTION_TIMEOUT_MS = 10 * 1000;
+const HEALTH_CHECK_INTERVAL_MS = 30 * 1000;
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+// server_info states in which a server is in sync with the network
+const HEALTHY_SERVER_STATES = ['full', 'proposing', 'validating'];
+// Close code xrpl.Client reports for disconnects we asked for
+const NORMAL_DISCONNECT_CODE = 1000;
+
+/**
+ * Keeps one long-lived XRPL connection shared by every service.
+ * Servers are tried in order; when the active one drops or fails a health check
+ * the manager moves to the next. If every server is down it backs off
+ * exponentially before trying again.
+ * Emits 'connected' with the new client each time a connection is established,
+ * so stream subscribers can subscribe again after a failover.
+ */
+class XrplConnectionManager extends EventEmitter {
+  constructor(servers = config.rippleNodes) {
+    super();
+    this.servers = servers.map(url => ({
+      url,
+      healthy: null,
+      lastError: null,
+      lastConnectedAt: null,
+      lastCheckedAt: null,
+      consecutiveFailures: 0
+    }));
+    this.activeIndex = 0;
+    this.client = null;
+    this.connecting = null;
+    this.reconnectAttempts = 0;
+    this.nextAttemptAt = null;
+    this.reconnectTimer = null;
+    this.healthTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Get the shared client, connecting (or failing over) first if needed
+   * @returns {Promise<object>} Connected xrpl.Client
+   */
+  async getClient() {
+    if (this.client && this.client.isConnected()) {
+      return this.client;
+    }
+
+    if (this.nextAttemptAt && Date.now() < this.nextAttemptAt) {
+      const seconds = Math.ceil((this.nextAttemptAt - Date.now()) / 1000);
+      throw new Error(`No XRPL server available, retrying in ${seconds}s`);
+    }
+
+    // Callers arriving mid-connect share the same attempt
+    if (!this.connecting) {
+      this.connecting = this.connectToAnyServer().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Try each server once, starting with the active one
+   * @returns {Promise<object>} Connected xrpl.Client
+   */
+  async connectToAnyServer() {
+    if (this.servers.length === 0) {
+      throw new Error('No XRPL servers configured. Set RIPPLE_NODES or RIPPLE_NODE.');
+    }
+    this.closed = false;
+
+    for (let offset = 0; offset < this.servers.length; offset++) {
+      const index = (this.activeIndex + offset) % this.servers.length;
+      const server = this.servers[index];
+
+      try {
+        const client = await this.openClient(server);
+        this.useClient(client, index);
+        return client;
+      } catch (error) {
+        this.markUnhealthy(server, error);
+      }
+    }
+
+    this.scheduleReconnect();
+    throw new Error('Unable to connect to any XRPL server');
+  }
+
+  /**
+   * Open a connection to one server
+   * @param {object} server - Server state entry
+   * @returns {Promise<object>} Connected xrpl.Client
+   */
+  async openClient(server) {
+    const client = new xrpl.Client(server.url, { connectionTimeout: CONNECTION_TIMEOUT_MS });
+
+    // Without a listener, socket errors would be thrown as unhandled 'error' events
+    client.on('error', (...args) => {
+      const error = args[args.length - 1];
+      server.lastError = error?.message || String(args[1] || args[0]);
+    });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      await client.disconnect().catch(() => {});
+      throw error;
+    }
+    return client;
+  }
+
+  /**
+   * Make a freshly connected client the active one
+   * @param {object} client - Connected xrpl.Client
+   * @param {number} index - Index of its server
+   */
+  useClient(client, index) {
+    const server = this.servers[index];
+
+    this.client = client;
+    this.activeIndex = index;
+    this.reconnectAttempts = 0;
+    this.nextAttemptAt = null;
+    server.healthy = true;
+    server.lastError = null;
+    server.consecutiveFailures = 0;
+    server.lastConnectedAt = new Date();
+
+    console.log(`✅ Connected to XRPL at ${server.url}`);
+
+    client.on('disconnected', (code) => {
+      if (this.closed || client !== this.client || code === NORMAL_DISCONNECT_CODE) {
+        return;
+      }
+      this.markUnhealthy(server, new Error(`Connection closed with code ${code}`));
+      this.failover();
+    });
+
+    this.startHealthChecks();
+    this.emit('connected', client);
+  }
+
+  /**
+   * Drop the active server and move to the next one
+   */
+  failover() {
+    const previous = this.client;
+    this.client = null;
+    this.activeIndex = (this.activeIndex + 1) % this.servers.length;
+
+    if (previous) {
+      // Also stops xrpl.js retrying the old server on its own
+      previous.removeAllListeners('disconnected');
+      previous.disconnect().catch(() => {});
+    }
+
+    console.warn(`[XRPL] Failing over to ${this.servers[this.activeIndex].url}`);
+    this.getClient().catch(error => {
+      console.error('[XRPL] Failover connection failed:', error.message);
+    });
+  }
+
+  /**
+   * Retry in the background after every server failed, backing off exponentially
+   */
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(INITIAL_BACKOFF_MS * 2 ** this.reconnectAttempts, MAX_BACKOFF_MS);
+    this.reconnectAttempts++;
+    this.nextAttemptAt = Date.now() + delay;
+
+    console.warn(`[XRPL] All servers unavailable, retrying in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextAttemptAt = null;
+      this.getClient().catch(error => {
+        console.error('[XRPL] Reconnect failed:', error.message);
+      });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Periodically confirm the active server is in sync, failing over if not
+   */
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => {
+        console.error('[XRPL] Health check error:', error.message);
+      });
+    }, HEALTH_CHECK_INTERVAL_MS);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Check the active server once
+   * @returns {Promise<boolean>} True if the active server is healthy
+   */
+  async checkHealth() {
+    const client = this.client;
+    if (!client || !client.isConnected()) {
+      return false;
+    }
+
+    const server = this.servers[this.activeIndex];
+    server.lastCheckedAt = new Date();
+
+    try {
+      const response = await client.request({ command: 'server_info' });
+      const state = response.result.info.server_state;
+
+      if (!HEALTHY_SERVER_STATES.includes(state)) {
+        throw new Error(`Server state is ${state}`);
+      }
+
+      server.healthy = true;
+      return true;
+    } catch (error) {
+      if (client === this.client) {
+        this.markUnhealthy(server, error);
+        this.failover();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Record a failure against a server
+   * @param {object} server - Server state entry
+   * @param {Error} error - What went wrong
+   */
+  markUnhealthy(server, error) {
+    server.healthy = false;
+    server.lastError = error.message;
+    server.consecutiveFailures++;
+    console.warn(`[XRPL] ${server.url} unhealthy: ${error.message}`);
+  }
+
+  /**
+   * Connection state for health checks
+   * @returns {object} Active server, reconnect state and per-server health
+   */
+  getStatus() {
+    const connected = Boolean(this.client && this.client.isConnected());
+
+    return {
+      connected,
+      activeServer: connected ? this.servers[this.activeIndex].url : null,
+      reconnectAttempts: this.reconnectAttempts,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt) : null,
+      servers: this.servers.map(server => ({ ...server }))
+    };
+  }
+
+  /**
+   * Close the connection and stop all timers
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    clearTimeout(this.reconnectTimer);
+    this.healthTimer = null;
+    this.reconnectTimer = null;
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      await client.disconnect();
+    }
+  }
+}
+
+module.exports = new XrplConnectionManager();
@@ -1,54 +1,182 @@
 const { XummSdk } = require('xumm-sdk');
 const xrpl = require('xrpl'); // <-- 1. CHANGE: Import the new library
 const config = require('../config/config');
+const { conditionFromFulfillment } = require('../utils/escrowCondition');
+const transactionSubmitter = require('./transactionSubmitter');
+const xrplConnectionManager = require('./xrplConnectionManager');
+const { encodeMemo, MEMO_TYPES } = require('../utils/xrplMemo');
 
 class XRPLService {
   constructor() {
-    // 2. CHANGE: Instantiate the modern xrpl.Client
-    this.api = new xrpl.Client(config.rippleNode);
     this.xumm = new XummSdk(config.xummApiKey, config.xummApiSecret);
   }
 
-  async connect() {
-    if (!this.api.isConnected()) {
-      await this.api.connect();
-      console.log(`✅ Connected to XRPL at ${config.rippleNode}`);
-    }
-  }
+  /**
+   * Work out the EscrowCreate fields a borrower must sign for a loan's collateral.
+   * The escrow is locked by a crypto-condition only the platform can fulfil, so it
+   * can be finished at any time (early release or default claim). After CancelAfter
+   * anyone can cancel it and the collateral returns to the borrower.
+   * The loan stores these so the validated transaction can be checked against them.
+   * @param {string} borrowerAddress - Borrower's XRP address
+   * @param {number} collateralAmount - Collateral in XRP
+   * @param {string} condition - Hex PREIMAGE-SHA-256 condition
+   * @param {Date} cancelAfter - When the borrower may cancel the escrow
+   * @returns {object} Account, Destination, Amount (drops), Condition and CancelAfter (Ripple time)
+   */
+  buildCollateralEscrowTerms(borrowerAddress, collateralAmount, condition, cancelAfter) {
+    const rippleEpochOffset = 946684800;
 
-  async disconnect() {
-    if (this.api.isConnected()) {
-      await this.api.disconnect();
-      console.log('🔌 Disconnected from XRPL');
-    }
+    return {
+      account: borrowerAddress,
+      destination: config.platformEscrowAddress,
+      amount: xrpl.xrpToDrops(collateralAmount),
+      condition,
+      cancelAfter: Math.floor(cancelAfter.getTime() / 1000) - rippleEpochOffset
+    };
   }
 
-  async createCollateralEscrowPayload(borrowerAddress, collateralAmount, termDays) {
-    const releaseDate = new Date();
-    releaseDate.setDate(releaseDate.getDate() + termDays);
-    const rippleEpochOffset = 946684800;
-    const releaseAfter = Math.floor(releaseDate.getTime() / 1000) - rippleEpochOffset;
-
+  /**
+   * Create the Xumm payload for the collateral EscrowCreate
+   * @param {object} escrowTerms - Terms from buildCollateralEscrowTerms
+   * @returns {Promise<object>} XUMM payload
+   */
+  async createCollateralEscrowPayload(escrowTerms) {
     const payload = await this.xumm.payload.create({
       txjson: {
         TransactionType: 'EscrowCreate',
-        Account: borrowerAddress,
-        Amount: xrpl.xrpToDrops(collateralAmount), // <-- Use xrpl.js utility
-        Destination: config.platformEscrowAddress,
-        FinishAfter: releaseAfter,
+        Account: escrowTerms.account,
+        Amount: escrowTerms.amount,
+        Destination: escrowTerms.destination,
+        Condition: escrowTerms.condition,
+        CancelAfter: escrowTerms.cancelAfter,
       }
     });
     return payload;
   }
 
+  /**
+   * Look up a transaction, waiting briefly for it to reach a validated ledger
+   * @param {string} txHash - Transaction hash
+   * @param {object} [options]
+   * @param {number} [options.attempts=10] - How many times to look for the validated transaction
+   * @param {number} [options.intervalMs=2000] - Delay between attempts
+   * @returns {Promise<object|null>} The tx result (tx_json, meta, ledger_index), or null if not validated
+   */
+  async getValidatedTransaction(txHash, { attempts = 10, intervalMs = 2000 } = {}) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const client = await xrplConnectionManager.getClient();
+        const response = await client.request({ command: 'tx', transaction: txHash });
+        if (response.result.validated) {
+          return response.result;
+        }
+      } catch (error) {
+        // Not found until the transaction has been applied to a ledger
+        if (error.data?.error !== 'txnNotFound') throw error;
+      }
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Confirm a collateral EscrowCreate on the ledger before any funds move.
+   * Waits briefly for the transaction to reach a validated ledger, then checks
+   * the result and every escrow field against the terms the loan recorded.
+   * @param {string} txHash - Hash of the signed EscrowCreate
+   * @param {object} escrowTerms - Terms the borrower was asked to sign
+   * @param {object} [options]
+   * @param {number} [options.attempts=10] - How many times to look for the validated transaction
+   * @param {number} [options.intervalMs=2000] - Delay between attempts
+   * @returns {Promise<object>} Verification result with the escrow sequence when verified;
+   *   pending is set when the transaction may still be validated later
+   */
+  async verifyCollateralEscrow(txHash, escrowTerms, { attempts = 10, intervalMs = 2000 } = {}) {
+    try {
+      const response = await this.getValidatedTransaction(txHash, { attempts, intervalMs });
+
+      if (!response) {
+        return { verified: false, pending: true, message: `Transaction ${txHash} is not in a validated ledger yet` };
+      }
+
+      const { tx_json: tx, meta, ledger_index: ledgerIndex } = response;
+      const mismatches = [];
+
+      if (meta?.TransactionResult !== 'tesSUCCESS') {
+        mismatches.push(`result ${meta?.TransactionResult}`);
+      }
+      if (tx.TransactionType !== 'EscrowCreate') {
+        mismatches.push(`transaction type ${tx.TransactionType}`);
+      }
+      if (tx.Account !== escrowTerms.account) {
+        mismatches.push(`account ${tx.Account}`);
+      }
+      if (tx.Destination !== escrowTerms.destination) {
+        mismatches.push(`destination ${tx.Destination}`);
+      }
+      if (String(tx.Amount) !== String(escrowTerms.amount)) {
+        mismatches.push(`amount ${tx.Amount} drops`);
+      }
+      if (escrowTerms.condition) {
+        if ((tx.Condition || '').toUpperCase() !== escrowTerms.condition.toUpperCase()) {
+          mismatches.push('condition');
+        }
+        if (tx.CancelAfter !== escrowTerms.cancelAfter) {
+          mismatches.push(`CancelAfter ${tx.CancelAfter}`);
+        }
+        // A FinishAfter would stop the platform finishing the escrow early
+        if (tx.FinishAfter !== undefined) {
+          mismatches.push(`unexpected FinishAfter ${tx.FinishAfter}`);
+        }
+      } else if (tx.FinishAfter !== escrowTerms.finishAfter) {
+        // Time-based escrows issued before conditions were introduced
+        mismatches.push(`FinishAfter ${tx.FinishAfter}`);
+      }
+
+      if (mismatches.length > 0) {
+        return {
+          verified: false,
+          message: `Escrow does not match the loan terms: ${mismatches.join(', ')}`
+        };
+      }
+
+      return {
+        verified: true,
+        txHash,
+        ledgerIndex,
+        // EscrowFinish/EscrowCancel refer to the escrow by the sequence that created it
+        sequence: tx.TicketSequence || tx.Sequence
+      };
+    } catch (error) {
+      console.error('Error verifying collateral escrow:', error);
+      return { verified: false, message: error.message };
+    }
+  }
+
+  /**
+   * Cancel an open Xumm payload so it can no longer be signed
+   * @param {string} payloadId - The XUMM payload ID
+   * @returns {Promise<object>} Whether the payload was cancelled and why not if it wasn't
+   */
+  async cancelPayload(payloadId) {
+    const response = await this.xumm.payload.cancel(payloadId, true);
+    return {
+      cancelled: Boolean(response?.result?.cancelled),
+      reason: response?.result?.reason
+    };
+  }
+
   /**
    * Create a repayment payload for loan repayment
    * @param {string} borrowerAddress - Borrower's XRP address
    * @param {number} repaymentAmount - Amount to repay
    * @param {string} loanId - Loan ID for reference
+   * @param {number} [destinationTag] - The loan's destination tag
    * @returns {Promise<object>} XUMM payload
    */
-  async createRepaymentPayload(borrowerAddress, repaymentAmount, loanId) {
+  async createRepaymentPayload(borrowerAddress, repaymentAmount, loanId, destinationTag) {
     // Create a Payment transaction to repay the loan
     const payload = await this.xumm.payload.create({
       txjson: {
@@ -56,16 +184,9 @@ class XRPLService {
         Account: borrowerAddress,
         Amount: xrpl.xrpToDrops(repaymentAmount),
         Destination: config.platformEscrowAddress,
-        // Add memos to identify the transaction purpose and loan
-        Memos: [
-          {
-            Memo: {
-              MemoType: Buffer.from('repayment', 'utf8').toString('hex').toUpperCase(),
-              MemoFormat: Buffer.from('text/plain', 'utf8').toString('hex').toUpperCase(),
-              MemoData: Buffer.from(loanId, 'utf8').toString('hex').toUpperCase()
-            }
-          }
-        ]
+        DestinationTag: destinationTag,
+        // The repayment memo lets the ledger listener match the payment to its loan
+        Memos: [encodeMemo(MEMO_TYPES.REPAYMENT, String(loanId))]
       },
       // Optional: Add user instruction
       custom_meta: {
@@ -90,47 +211,73 @@ class XRPLService {
   }
 
   /**
-   * Verify a repayment transaction on the XRPL
+   * XRP a validated Payment actually delivered, from its metadata.
+   * Amount (DeliverMax) is only the most that could arrive; with tfPartialPayment
+   * far less can, so only delivered_amount is trusted.
+   * @param {object} meta - Validated transaction metadata
+   * @returns {number|null} XRP delivered, or null if unknown or not XRP
+   */
+  getDeliveredXrp(meta) {
+    const delivered = meta?.delivered_amount ?? meta?.DeliveredAmount;
+    return typeof delivered === 'string' ? parseFloat(xrpl.dropsToXrp(delivered)) : null;
+  }
+
+  /**
+   * Whether a Payment was sent with the tfPartialPayment flag
+   * @param {object} tx - Transaction fields
+   * @returns {boolean} True for partial payments
+   */
+  isPartialPayment(tx) {
+    return (Number(tx?.Flags) & xrpl.PaymentFlags.tfPartialPayment) !== 0;
+  }
+
+  /**
+   * Verify a repayment on the XRPL and read what it really delivered.
+   * Waits briefly for the transaction to reach a validated ledger.
    * @param {string} txHash - Transaction hash of the repayment
-   * @returns {Promise<object>} Verification result with transaction details
+   * @param {object} [options]
+   * @param {number} [options.attempts=10] - How many times to look for the validated transaction
+   * @param {number} [options.intervalMs=2000] - Delay between attempts
+   * @returns {Promise<object>} Verification result with deliveredAmount, sentAmount and partialPayment
    */
-  async verifyRepaymentTransaction(txHash) {
-    await this.connect();
+  async verifyRepaymentTransaction(txHash, { attempts = 10, intervalMs = 2000 } = {}) {
     try {
-      // Get the transaction from the ledger
-      const tx = await this.api.request({
-        command: 'tx',
-        transaction: txHash
-      });
-      
-      // Check if the transaction was successful
-      if (tx.result.meta.TransactionResult !== 'tesSUCCESS') {
-        return { 
-          verified: false, 
-          message: `Transaction failed: ${tx.result.meta.TransactionResult}`
-        };
+      const response = await this.getValidatedTransaction(txHash, { attempts, intervalMs });
+
+      if (!response) {
+        return { verified: false, pending: true, message: `Transaction ${txHash} is not in a validated ledger yet` };
       }
-      
-      // Extract payment details
-      const paymentAmount = xrpl.dropsToXrp(tx.result.Amount);
-      const sender = tx.result.Account;
-      const receiver = tx.result.Destination;
-      
-      // Verify it's a payment to the platform address
-      if (receiver !== config.platformEscrowAddress) {
-        return { 
-          verified: false, 
-          message: 'Payment destination does not match platform address'
-        };
+
+      const { tx_json: tx, meta, ledger_index: ledgerIndex } = response;
+
+      if (meta?.TransactionResult !== 'tesSUCCESS') {
+        return { verified: false, message: `Transaction failed: ${meta?.TransactionResult}` };
       }
-      
+      if (tx.TransactionType !== 'Payment') {
+        return { verified: false, message: `Expected a Payment, got ${tx.TransactionType}` };
+      }
+      if (tx.Destination !== config.platformEscrowAddress) {
+        return { verified: false, message: 'Payment destination does not match platform address' };
+      }
+
+      const deliveredAmount = this.getDeliveredXrp(meta);
+      if (deliveredAmount === null) {
+        return { verified: false, message: 'Payment did not deliver XRP' };
+      }
+
+      const sent = tx.DeliverMax ?? tx.Amount;
+
       return {
         verified: true,
         txHash,
-        amount: paymentAmount,
-        sender,
-        receiver,
-        date: new Date(tx.result.date)
+        ledgerIndex,
+        deliveredAmount,
+        sentAmount: typeof sent === 'string' ? parseFloat(xrpl.dropsToXrp(sent)) : null,
+        partialPayment: this.isPartialPayment(tx),
+        sender: tx.Account,
+        receiver: tx.Destination,
+        destinationTag: tx.DestinationTag,
+        memos: tx.Memos
       };
     } catch (error) {
       console.error('Error verifying repayment transaction:', error);
@@ -138,13 +285,19 @@ class XRPLService {
         verified: false, 
         message: error.message
       };
-    } finally {
-      await this.disconnect();
     }
   }
 
-  async disburseLoan(borrowerAddress, loanAmount) {
-    await this.connect();
+  /**
+   * Pay the loan amount from the platform to the borrower.
+   * Resolves only once the payment is validated with tesSUCCESS.
+   * @param {string} borrowerAddress - Borrower's XRP address
+   * @param {number} loanAmount - Amount in XRP
+   * @param {string} [loanId] - Loan the disbursement is for
+   * @param {string} [idempotencyKey] - Reuses an earlier disbursement under the same key instead of paying twice
+   * @returns {Promise<object>} Transaction hash and validated ledger index
+   */
+  async disburseLoan(borrowerAddress, loanAmount, loanId, idempotencyKey) {
     try {
       const wallet = xrpl.Wallet.fromSeed(config.platformEscrowSecret);
 
@@ -155,173 +308,277 @@ class XRPLService {
         Destination: borrowerAddress,
       };
 
-      const prepared = await this.api.autofill(paymentTx);
+      const result = await transactionSubmitter.submit(wallet, paymentTx, {
+        purpose: 'DISBURSEMENT',
+        loanId,
+        idempotencyKey
+      });
 
-      const signed = wallet.sign(prepared);
-      const txHash = signed.hash;
+      console.log('[SUCCESS] Disbursement validated.');
+      return { success: true, txHash: result.hash, ledgerIndex: result.ledgerIndex };
+    } catch (error) {
+      console.error('CRITICAL ERROR during disbursement:', error);
+      throw error;
+    }
+  }
 
-      console.log(`[INFO] Submitting disbursement transaction with hash: ${txHash}`);
+  /**
+   * Send an overpayment back from the account that received it.
+   * The refund carries a memo with the hash of the payment it refunds.
+   * @param {string} destination - Account that sent the overpayment
+   * @param {number} amount - Amount to refund in XRP
+   * @param {string} originalTxHash - Hash of the overpaying transaction
+   * @param {string} [loanId] - Loan the overpayment was made on
+   * @param {string} [idempotencyKey] - Reuses an earlier refund under the same key
+   * @returns {Promise<object>} Transaction hash and validated ledger index
+   */
+  async refundPayment(destination, amount, originalTxHash, loanId, idempotencyKey) {
+    try {
+      const original = await this.getValidatedTransaction(originalTxHash, { attempts: 1 });
+      if (!original) {
+        throw new Error(`Refunded transaction ${originalTxHash} is not in a validated ledger`);
+      }
+      const wallet = this.getPlatformWallet(original.tx_json.Destination);
 
-      const result = await this.api.submit(signed.tx_blob);
+      const refundTx = {
+        TransactionType: 'Payment',
+        Account: wallet.address,
+        Amount: xrpl.xrpToDrops(amount),
+        Destination: destination,
+        Memos: [encodeMemo(MEMO_TYPES.REFUND, originalTxHash)]
+      };
 
-      if (result.result.engine_result === 'tesSUCCESS') {
-        console.log('[SUCCESS] Disbursement successful.');
-        return { success: true, txHash: txHash };
-      } else {
-        throw new Error(`On-chain disbursement failed: ${result.result.engine_result_message}`);
-      }
+      const result = await transactionSubmitter.submit(wallet, refundTx, {
+        purpose: 'REFUND',
+        loanId,
+        idempotencyKey
+      });
+
+      console.log(`[SUCCESS] Refund of ${amount} XRP for ${originalTxHash} validated.`);
+      return { success: true, txHash: result.hash, ledgerIndex: result.ledgerIndex };
     } catch (error) {
-      console.error('CRITICAL ERROR during disbursement:', error);
+      console.error('Error refunding overpayment:', error);
       throw error;
-    } finally {
-      await this.disconnect();
     }
   }
 
-   /**
-   * Release collateral back to borrower when loan is fully repaid
+  /**
+   * Wallet of the platform account with the given address
+   * @param {string} address - Platform account address
+   * @returns {object} xrpl Wallet
+   */
+  getPlatformWallet(address) {
+    const secret = [
+      config.platformEscrowSecret,
+      config.platformRepaymentSecret,
+      config.platformTreasurySecret
+    ].find(seed => seed && xrpl.Wallet.fromSeed(seed).address === address);
+
+    if (!secret) {
+      throw new Error(`No platform secret is configured for ${address}`);
+    }
+    return xrpl.Wallet.fromSeed(secret);
+  }
+
+  /**
+   * Find a loan's collateral escrow among the borrower's ledger objects.
+   * An escrow that has not been touched since it was created still carries the
+   * EscrowCreate hash as its PreviousTxnID.
+   * @param {string} borrowerAddress - Escrow owner
+   * @param {string} collateralTxHash - Hash of the EscrowCreate
+   * @returns {Promise<object|null>} Escrow ledger object, or null if it no longer exists
+   */
+  async findCollateralEscrow(borrowerAddress, collateralTxHash) {
+    const client = await xrplConnectionManager.getClient();
+    const accountEscrows = await client.request({
+      command: 'account_objects',
+      account: borrowerAddress,
+      type: 'escrow'
+    });
+
+    return accountEscrows.result?.account_objects?.find(obj =>
+      obj.PreviousTxnID === collateralTxHash
+    ) || null;
+  }
+
+  /**
+   * Read an account's validated transactions within a ledger range, oldest first
+   * @param {string} account - XRP address
+   * @param {object} [options]
+   * @param {number} [options.ledgerIndexMin=-1] - First ledger, -1 for the earliest available
+   * @param {number} [options.ledgerIndexMax=-1] - Last ledger, -1 for the latest validated
+   * @param {number} [options.maxTransactions=1000] - Stop after this many
+   * @returns {Promise<Array>} account_tx entries (tx_json or tx, meta, hash, ledger_index)
+   */
+  async getAccountTransactions(account, { ledgerIndexMin = -1, ledgerIndexMax = -1, maxTransactions = 1000 } = {}) {
+    const transactions = [];
+    let marker;
+    do {
+      const client = await xrplConnectionManager.getClient();
+      const response = await client.request({
+        command: 'account_tx',
+        account,
+        ledger_index_min: ledgerIndexMin,
+        ledger_index_max: ledgerIndexMax,
+        forward: true,
+        limit: Math.min(200, maxTransactions - transactions.length),
+        marker
+      });
+      transactions.push(...response.result.transactions);
+      marker = response.result.marker;
+    } while (marker && transactions.length < maxTransactions);
+
+    return transactions;
+  }
+
+  /**
+   * Get the index of the latest validated ledger
+   * @returns {Promise<number>} Ledger index
+   */
+  async getValidatedLedgerIndex() {
+    const client = await xrplConnectionManager.getClient();
+    return client.getLedgerIndex();
+  }
+
+  /**
+   * Build an EscrowFinish for a collateral escrow, adding the crypto-condition
+   * and fulfillment when the escrow has one
+   * @param {string} platformAddress - Account finishing the escrow
+   * @param {string} borrowerAddress - Escrow owner
+   * @param {number} escrowSequence - Sequence of the EscrowCreate
+   * @param {string|null} fulfillment - Hex fulfillment, null for time-based escrows
+   * @returns {object} EscrowFinish transaction
+   */
+  buildEscrowFinish(platformAddress, borrowerAddress, escrowSequence, fulfillment) {
+    const escrowFinishTx = {
+      TransactionType: 'EscrowFinish',
+      Account: platformAddress,
+      Owner: borrowerAddress,
+      OfferSequence: escrowSequence
+    };
+
+    if (fulfillment) {
+      escrowFinishTx.Condition = conditionFromFulfillment(fulfillment);
+      escrowFinishTx.Fulfillment = fulfillment;
+    }
+    return escrowFinishTx;
+  }
+
+  /**
+   * Release collateral back to borrower when loan is fully repaid.
+   * Finishing the escrow pays the collateral to the platform (the escrow destination),
+   * so it is then returned to the borrower in a Payment.
    * @param {number} escrowSequence - Escrow sequence number
    * @param {string} borrowerAddress - Borrower's address to return collateral to
+   * @param {number} collateralAmount - Collateral to return, in XRP
+   * @param {string|null} [fulfillment=null] - Hex fulfillment for conditional escrows
+   * @param {string} [loanId] - Loan the collateral belongs to
    * @returns {Promise<object>} Result of releasing the escrow
    */
-  async releaseCollateral(escrowSequence, borrowerAddress) {
-    await this.connect();
+  async releaseCollateral(escrowSequence, borrowerAddress, collateralAmount, fulfillment = null, loanId, idempotencyKey) {
     try {
       const wallet = xrpl.Wallet.fromSeed(config.platformEscrowSecret);
 
-      const escrowFinishTx = {
-        TransactionType: 'EscrowFinish',
+      // autofill raises the fee for the fulfillment size
+      const escrowFinishTx = this.buildEscrowFinish(wallet.address, borrowerAddress, escrowSequence, fulfillment);
+      const finish = await transactionSubmitter.submit(wallet, escrowFinishTx, {
+        purpose: 'ESCROW_FINISH',
+        loanId,
+        idempotencyKey: idempotencyKey && `${idempotencyKey}:finish`
+      });
+      console.log('[SUCCESS] Escrow finish validated.');
+
+      // Only return the collateral once the escrow has actually paid it out
+      const returnTx = {
+        TransactionType: 'Payment',
         Account: wallet.address,
-        Owner: borrowerAddress,
-        OfferSequence: escrowSequence
+        Amount: xrpl.xrpToDrops(collateralAmount),
+        Destination: borrowerAddress,
       };
+      const collateralReturn = await transactionSubmitter.submit(wallet, returnTx, {
+        purpose: 'COLLATERAL_RETURN',
+        loanId,
+        idempotencyKey: idempotencyKey && `${idempotencyKey}:return`
+      });
+      console.log('[SUCCESS] Collateral returned to borrower.');
 
-      const prepared = await this.api.autofill(escrowFinishTx);
-
-      const signed = wallet.sign(prepared);
-      const txHash = signed.hash;
-
-      console.log(`[INFO] Submitting escrow finish transaction with hash: ${txHash}`);
-
-      const result = await this.api.submit(signed.tx_blob);
-
-      if (result.result.engine_result === 'tesSUCCESS') {
-        console.log('[SUCCESS] Escrow finish successful. Collateral released.');
-        return { success: true, txHash };
-      } else {
-        throw new Error(`Escrow finish failed: ${result.result.engine_result_message}`);
-      }
+      return { success: true, txHash: finish.hash, returnTxHash: collateralReturn.hash };
     } catch (error) {
       console.error('Error releasing collateral:', error);
       throw error;
-    } finally {
-      await this.disconnect();
     }
   }
 
+
   /**
    * Claim collateral from escrow on loan default
    * @param {string} borrowerAddress - Borrower's address (escrow owner)
    * @param {number} escrowSequence - Sequence number of the escrow to claim
+   * @param {string} collateralTxHash - Hash of the EscrowCreate, used to find the escrow
+   * @param {string|null} [fulfillment=null] - Hex fulfillment for conditional escrows
+   * @param {string} [loanId] - Loan the collateral belongs to
    * @returns {Promise<object>} Result of claiming the escrow
    */
-  async claimCollateralEscrow(borrowerAddress, escrowSequence) {
-    await this.connect();
+  async claimCollateralEscrow(borrowerAddress, escrowSequence, collateralTxHash, fulfillment = null, loanId, idempotencyKey) {
     try {
       console.log(`[XRPL] Attempting to claim escrow from ${borrowerAddress}, sequence ${escrowSequence}`);
       
       // Create a wallet instance from platform secret
       const wallet = xrpl.Wallet.fromSeed(config.platformEscrowSecret);
 
-      // First, verify the escrow exists and is claimable
-      const accountEscrows = await this.api.request({
-        command: 'account_objects',
-        account: borrowerAddress,
-        type: 'escrow'
-      });
-      
-      console.log(`[XRPL] Found ${accountEscrows.result?.account_objects?.length || 0} escrows for account`);
-      
-      // Find the specific escrow with the given sequence
-      const escrow = accountEscrows.result?.account_objects?.find(obj => 
-        obj.OwnerNode === escrowSequence.toString() || 
-        obj.PreviousTxnLgrSeq === escrowSequence
-      );
+      // A retry after a claim that already validated must not fail on the escrow being gone
+      const previous = idempotencyKey && await transactionSubmitter.resolvePrevious(idempotencyKey);
+      if (previous) {
+        return { success: true, txHash: previous.hash, ledgerIndex: previous.ledgerIndex };
+      }
+
+      // First, verify the escrow still exists and is claimable
+      const escrow = await this.findCollateralEscrow(borrowerAddress, collateralTxHash);
       
       if (!escrow) {
-        throw new Error(`Escrow with sequence ${escrowSequence} not found for borrower ${borrowerAddress}`);
+        throw new Error(`Escrow ${collateralTxHash} (sequence ${escrowSequence}) not found for borrower ${borrowerAddress}`);
       }
       
       console.log(`[XRPL] Found escrow: ${JSON.stringify(escrow)}`);
       
-      // Prepare the EscrowFinish transaction
-      const escrowFinishTx = {
-        TransactionType: 'EscrowFinish',
-        Account: wallet.address,
-        Owner: borrowerAddress,
-        OfferSequence: escrowSequence,
-        Flags: 0 // Standard flags
-      };
-
-      // Add Condition and Fulfillment if they exist in the escrow
-      if (escrow.Condition) {
-        escrowFinishTx.Condition = escrow.Condition;
-        // In a real system, you'd need to provide the Fulfillment
-        // This is just a placeholder
-        escrowFinishTx.Fulfillment = ''; 
+      if (escrow.Condition && !fulfillment) {
+        throw new Error('Escrow is conditional but no fulfillment is stored for this loan');
       }
       
-      console.log(`[XRPL] Preparing EscrowFinish transaction`);
-      const prepared = await this.api.autofill(escrowFinishTx);
-
-      // Sign the prepared transaction
-      console.log(`[XRPL] Signing transaction with wallet`);
-      const signed = wallet.sign(prepared);
-      const txHash = signed.hash;
-
-      console.log(`[XRPL] Submitting escrow finish transaction with hash: ${txHash}`);
-
-      // Submit the signed transaction blob
-      const result = await this.api.submit(signed.tx_blob);
-      console.log(`[XRPL] Submission result: ${JSON.stringify(result.result)}`);
-
-      if (result.result.engine_result === 'tesSUCCESS') {
-        console.log('[XRPL] Escrow claim successful. Collateral claimed.');
-        return { 
-          success: true, 
-          txHash,
-          result: result.result
-        };
-      } else if (result.result.engine_result === 'terQUEUED') {
-        // Transaction is queued - this is usually fine
-        console.log('[XRPL] Escrow claim queued for processing.');
-        return { 
-          success: true, 
-          txHash,
-          status: 'queued',
-          result: result.result
-        };
-      } else {
-        throw new Error(`Escrow claim failed: ${result.result.engine_result_message}`);
-      }
+      // Prepare the EscrowFinish transaction
+      const escrowFinishTx = this.buildEscrowFinish(wallet.address, borrowerAddress, escrowSequence, fulfillment);
+      
+      console.log(`[XRPL] Submitting EscrowFinish transaction`);
+      const result = await transactionSubmitter.submit(wallet, escrowFinishTx, {
+        purpose: 'ESCROW_CLAIM',
+        loanId,
+        idempotencyKey
+      });
+
+      console.log('[XRPL] Escrow claim validated. Collateral claimed.');
+      return {
+        success: true,
+        txHash: result.hash,
+        ledgerIndex: result.ledgerIndex
+      };
     } catch (error) {
       console.error('Error claiming escrow collateral:', error);
       throw error;
-    } finally {
-      await this.disconnect();
     }
   }
   
   /**
-   * Check if a borrower has any unclaimed/expired escrows
+   * Find a borrower's escrows that can be cancelled now, i.e. whose CancelAfter has passed.
+   * Each escrow is returned with the `sequence` of the EscrowCreate that made it,
+   * which EscrowCancel needs as OfferSequence.
    * @param {string} borrowerAddress - Borrower's XRP address
-   * @returns {Promise<Array>} Array of eligible escrows
+   * @returns {Promise<Array>} Array of cancellable escrows
    */
   async checkForUnclaimedEscrows(borrowerAddress) {
-    await this.connect();
+    const client = await xrplConnectionManager.getClient();
     try {
       // Get all escrows where the borrower is the owner
-      const accountEscrows = await this.api.request({
+      const accountEscrows = await client.request({
         command: 'account_objects',
         account: borrowerAddress,
         type: 'escrow'
@@ -331,17 +588,71 @@ class XRPLService {
       const rippleEpochOffset = 946684800;
       const currentRippleTime = Math.floor(now.getTime() / 1000) - rippleEpochOffset;
       
-      // Filter for escrows that are past their FinishAfter time
-      const claimableEscrows = accountEscrows.result?.account_objects?.filter(escrow => {
-        return escrow.FinishAfter && escrow.FinishAfter < currentRippleTime;
+      // Only escrows past their CancelAfter time can be cancelled
+      const cancellableEscrows = accountEscrows.result?.account_objects?.filter(escrow => {
+        return escrow.CancelAfter && escrow.CancelAfter < currentRippleTime;
       }) || [];
       
-      return claimableEscrows;
+      // Escrows are never modified after creation, so PreviousTxnID is the EscrowCreate
+      for (const escrow of cancellableEscrows) {
+        const createTx = await this.getValidatedTransaction(escrow.PreviousTxnID, { attempts: 1 });
+        escrow.sequence = createTx ? (createTx.tx_json.TicketSequence || createTx.tx_json.Sequence) : null;
+      }
+      
+      return cancellableEscrows.filter(escrow => escrow.sequence);
     } catch (error) {
       console.error('Error checking for unclaimed escrows:', error);
       throw error;
-    } finally {
-      await this.disconnect();
+    }
+  }
+
+  /**
+   * Create a Xumm payload for the borrower to cancel their own escrow
+   * @param {string} borrowerAddress - Borrower's XRP address (escrow owner)
+   * @param {number} escrowSequence - Sequence of the EscrowCreate
+   * @returns {Promise<object>} XUMM payload
+   */
+  async createEscrowCancelPayload(borrowerAddress, escrowSequence) {
+    const payload = await this.xumm.payload.create({
+      txjson: {
+        TransactionType: 'EscrowCancel',
+        Account: borrowerAddress,
+        Owner: borrowerAddress,
+        OfferSequence: escrowSequence,
+      }
+    });
+    return payload;
+  }
+
+  /**
+   * Confirm a borrower's EscrowCancel succeeded in a validated ledger
+   * @param {string} txHash - Hash of the EscrowCancel
+   * @param {string} borrowerAddress - Escrow owner
+   * @param {number} escrowSequence - Sequence of the cancelled escrow
+   * @returns {Promise<object>} Verification result; pending is set when the
+   *   transaction may still be validated later
+   */
+  async verifyEscrowCancel(txHash, borrowerAddress, escrowSequence) {
+    try {
+      const response = await this.getValidatedTransaction(txHash);
+
+      if (!response) {
+        return { verified: false, pending: true, message: `Transaction ${txHash} is not in a validated ledger yet` };
+      }
+
+      const { tx_json: tx, meta, ledger_index: ledgerIndex } = response;
+
+      if (meta?.TransactionResult !== 'tesSUCCESS') {
+        return { verified: false, message: `Transaction failed: ${meta?.TransactionResult}` };
+      }
+      if (tx.TransactionType !== 'EscrowCancel' || tx.Owner !== borrowerAddress || tx.OfferSequence !== escrowSequence) {
+        return { verified: false, message: 'Transaction does not cancel the collateral escrow' };
+      }
+
+      return { verified: true, txHash, ledgerIndex };
+    } catch (error) {
+      console.error('Error verifying escrow cancel:', error);
+      return { verified: false, message: error.message };
     }
   }
 }
@@ -69,6 +69,41 @@ class XummSubscriptionHandler {
     }
   }
 
+  /**
+   * Close the subscription stored under a key, if there is one
+   * @param {string} key - Loan ID, or `${loanId}:${repaymentId}` for repayments
+   * @returns {boolean} True if a subscription was closed
+   */
+  unsubscribe(key) {
+    const subscription = this.activeSubscriptions.get(key);
+    if (!subscription) {
+      return false;
+    }
+
+    try {
+      // Resolving ends the SDK subscription and closes its websocket
+      subscription.resolve({ unsubscribed: true });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error closing subscription ${key}:`, error);
+    }
+    this.activeSubscriptions.delete(key);
+    console.log(`[${new Date().toISOString()}] Closed subscription ${key}`);
+    return true;
+  }
+
+  /**
+   * Close every subscription for a loan, including its repayment subscriptions
+   * @param {string} loanId - The loan ID
+   * @returns {number} Number of subscriptions closed
+   */
+  unsubscribeLoan(loanId) {
+    const prefix = `${loanId}:`;
+    const keys = [...this.activeSubscriptions.keys()]
+      .filter(key => key === loanId || key.startsWith(prefix));
+
+    return keys.filter(key => this.unsubscribe(key)).length;
+  }
+
   /**
    * Check if payload is signed
    * @param {string} payloadId - The XUMM payload ID
@@ -0,0 +1,99 @@
+// PREIMAGE-SHA-256 crypto-conditions for collateral escrows, and encryption of
+// their fulfillments at rest. Hex values are uppercase, as the XRPL returns them.
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const PREIMAGE_BYTES = 32;
+
+/**
+ * Create a random PREIMAGE-SHA-256 condition and its fulfillment.
+ * Fulfillment: A0 22 80 20 <preimage>
+ * Condition:   A0 25 80 20 <sha256(preimage)> 81 01 20 (cost = preimage length)
+ * @returns {{condition: string, fulfillment: string}} Hex-encoded condition and fulfillment
+ */
+function createPreimageCondition() {
+  const preimage = crypto.randomBytes(PREIMAGE_BYTES);
+  const fulfillment = Buffer.concat([Buffer.from([0xa0, 0x22, 0x80, 0x20]), preimage]);
+
+  return {
+    condition: conditionFromFulfillment(fulfillment.toString('hex')),
+    fulfillment: fulfillment.toString('hex').toUpperCase()
+  };
+}
+
+/**
+ * Derive the condition that a PREIMAGE-SHA-256 fulfillment satisfies
+ * @param {string} fulfillmentHex - Hex-encoded fulfillment
+ * @returns {string} Hex-encoded condition
+ */
+function conditionFromFulfillment(fulfillmentHex) {
+  const fulfillment = Buffer.from(fulfillmentHex, 'hex');
+  if (fulfillment.length !== PREIMAGE_BYTES + 4 || fulfillment[0] !== 0xa0 || fulfillment[2] !== 0x80) {
+    throw new Error('Unsupported fulfillment: expected a 32-byte PREIMAGE-SHA-256 fulfillment');
+  }
+
+  const preimage = fulfillment.subarray(4);
+  const fingerprint = crypto.createHash('sha256').update(preimage).digest();
+
+  return Buffer.concat([
+    Buffer.from([0xa0, 0x25, 0x80, 0x20]),
+    fingerprint,
+    Buffer.from([0x81, 0x01, preimage.length])
+  ]).toString('hex').toUpperCase();
+}
+
+/**
+ * Key used to encrypt fulfillments, from ESCROW_FULFILLMENT_KEY (64 hex characters)
+ * @returns {Buffer} 32-byte AES key
+ */
+function getFulfillmentKey() {
+  const key = Buffer.from(config.escrowFulfillmentKey || '', 'hex');
+  if (key.length !== 32) {
+    throw new Error('ESCROW_FULFILLMENT_KEY must be set to 32 bytes of hex');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a fulfillment with AES-256-GCM for storage on the loan
+ * @param {string} fulfillmentHex - Hex-encoded fulfillment
+ * @returns {{ciphertext: string, iv: string, authTag: string}} Encrypted fulfillment (hex fields)
+ */
+function encryptFulfillment(fulfillmentHex) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getFulfillmentKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(fulfillmentHex, 'utf8'), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('hex'),
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex')
+  };
+}
+
+/**
+ * Decrypt a fulfillment stored by encryptFulfillment
+ * @param {object} encrypted - Encrypted fulfillment from the loan
+ * @returns {string} Hex-encoded fulfillment
+ */
+function decryptFulfillment(encrypted) {
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getFulfillmentKey(),
+    Buffer.from(encrypted.iv, 'hex')
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.authTag, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted.ciphertext, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  createPreimageCondition,
+  conditionFromFulfillment,
+  encryptFulfillment,
+  decryptFulfillment
+};
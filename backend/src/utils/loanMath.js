@@ -0,0 +1,314 @@
+// Loan calculations: interest and penalty accrual, totals, balances, collateral and payoff quotes.
+// Every balance the platform shows or checks is derived from this module.
+
+const { roundXrp, getInstallmentStatus } = require('./loanSchedule');
+const { isFinal } = require('./loanStateMachine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+// Balances at or below one drop are treated as settled
+const SETTLED_THRESHOLD = 0.000001;
+
+/**
+ * Number of accrual days started between two instants.
+ * Any part of a day counts as a full day of interest.
+ * @param {Date} start - Accrual start
+ * @param {Date} instant - Instant to measure up to
+ * @returns {number} Whole days, never negative
+ */
+function accrualDays(start, instant) {
+  return Math.max(0, Math.ceil((new Date(instant) - new Date(start)) / DAY_MS));
+}
+
+/**
+ * Interest owed if the full principal is held for the whole term
+ * @param {number} principal - Loan amount in XRP
+ * @param {number} rate - Interest rate (decimal APR)
+ * @param {number} termDays - Loan term in days
+ * @returns {number} Projected interest in XRP
+ */
+function calculateProjectedInterest(principal, rate, termDays) {
+  return roundXrp(parseFloat(principal) * (parseFloat(rate) || 0) * parseInt(termDays) / DAYS_PER_YEAR);
+}
+
+/**
+ * Principal plus projected interest over the full term
+ * @param {number} principal - Loan amount in XRP
+ * @param {number} rate - Interest rate (decimal APR)
+ * @param {number} termDays - Loan term in days
+ * @returns {number} Total repayment in XRP
+ */
+function calculateTotalRepayment(principal, rate, termDays) {
+  return roundXrp(parseFloat(principal) + calculateProjectedInterest(principal, rate, termDays));
+}
+
+/**
+ * Collateral as a fraction of the loan amount (0.8 = 80%)
+ * @param {number} collateralAmount - Collateral in XRP
+ * @param {number} amount - Loan amount in XRP
+ * @returns {number} Collateral ratio, 0 when the amount is not set
+ */
+function calculateCollateralRatio(collateralAmount, amount) {
+  const principal = parseFloat(amount);
+  return principal > 0 ? parseFloat(collateralAmount) / principal : 0;
+}
+
+/**
+ * Minimum collateral required for a loan amount at a given ratio
+ * @param {number} amount - Loan amount in XRP
+ * @param {number} collateralRatio - Required ratio (0.8 = 80%)
+ * @returns {number} Minimum collateral in XRP
+ */
+function calculateMinimumCollateral(amount, collateralRatio) {
+  return roundXrp(parseFloat(amount) * collateralRatio);
+}
+
+/**
+ * Confirmed repayments in the order they were received
+ * @param {object} loan - Loan document
+ * @returns {Array<object>} Sorted repayments
+ */
+function confirmedRepayments(loan) {
+  return (loan.repayments || [])
+    .filter(payment => payment.confirmed)
+    .map(payment => ({
+      amount: payment.amount,
+      receivedAt: new Date(payment.confirmedAt || payment.timestamp)
+    }))
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+}
+
+/**
+ * Extension fees a loan owes, oldest first. A fee is owed from the moment the
+ * extension's replacement escrow is confirmed.
+ * @param {object} loan - Loan document
+ * @returns {Array<{amount: number, chargedAt: Date}>} Charged extension fees
+ */
+function extensionCharges(loan) {
+  return (loan.extensions || [])
+    .filter(extension => ['ESCROWED', 'COMPLETED'].includes(extension.status) && extension.fee > 0)
+    .map(extension => ({
+      amount: extension.fee,
+      chargedAt: new Date(extension.confirmedAt)
+    }))
+    .sort((a, b) => a.chargedAt - b.chargedAt);
+}
+
+/**
+ * Calculate the live payoff position of a loan at a given instant.
+ * Interest accrues daily at APR / 365 on the outstanding principal from the
+ * activation date. If anything is still owed when the due date passes, the loan's
+ * late fee is charged once and penalty interest accrues daily at penaltyApr / 365
+ * on the outstanding principal, on top of the regular interest. Extension fees are
+ * owed from the moment each extension is confirmed.
+ * Each repayment settles the late fee and extension fees first, then penalty
+ * interest, then accrued interest, then principal. Loans that were never activated
+ * accrue nothing.
+ * @param {object} loan - Loan document
+ * @param {Date} [asOf=new Date()] - Instant to quote the payoff at
+ * @returns {object} Principal, interest, penalty and payoff amounts in XRP
+ */
+function calculatePayoff(loan, asOf = new Date()) {
+  const apr = parseFloat(loan.interestRate) || 0;
+  const penaltyApr = parseFloat(loan.penaltyApr) || 0;
+  const lateFee = parseFloat(loan.lateFee) || 0;
+  const start = loan.activationDate ? new Date(loan.activationDate) : null;
+  const dueDate = loan.dueDate ? new Date(loan.dueDate) : null;
+  // Penalty interest accrues for the accrual days after this one
+  const dueDay = start && dueDate ? accrualDays(start, dueDate) : null;
+
+  let principalOutstanding = loan.amount;
+  let interestDue = 0;
+  let interestAccrued = 0;
+  let penaltyInterestDue = 0;
+  let penaltyInterestAccrued = 0;
+  let lateFeeDue = 0;
+  let lateFeeCharged = 0;
+  let lateFeeAssessed = false;
+  let extensionFeesDue = 0;
+  let extensionFeesCharged = 0;
+  let totalRepaid = 0;
+  let scheduledRepaid = 0;
+  let accruedThroughDay = 0;
+
+  const accrueThroughDay = (day) => {
+    if (day <= accruedThroughDay) return;
+
+    const interest = principalOutstanding * apr * (day - accruedThroughDay) / DAYS_PER_YEAR;
+    interestDue += interest;
+    interestAccrued += interest;
+
+    if (dueDay !== null) {
+      const penaltyDays = day - Math.max(accruedThroughDay, dueDay);
+      if (penaltyDays > 0) {
+        const penalty = principalOutstanding * penaltyApr * penaltyDays / DAYS_PER_YEAR;
+        penaltyInterestDue += penalty;
+        penaltyInterestAccrued += penalty;
+      }
+    }
+    accruedThroughDay = day;
+  };
+
+  const accrueTo = (instant) => {
+    if (!start) return;
+
+    // The late fee is charged the moment the due date passes with a balance outstanding
+    if (dueDate && !lateFeeAssessed && new Date(instant) > dueDate) {
+      accrueThroughDay(dueDay);
+      if (principalOutstanding + interestDue > SETTLED_THRESHOLD) {
+        lateFeeDue += lateFee;
+        lateFeeCharged += lateFee;
+      }
+      lateFeeAssessed = true;
+    }
+    accrueThroughDay(accrualDays(start, instant));
+  };
+
+  // Fees and payments in the order they happened; a fee charged at the same instant
+  // as a payment comes first
+  const events = [
+    ...extensionCharges(loan)
+      .filter(charge => charge.chargedAt <= new Date(asOf))
+      .map(charge => ({ at: charge.chargedAt, fee: charge.amount })),
+    ...confirmedRepayments(loan).map(payment => ({ at: payment.receivedAt, payment: payment.amount }))
+  ].sort((a, b) => a.at - b.at || Boolean(b.fee) - Boolean(a.fee));
+
+  for (const event of events) {
+    accrueTo(event.at);
+
+    if (event.fee) {
+      extensionFeesDue += event.fee;
+      extensionFeesCharged += event.fee;
+      continue;
+    }
+
+    let remaining = event.payment;
+    const toLateFee = Math.min(lateFeeDue, remaining);
+    lateFeeDue -= toLateFee;
+    remaining -= toLateFee;
+    const toExtensionFees = Math.min(extensionFeesDue, remaining);
+    extensionFeesDue -= toExtensionFees;
+    remaining -= toExtensionFees;
+    const toPenalty = Math.min(penaltyInterestDue, remaining);
+    penaltyInterestDue -= toPenalty;
+    remaining -= toPenalty;
+    const toInterest = Math.min(interestDue, remaining);
+    interestDue -= toInterest;
+    remaining -= toInterest;
+    const toPrincipal = Math.min(principalOutstanding, remaining);
+    principalOutstanding -= toPrincipal;
+    // Only interest and principal are part of the installment schedule
+    scheduledRepaid += toInterest + toPrincipal;
+    totalRepaid += event.payment;
+  }
+
+  accrueTo(asOf);
+
+  const payoffAmount = roundXrp(
+    principalOutstanding + interestDue + penaltyInterestDue + lateFeeDue + extensionFeesDue
+  );
+  const isSettled = payoffAmount <= SETTLED_THRESHOLD;
+  const pastDue = Boolean(dueDate && !isSettled && new Date(asOf) > dueDate);
+
+  return {
+    asOf: new Date(asOf),
+    apr,
+    penaltyApr,
+    principal: loan.amount,
+    principalOutstanding: roundXrp(principalOutstanding),
+    accruedInterest: roundXrp(interestDue),
+    interestAccruedToDate: roundXrp(interestAccrued),
+    dailyInterest: roundXrp(principalOutstanding * apr / DAYS_PER_YEAR),
+    lateFeeCharged: roundXrp(lateFeeCharged),
+    lateFeeDue: roundXrp(lateFeeDue),
+    penaltyInterestDue: roundXrp(penaltyInterestDue),
+    penaltyInterestAccruedToDate: roundXrp(penaltyInterestAccrued),
+    penaltiesDue: roundXrp(lateFeeDue + penaltyInterestDue),
+    extensionFeesCharged: roundXrp(extensionFeesCharged),
+    extensionFeesDue: roundXrp(extensionFeesDue),
+    dailyPenaltyInterest: pastDue ? roundXrp(principalOutstanding * penaltyApr / DAYS_PER_YEAR) : 0,
+    daysPastDue: pastDue ? accrualDays(dueDate, asOf) : 0,
+    totalRepaid: roundXrp(totalRepaid),
+    scheduledRepaid: roundXrp(scheduledRepaid),
+    totalOwed: roundXrp(
+      loan.amount + interestAccrued + penaltyInterestAccrued + lateFeeCharged + extensionFeesCharged
+    ),
+    payoffAmount,
+    isSettled
+  };
+}
+
+/**
+ * Amount still owed on a loan at a given instant
+ * @param {object} loan - Loan document
+ * @param {Date} [asOf=new Date()] - Instant to evaluate at
+ * @returns {number} Remaining balance in XRP
+ */
+function calculateRemainingBalance(loan, asOf = new Date()) {
+  return calculatePayoff(loan, asOf).payoffAmount;
+}
+
+/**
+ * Due date of the next unpaid installment, falling back to the loan due date
+ * @param {object} loan - Loan document
+ * @param {Date} [asOf=new Date()] - Instant to evaluate at
+ * @returns {Date|null} Next due date, or null when the loan is closed or nothing is outstanding
+ */
+function getNextDueDate(loan, asOf = new Date()) {
+  if (isFinal(loan.status) || calculatePayoff(loan, asOf).isSettled) {
+    return null;
+  }
+
+  const nextInstallment = (loan.installments || [])
+    .find(installment => getInstallmentStatus(installment, asOf) !== 'PAID');
+
+  if (nextInstallment) {
+    return new Date(nextInstallment.dueDate);
+  }
+  return loan.dueDate ? new Date(loan.dueDate) : null;
+}
+
+/**
+ * Computed figures sent alongside every loan the API returns
+ * @param {object} loan - Loan document
+ * @param {Date} [asOf=new Date()] - Instant to evaluate at
+ * @returns {object} Balances, penalties, collateral ratio and next due date
+ */
+function summarizeLoan(loan, asOf = new Date()) {
+  const payoff = calculatePayoff(loan, asOf);
+
+  return {
+    apr: payoff.apr,
+    totalOwed: payoff.totalOwed,
+    totalRepaid: payoff.totalRepaid,
+    remainingBalance: payoff.payoffAmount,
+    accruedInterest: payoff.accruedInterest,
+    interestAccruedToDate: payoff.interestAccruedToDate,
+    dailyInterest: payoff.dailyInterest,
+    lateFeeCharged: payoff.lateFeeCharged,
+    lateFeeDue: payoff.lateFeeDue,
+    penaltyInterestDue: payoff.penaltyInterestDue,
+    penaltyInterestAccruedToDate: payoff.penaltyInterestAccruedToDate,
+    penaltiesDue: payoff.penaltiesDue,
+    dailyPenaltyInterest: payoff.dailyPenaltyInterest,
+    daysPastDue: payoff.daysPastDue,
+    extensionFeesCharged: payoff.extensionFeesCharged,
+    extensionFeesDue: payoff.extensionFeesDue,
+    collateralRatio: calculateCollateralRatio(loan.collateralAmount, loan.amount),
+    nextDueDate: getNextDueDate(loan, asOf)
+  };
+}
+
+module.exports = {
+  SETTLED_THRESHOLD,
+  accrualDays,
+  calculateProjectedInterest,
+  calculateTotalRepayment,
+  calculateCollateralRatio,
+  calculateMinimumCollateral,
+  calculatePayoff,
+  calculateRemainingBalance,
+  getNextDueDate,
+  summarizeLoan
+};
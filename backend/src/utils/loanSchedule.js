@@ -0,0 +1,158 @@
+// Installment schedule generation and payment allocation for loans
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of one repayment period, in days, for each supported frequency
+const REPAYMENT_FREQUENCIES = {
+  WEEKLY: 7,
+  BIWEEKLY: 14,
+  MONTHLY: 30
+};
+
+const DEFAULT_REPAYMENT_FREQUENCY = 'MONTHLY';
+
+/**
+ * Round an XRP amount to drop precision (6 decimal places)
+ * @param {number} value - Amount in XRP
+ * @returns {number} Rounded amount
+ */
+const roundXrp = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Generate an amortized installment schedule for a loan.
+ * Every installment has the same total amount except the last one, which
+ * absorbs rounding and any shorter final period.
+ * @param {object} params
+ * @param {number} params.principal - Loan amount in XRP
+ * @param {number} params.annualRate - Interest rate as a decimal (0.12 = 12%)
+ * @param {number} params.termDays - Loan term in days
+ * @param {string} [params.frequency='MONTHLY'] - WEEKLY, BIWEEKLY or MONTHLY
+ * @param {Date} [params.startDate=new Date()] - Date the schedule starts from
+ * @returns {Array<object>} Installments with due dates and principal/interest split
+ */
+function generateInstallmentSchedule({
+  principal,
+  annualRate,
+  termDays,
+  frequency = DEFAULT_REPAYMENT_FREQUENCY,
+  startDate = new Date()
+}) {
+  const periodDays = REPAYMENT_FREQUENCIES[frequency];
+  if (!periodDays) {
+    throw new Error(`Unsupported repayment frequency: ${frequency}`);
+  }
+
+  principal = parseFloat(principal);
+  termDays = parseInt(termDays);
+  const count = Math.max(1, Math.ceil(termDays / periodDays));
+
+  // Level payment for a regular period (standard annuity formula)
+  const periodRate = annualRate * periodDays / 365;
+  const levelPayment = periodRate > 0
+    ? principal * periodRate / (1 - Math.pow(1 + periodRate, -count))
+    : principal / count;
+
+  const installments = [];
+  let balance = principal;
+  let previousDay = 0;
+
+  for (let number = 1; number <= count; number++) {
+    const dueDay = Math.min(number * periodDays, termDays);
+    const interest = roundXrp(balance * annualRate * (dueDay - previousDay) / 365);
+    const principalPart = number === count
+      ? roundXrp(balance)
+      : roundXrp(Math.min(balance, levelPayment - interest));
+
+    installments.push({
+      number,
+      dueDate: new Date(startDate.getTime() + dueDay * DAY_MS),
+      principal: principalPart,
+      interest,
+      amount: roundXrp(principalPart + interest),
+      paidAmount: 0
+    });
+
+    balance = roundXrp(balance - principalPart);
+    previousDay = dueDay;
+  }
+
+  return installments;
+}
+
+/**
+ * Apply a payment to installments in order, oldest first.
+ * Mutates the installments passed in.
+ * @param {Array<object>} installments - Loan installments
+ * @param {number} amount - Payment amount in XRP
+ * @param {Date} [paidAt=new Date()] - When the payment was received
+ * @returns {number} Amount left over after every installment is covered
+ */
+function applyPaymentToInstallments(installments, amount, paidAt = new Date()) {
+  let remaining = amount;
+
+  for (const installment of installments) {
+    if (remaining <= 0) break;
+
+    const outstanding = roundXrp(installment.amount - (installment.paidAmount || 0));
+    if (outstanding <= 0) continue;
+
+    const applied = Math.min(outstanding, remaining);
+    installment.paidAmount = roundXrp((installment.paidAmount || 0) + applied);
+    remaining = roundXrp(remaining - applied);
+
+    if (installment.paidAmount >= installment.amount) {
+      installment.paidAt = paidAt;
+    }
+  }
+
+  return remaining;
+}
+
+/**
+ * Close out every unpaid installment once the loan has been paid off.
+ * Paying early costs less interest than the schedule projected, so the
+ * remaining installments are settled rather than left outstanding.
+ * @param {Array<object>} installments - Loan installments
+ * @param {Date} [settledAt=new Date()] - When the loan was paid off
+ */
+function settleRemainingInstallments(installments, settledAt = new Date()) {
+  for (const installment of installments) {
+    if (!installment.paidAt) {
+      installment.paidAt = settledAt;
+      installment.settledEarly = true;
+    }
+  }
+}
+
+/**
+ * Work out whether an installment is paid, due or late
+ * @param {object} installment - A single installment
+ * @param {Date} [asOf=new Date()] - Point in time to evaluate against
+ * @returns {string} PAID, LATE or DUE
+ */
+function getInstallmentStatus(installment, asOf = new Date()) {
+  if (installment.settledEarly || (installment.paidAmount || 0) >= installment.amount) {
+    return 'PAID';
+  }
+  return asOf > new Date(installment.dueDate) ? 'LATE' : 'DUE';
+}
+
+/**
+ * Sum of every installment amount (principal + scheduled interest)
+ * @param {Array<object>} installments - Loan installments
+ * @returns {number} Total scheduled repayment in XRP
+ */
+function getScheduleTotal(installments) {
+  return roundXrp(installments.reduce((sum, installment) => sum + installment.amount, 0));
+}
+
+module.exports = {
+  REPAYMENT_FREQUENCIES,
+  DEFAULT_REPAYMENT_FREQUENCY,
+  roundXrp,
+  generateInstallmentSchedule,
+  applyPaymentToInstallments,
+  settleRemainingInstallments,
+  getInstallmentStatus,
+  getScheduleTotal
+};
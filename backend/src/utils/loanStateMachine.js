@@ -0,0 +1,140 @@
+// Loan lifecycle: the statuses a loan can be in and the moves allowed between them.
+// Every status change goes through transition() so it is validated and recorded.
+
+const LOAN_STATUS = {
+  PENDING: 'PENDING',
+  // Claimed for activation: the escrow is being verified or the loan disbursed
+  ACTIVATING: 'ACTIVATING',
+  ACTIVE: 'ACTIVE',
+  RESTRUCTURED: 'RESTRUCTURED',
+  REPAID: 'REPAID',
+  DEFAULTED: 'DEFAULTED',
+  REJECTED: 'REJECTED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Allowed next statuses for each status. Statuses with no entries are final.
+const TRANSITIONS = {
+  PENDING: ['ACTIVATING', 'REJECTED', 'EXPIRED', 'CANCELLED'],
+  // Back to PENDING when the escrow check fails before anything was disbursed
+  ACTIVATING: ['ACTIVE', 'PENDING'],
+  ACTIVE: ['REPAID', 'DEFAULTED', 'RESTRUCTURED'],
+  RESTRUCTURED: ['REPAID', 'DEFAULTED', 'RESTRUCTURED'],
+  REPAID: [],
+  DEFAULTED: [],
+  REJECTED: [],
+  EXPIRED: [],
+  CANCELLED: []
+};
+
+// Statuses where money is out with the borrower and repayments are accepted
+const OPEN_STATUSES = ['ACTIVE', 'RESTRUCTURED'];
+
+/**
+ * Check whether a loan may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Whether a status accepts repayments
+ * @param {string} status - Loan status
+ * @returns {boolean} True for ACTIVE and RESTRUCTURED loans
+ */
+function isOpen(status) {
+  return OPEN_STATUSES.includes(status);
+}
+
+/**
+ * Whether a status is final
+ * @param {string} status - Loan status
+ * @returns {boolean} True when no further transitions are allowed
+ */
+function isFinal(status) {
+  return Array.isArray(TRANSITIONS[status]) && TRANSITIONS[status].length === 0;
+}
+
+/**
+ * Throw if a loan cannot move to the requested status.
+ * Use before doing any side effects (ledger transactions, payouts) for a transition.
+ * @param {object} loan - Loan document
+ * @param {string} to - Requested status
+ */
+function assertTransition(loan, to) {
+  if (!canTransition(loan.status, to)) {
+    throw new Error(`Cannot move loan from ${loan.status} to ${to}`);
+  }
+}
+
+/**
+ * Move a loan to a new status and append an entry to its status history.
+ * Mutates the loan passed in; the caller is responsible for saving it.
+ * @param {object} loan - Loan document
+ * @param {string} to - New status
+ * @param {object} [details]
+ * @param {string} [details.actor='system'] - Who triggered it (wallet address, 'system', 'admin')
+ * @param {string} [details.reason] - Why the status changed
+ * @param {string} [details.txHash] - Related ledger transaction, if any
+ * @param {Date} [details.at=new Date()] - When the transition happened
+ * @returns {object} The history entry that was appended
+ */
+function transition(loan, to, { actor = 'system', reason, txHash, at = new Date() } = {}) {
+  assertTransition(loan, to);
+
+  const entry = {
+    from: loan.status,
+    to,
+    actor,
+    reason,
+    txHash,
+    at
+  };
+
+  loan.status = to;
+  if (!loan.statusHistory) {
+    loan.statusHistory = [];
+  }
+  loan.statusHistory.push(entry);
+
+  return entry;
+}
+
+/**
+ * Build an atomic status change for findOneAndUpdate: the filter only matches while
+ * the loan is still in the expected status, so of several concurrent callers exactly
+ * one gets the loan back. Use instead of transition() when a race must be ruled out.
+ * @param {string} from - Status the loan must currently have
+ * @param {string} to - New status
+ * @param {object} [details] - Same as transition()
+ * @returns {object} { filter, update } to merge into the query and use as the update
+ */
+function transitionUpdate(from, to, { actor = 'system', reason, txHash, at = new Date() } = {}) {
+  if (!canTransition(from, to)) {
+    throw new Error(`Cannot move loan from ${from} to ${to}`);
+  }
+
+  return {
+    filter: { status: from },
+    update: {
+      $set: { status: to },
+      $push: { statusHistory: { from, to, actor, reason, txHash, at } }
+    }
+  };
+}
+
+module.exports = {
+  LOAN_STATUS,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  canTransition,
+  isOpen,
+  isFinal,
+  assertTransition,
+  transition,
+  transitionUpdate
+};
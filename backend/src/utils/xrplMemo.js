@@ -0,0 +1,61 @@
+// XRPL transaction memos. MemoType, MemoFormat and MemoData are stored on the
+// ledger as hex; these helpers convert to and from plain UTF-8 strings.
+
+// Memo types the platform writes
+const MEMO_TYPES = {
+  // Payment toward a loan; the data is the loan ID
+  REPAYMENT: 'repayment',
+  // Refund of an overpayment; the data is the hash of the payment being refunded
+  REFUND: 'refund'
+};
+
+const toHex = (value) => Buffer.from(value, 'utf8').toString('hex').toUpperCase();
+const fromHex = (value) => (value ? Buffer.from(value, 'hex').toString('utf8') : undefined);
+
+/**
+ * Build a memo entry for a transaction's Memos array
+ * @param {string} type - Memo type, e.g. 'repayment'
+ * @param {string} data - Memo data
+ * @param {string} [format='text/plain'] - MIME type of the data
+ * @returns {object} { Memo: { MemoType, MemoFormat, MemoData } } with hex fields
+ */
+function encodeMemo(type, data, format = 'text/plain') {
+  return {
+    Memo: {
+      MemoType: toHex(type),
+      MemoFormat: toHex(format),
+      MemoData: toHex(data)
+    }
+  };
+}
+
+/**
+ * Decode a transaction's Memos array
+ * @param {Array} [memos] - Memos as they appear on the ledger
+ * @returns {Array<{type: string, format: string, data: string}>} Decoded memos
+ */
+function decodeMemos(memos = []) {
+  return memos.map(({ Memo = {} }) => ({
+    type: fromHex(Memo.MemoType),
+    format: fromHex(Memo.MemoFormat),
+    data: fromHex(Memo.MemoData)
+  }));
+}
+
+/**
+ * Find the data of the first memo with a given type
+ * @param {Array} [memos] - Memos as they appear on the ledger
+ * @param {string} type - Memo type to look for
+ * @returns {string|null} Memo data, or null if there is no such memo
+ */
+function findMemoData(memos, type) {
+  const memo = decodeMemos(memos).find(m => m.type === type);
+  return memo ? memo.data : null;
+}
+
+module.exports = {
+  MEMO_TYPES,
+  encodeMemo,
+  decodeMemos,
+  findMemoData
+};
@@ -9,6 +9,7 @@ const CreditScore = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState("2025-08-12 19:23:10");
+  const [terms, setTerms] = useState({});
   
   const fetchCreditScore = async () => {
     if (!currentUser) return;
@@ -27,8 +28,9 @@ const CreditScore = () => {
         // Save the risk score to session storage
         sessionStorage.setItem('user_risk_score', riskScore.toString());
         
-        // Calculate terms and save to session storage
-        const currentTerms = getLoanTerms(riskScore);
+        // Look up terms in the server-owned risk policy and save to session storage
+        const currentTerms = await getLoanTerms(riskScore);
+        setTerms(currentTerms);
         sessionStorage.setItem('user_loan_terms', JSON.stringify(currentTerms));
         
         // Update the timestamp
@@ -56,6 +58,7 @@ const CreditScore = () => {
     
     if (cachedScore && cachedTerms && cachedTimestamp) {
       setScore(parseFloat(cachedScore));
+      setTerms(JSON.parse(cachedTerms));
       setLastUpdated(cachedTimestamp);
       setLoading(false);
     } else {
@@ -64,59 +67,15 @@ const CreditScore = () => {
     }
   }, [currentUser]);
   
-  // Get loan terms based on PCA score
-  const getLoanTerms = (pcaScore) => {
-    if (pcaScore <= 36.2) { // Very Low Risk mean
-      return {
-        category: 'Very Low Risk',
-        interestRate: 0.12, // 12% - higher than traditional lending due to undercollateralization
-        collateralRatio: 0.60, // Only 60% of loan needs to be collateralized
-        maxLoanTerm: 90, // days
-        maxLoanAmount: 1000, // More conservative amounts due to undercollateralization
-        eligibleForUndercollateralized: true,
-        color: '#4CAF50' // Green
-      };
-    } else if (pcaScore <= 44.5) { // Low Risk mean
-      return {
-        category: 'Low Risk',
-        interestRate: 0.18, // 18%
-        collateralRatio: 0.70, // 70% collateral required
-        maxLoanTerm: 60, // days
-        maxLoanAmount: 750,
-        eligibleForUndercollateralized: true,
-        color: '#8BC34A' // Light Green
-      };
-    } else if (pcaScore <= 56.5) { // Medium Risk mean
-      return {
-        category: 'Medium Risk',
-        interestRate: 0.25, // 25%
-        collateralRatio: 0.80, // 80% collateral required
-        maxLoanTerm: 45, // days
-        maxLoanAmount: 500,
-        eligibleForUndercollateralized: true,
-        color: '#FF9800' // Orange
-      };
-    } else if (pcaScore <= 80) { // High Risk mean
-      return {
-        category: 'High Risk',
-        interestRate: 0.35, // 35%
-        collateralRatio: 0.90, // 90% collateral required (almost fully collateralized)
-        maxLoanTerm: 30, // days
-        maxLoanAmount: 300,
-        eligibleForUndercollateralized: true,
-        color: '#F44336' // Red
-      };
-    } else {
-      return {
-        category: 'Very High Risk',
-        interestRate: 0, // Not eligible for undercollateralized loans
-        collateralRatio: 1.5, // Would require overcollateralization (not offering this product)
-        maxLoanTerm: 0, // Not eligible
-        maxLoanAmount: 0, // Not eligible
-        eligibleForUndercollateralized: false,
-        color: '#D32F2F' // Dark Red
-      };
-    }
+  // Get loan terms for a PCA score from the active risk policy
+  const getLoanTerms = async (pcaScore) => {
+    const policy = await creditScore.getRiskPolicy(pcaScore);
+    const { name, ...tierTerms } = policy.tier;
+    return {
+      ...tierTerms,
+      category: name,
+      policyVersion: policy.version
+    };
   };
   
   const handleRetry = () => {
@@ -156,9 +115,6 @@ const CreditScore = () => {
     </div>
   );
   
-  // Get terms either from state or session storage
-  const terms = score ? getLoanTerms(score) : JSON.parse(sessionStorage.getItem('user_loan_terms') || '{}');
-  
   return (
     <div className="credit-score-card">
       <h2>Risk Assessment</h2>
@@ -204,6 +160,9 @@ const CreditScore = () => {
       
       <div className="footer-info">
         <div className="last-updated">Last Updated: {lastUpdated}</div>
+        {terms.policyVersion && (
+          <div className="last-updated">Risk Policy v{terms.policyVersion}</div>
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../utils/api';
+import api, { creditScore } from '../utils/api';
 import CreditScore from './CreditScore';
 
 const Dashboard = () => {
@@ -9,6 +9,7 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [userInfo, setUserInfo] = useState(null);
+  const [riskTier, setRiskTier] = useState(null);
 
   useEffect(() => {
     const fetchDashboardData = async () => {
@@ -19,6 +20,12 @@ const Dashboard = () => {
         const userResponse = await api.get('/user');
         setUserInfo(userResponse.data);
         
+        // Get the user's tier from the active risk policy
+        if (userResponse.data?.creditScore != null) {
+          const policy = await creditScore.getRiskPolicy(userResponse.data.creditScore);
+          setRiskTier(policy.tier);
+        }
+        
         // Get platform metrics
         const metricsResponse = await api.get('/metrics');
         setMetrics(metricsResponse.data);
@@ -66,7 +73,7 @@ const Dashboard = () => {
           <div className="card">
             <h2>Undercollateralized Lending Power</h2>
             
-            {userInfo?.creditScore < 600 ? (
+            {!riskTier?.eligibleForUndercollateralized ? (
               <div className="alert alert-warning">
                 Your credit score doesn't qualify for undercollateralized loans yet.
                 Build your XRPL transaction history to improve your score.
@@ -76,42 +83,22 @@ const Dashboard = () => {
                 <div className="stats-grid">
                   <div className="stat-card">
                     <div className="stat-title">Maximum Loan Amount</div>
-                    <div className="stat-value">
-                      {userInfo?.creditScore > 750 ? '1000' : 
-                       userInfo?.creditScore > 700 ? '750' : 
-                       userInfo?.creditScore > 650 ? '500' : 
-                       userInfo?.creditScore > 600 ? '300' : '0'} XRP
-                    </div>
+                    <div className="stat-value">{riskTier.maxLoanAmount} XRP</div>
                   </div>
                   
                   <div className="stat-card">
                     <div className="stat-title">Collateral Required</div>
-                    <div className="stat-value">
-                      {userInfo?.creditScore > 750 ? '60%' : 
-                       userInfo?.creditScore > 700 ? '70%' : 
-                       userInfo?.creditScore > 650 ? '80%' : 
-                       userInfo?.creditScore > 600 ? '90%' : '150%'}
-                    </div>
+                    <div className="stat-value">{(riskTier.collateralRatio * 100).toFixed(0)}%</div>
                   </div>
                   
                   <div className="stat-card">
                     <div className="stat-title">Interest Rate</div>
-                    <div className="stat-value">
-                      {userInfo?.creditScore > 750 ? '12%' : 
-                       userInfo?.creditScore > 700 ? '18%' : 
-                       userInfo?.creditScore > 650 ? '25%' : 
-                       userInfo?.creditScore > 600 ? '35%' : 'N/A'}
-                    </div>
+                    <div className="stat-value">{(riskTier.interestRate * 100).toFixed(0)}%</div>
                   </div>
                   
                   <div className="stat-card">
                     <div className="stat-title">Risk Category</div>
-                    <div className="stat-value">
-                      {userInfo?.creditScore > 750 ? 'Very Low Risk' : 
-                       userInfo?.creditScore > 700 ? 'Low Risk' : 
-                       userInfo?.creditScore > 650 ? 'Medium Risk' : 
-                       userInfo?.creditScore > 600 ? 'High Risk' : 'Very High Risk'}
-                    </div>
+                    <div className="stat-value">{riskTier.name}</div>
                   </div>
                 </div>
               </div>
@@ -147,7 +134,7 @@ const Dashboard = () => {
                     <div className="loan-detail">
                       <span className="loan-detail-label">Collateral Ratio:</span>
                       <span className="loan-detail-value">
-                        {((loan.collateralAmount / loan.amount) * 100).toFixed(0)}%
+                        {(loan.collateralRatio * 100).toFixed(0)}%
                       </span>
                     </div>
                     
@@ -160,7 +147,7 @@ const Dashboard = () => {
                     
                     <div className="loan-detail">
                       <span className="loan-detail-label">Interest Rate:</span>
-                      <span className="loan-detail-value">{(loan.interestRate * 100).toFixed(0)}%</span>
+                      <span className="loan-detail-value">{(loan.apr * 100).toFixed(0)}%</span>
                     </div>
                     
                     <div className="loan-detail">
@@ -182,7 +169,7 @@ const Dashboard = () => {
                         View Details
                       </Link>
                       
-                      {loan.status === 'ACTIVE' && (
+                      {['ACTIVE', 'RESTRUCTURED'].includes(loan.status) && (
                         <Link to={`/repay/${loan._id}`} className="btn btn-primary btn-sm ml-2">
                           Repay Loan
                         </Link>
@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import api from '../utils/api';
+import api, { loans } from '../utils/api';
 import { useAuth } from '../utils/AuthContext';
 import '../styles/components/LoanApplication.css';
 import { Xumm } from 'xumm';
@@ -11,7 +11,8 @@ const LoanApplication = ({ onLoanCreated }) => {
   const [formData, setFormData] = useState({
     amount: '',
     term: 30,
-    collateralAmount: ''
+    collateralAmount: '',
+    repaymentFrequency: 'MONTHLY'
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -26,8 +27,46 @@ const LoanApplication = ({ onLoanCreated }) => {
   const [signingStep, setSigningStep] = useState(null); // null, 'ready', 'signing'
   const [transactionStatus, setTransactionStatus] = useState(null);
   const [loanData, setLoanData] = useState(null);
+  const [payloadActionPending, setPayloadActionPending] = useState(false);
+  const pollingRef = useRef(null);
 
-  
+  // Stop polling for activation when the component unmounts
+  useEffect(() => () => clearInterval(pollingRef.current), []);
+
+  // Binding terms quoted by the backend for the current form values
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+
+  // Re-quote the loan terms shortly after the borrower stops typing
+  useEffect(() => {
+    const { amount, term, collateralAmount, repaymentFrequency } = formData;
+    if (!amount || !collateralAmount) {
+      setQuote(null);
+      setQuoteError('');
+      return;
+    }
+    
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await loans.getQuote({ amount, term, collateralAmount, repaymentFrequency });
+        if (!cancelled) {
+          setQuote(response.data);
+          setQuoteError('');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setQuote(null);
+          setQuoteError(err.response?.data?.message || 'Unable to quote these loan terms.');
+        }
+      }
+    }, 400);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [formData]);
 
   // Check for risk data in session storage - with polling if needed
   useEffect(() => {
@@ -148,6 +187,7 @@ const LoanApplication = ({ onLoanCreated }) => {
       }
       
       // Start polling for loan status changes
+      clearInterval(pollingRef.current);
       const interval = setInterval(async () => {
         try {
           const updatedLoan = await api.get(`/loans/${loanData._id}`);
@@ -157,11 +197,14 @@ const LoanApplication = ({ onLoanCreated }) => {
             clearInterval(interval);
             setTransactionStatus('Loan successfully activated!');
             handleCompleteSigningProcess();
+          } else if (updatedLoan.data.status === 'ACTIVATING') {
+            setTransactionStatus('Collateral received. Verifying it and disbursing your loan...');
           }
         } catch (err) {
           console.error("Polling error:", err);
         }
       }, 3000);
+      pollingRef.current = interval;
       
       // Cleanup interval after 5 minutes
       setTimeout(() => clearInterval(interval), 5 * 60 * 1000);
@@ -183,6 +226,9 @@ const LoanApplication = ({ onLoanCreated }) => {
       if (response.data.success) {
         setTransactionStatus('Loan successfully activated!');
         handleCompleteSigningProcess();
+      } else if (response.status === 202) {
+        // Signed; the escrow is verified and the loan disbursed in the background
+        setTransactionStatus(response.data.message || 'Verifying your collateral...');
       } else {
         setError(response.data.message || 'Verification failed');
       }
@@ -192,6 +238,54 @@ const LoanApplication = ({ onLoanCreated }) => {
     }
   };
 
+  // Replace an expired or lost signing request with a new one
+  const handleRequestNewPayload = async () => {
+    if (!loanData) return;
+    
+    setPayloadActionPending(true);
+    setError('');
+    try {
+      const response = await loans.requestEscrowPayload(loanData._id);
+      setLoanData(response.data.loan);
+      setXummPayload(response.data.escrowPayload);
+      
+      // Listen for the new payload on the backend
+      await api.post(`/loans/${loanData._id}/subscribe`);
+      setTransactionStatus('New signing request created. Waiting for your signature...');
+    } catch (error) {
+      console.error('Error requesting new payload:', error);
+      setError(error.response?.data?.message || 'Failed to create a new signing request.');
+    } finally {
+      setPayloadActionPending(false);
+    }
+  };
+
+  // Withdraw the application before the collateral is locked
+  const handleCancelApplication = async () => {
+    if (!loanData) return;
+    if (!window.confirm('Cancel this loan application?')) return;
+    
+    setPayloadActionPending(true);
+    setError('');
+    try {
+      await loans.cancelApplication(loanData._id);
+      clearInterval(pollingRef.current);
+      setSigningStep(null);
+      setXummPayload(null);
+      setLoanData(null);
+      setTransactionStatus(null);
+      
+      if (onLoanCreated) {
+        onLoanCreated();
+      }
+    } catch (error) {
+      console.error('Error cancelling application:', error);
+      setError(error.response?.data?.message || 'Failed to cancel the application.');
+    } finally {
+      setPayloadActionPending(false);
+    }
+  };
+
   // Open XUMM app for signing
   const handleOpenXummApp = () => {
     if (xummPayload?.next?.always) {
@@ -221,7 +315,8 @@ const LoanApplication = ({ onLoanCreated }) => {
     setFormData({
       amount: '',
       term: 30,
-      collateralAmount: ''
+      collateralAmount: '',
+      repaymentFrequency: 'MONTHLY'
     });
     
     // Show success message
@@ -249,6 +344,8 @@ const LoanApplication = ({ onLoanCreated }) => {
   if (signingStep) { // Covers 'ready', 'signing', etc.
     return (
       <div className="loan-application-card">
+        {error && <div className="error-message">{error}</div>}
+        
         {signingStep === 'ready' && (
             <div className="activation-card">
                 <h2>Application Submitted!</h2>
@@ -260,6 +357,11 @@ const LoanApplication = ({ onLoanCreated }) => {
                 <button onClick={handleActivateLoan} className="submit-button">
                     Proceed to Sign
                 </button>
+                <div className="signing-actions">
+                  <button onClick={handleCancelApplication} className="xumm-cancel-button" disabled={payloadActionPending}>
+                    Cancel application
+                  </button>
+                </div>
             </div>
         )}
         
@@ -275,6 +377,12 @@ const LoanApplication = ({ onLoanCreated }) => {
               </div>
               <div className="signing-actions">
                   <button onClick={handleOpenXummApp}>Open in XUMM App</button>
+                  <button onClick={handleRequestNewPayload} className="xumm-scan-button" disabled={payloadActionPending}>
+                    Get new QR
+                  </button>
+                  <button onClick={handleCancelApplication} className="xumm-cancel-button" disabled={payloadActionPending}>
+                    Cancel application
+                  </button>
               </div>
             </div>
         )}
@@ -361,36 +469,61 @@ const LoanApplication = ({ onLoanCreated }) => {
               </select>
             </div>
             
-            {/* Loan terms preview */}
-            {formData.amount && formData.collateralAmount && riskProfile && (
+            <div className="form-group">
+              <label>Repayment Schedule</label>
+              <select
+                name="repaymentFrequency"
+                value={formData.repaymentFrequency}
+                onChange={handleChange}
+                required
+              >
+                <option value="WEEKLY">Weekly installments</option>
+                <option value="BIWEEKLY">Bi-weekly installments</option>
+                <option value="MONTHLY">Monthly installments</option>
+              </select>
+            </div>
+            
+            {/* Loan terms preview, quoted by the backend */}
+            {quoteError && <div className="quote-error">{quoteError}</div>}
+            {quote && (
               <div className="loan-terms-preview">
                 <h3>Loan Terms Preview</h3>
                 <div className="preview-table">
                   <div className="preview-row">
                     <span className="preview-label">Principal:</span>
-                    <span className="preview-value">{parseFloat(formData.amount).toFixed(2)} XRP</span>
+                    <span className="preview-value">{quote.amount.toFixed(2)} XRP</span>
                   </div>
                   <div className="preview-row">
                     <span className="preview-label">Collateral:</span>
-                    <span className="preview-value">{parseFloat(formData.collateralAmount).toFixed(2)} XRP</span>
+                    <span className="preview-value">{quote.collateralAmount.toFixed(2)} XRP</span>
+                  </div>
+                  <div className="preview-row">
+                    <span className="preview-label">Minimum Collateral:</span>
+                    <span className="preview-value">{quote.minimumCollateral.toFixed(2)} XRP</span>
                   </div>
                   <div className="preview-row">
-                    <span className="preview-label">Interest Rate:</span>
-                    <span className="preview-value">{(riskProfile.interestRate * 100).toFixed(2)}%</span>
+                    <span className="preview-label">Interest Rate (APR):</span>
+                    <span className="preview-value">{(quote.apr * 100).toFixed(2)}%</span>
                   </div>
                   <div className="preview-row">
                     <span className="preview-label">Interest Amount:</span>
-                    <span className="preview-value">{(parseFloat(formData.amount) * riskProfile.interestRate).toFixed(2)} XRP</span>
+                    <span className="preview-value">{quote.totalInterest.toFixed(2)} XRP</span>
                   </div>
                   <div className="preview-row">
                     <span className="preview-label">Term:</span>
-                    <span className="preview-value">{formData.term} days</span>
+                    <span className="preview-value">{quote.term} days ({quote.schedule.length} installments)</span>
                   </div>
+                  {quote.schedule.map(installment => (
+                    <div className="preview-row schedule-row" key={installment.number}>
+                      <span className="preview-label">
+                        Installment {installment.number} · {new Date(installment.dueDate).toLocaleDateString()}
+                      </span>
+                      <span className="preview-value">{installment.amount.toFixed(2)} XRP</span>
+                    </div>
+                  ))}
                   <div className="preview-row highlight">
                     <span className="preview-label">Total Repayment:</span>
-                    <span className="preview-value">
-                      {(parseFloat(formData.amount) * (1 + riskProfile.interestRate)).toFixed(2)} XRP
-                    </span>
+                    <span className="preview-value">{quote.totalRepayment.toFixed(2)} XRP</span>
                   </div>
                 </div>
               </div>
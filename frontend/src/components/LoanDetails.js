@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import api from '../utils/api';
+import api, { loans } from '../utils/api';
 import '../styles/components/LoanDetails.css';
 
 const LoanDetails = () => {
@@ -9,6 +9,21 @@ const LoanDetails = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
+  // Collateral reclaim (EscrowCancel) for closed loans
+  const [reclaimInfo, setReclaimInfo] = useState(null);
+  const [reclaimPayload, setReclaimPayload] = useState(null);
+  const [reclaimStatus, setReclaimStatus] = useState('');
+  const [reclaimError, setReclaimError] = useState('');
+  const reclaimPollRef = useRef(null);
+
+  // Due date extension (replacement escrow) for open loans
+  const [extensionInfo, setExtensionInfo] = useState(null);
+  const [extensionDays, setExtensionDays] = useState('');
+  const [extensionPayload, setExtensionPayload] = useState(null);
+  const [extensionStatus, setExtensionStatus] = useState('');
+  const [extensionError, setExtensionError] = useState('');
+  const extensionPollRef = useRef(null);
+
   useEffect(() => {
     const fetchLoanDetails = async () => {
       try {
@@ -26,24 +41,128 @@ const LoanDetails = () => {
     fetchLoanDetails();
   }, [id]);
 
+  // Look for a cancellable escrow once we know the loan is closed
+  useEffect(() => {
+    const reclaimable = ['REJECTED', 'EXPIRED', 'CANCELLED', 'REPAID'];
+    if (!loan || !reclaimable.includes(loan.status) || loan.collateralReleased) {
+      return;
+    }
+    
+    loans.getCollateralReclaim(loan._id)
+      .then(response => setReclaimInfo(response.data))
+      .catch(err => console.error('Error checking collateral reclaim:', err));
+  }, [loan]);
+
+  // Load extension terms while the loan is open
+  useEffect(() => {
+    if (!loan || !['ACTIVE', 'RESTRUCTURED'].includes(loan.status)) {
+      return;
+    }
+    
+    loans.getExtension(loan._id)
+      .then(response => setExtensionInfo(response.data))
+      .catch(err => console.error('Error checking loan extension:', err));
+  }, [loan]);
+
+  // Stop polling when leaving the page
+  useEffect(() => () => {
+    clearInterval(reclaimPollRef.current);
+    clearInterval(extensionPollRef.current);
+  }, []);
+
+  const handleReclaimCollateral = async () => {
+    setReclaimError('');
+    try {
+      const response = await loans.requestCollateralReclaim(loan._id);
+      setReclaimPayload(response.data.payload);
+      setReclaimStatus('Waiting for your signature...');
+      
+      let verifying = false;
+      clearInterval(reclaimPollRef.current);
+      reclaimPollRef.current = setInterval(async () => {
+        if (verifying) return;
+        verifying = true;
+        try {
+          const result = await loans.verifyCollateralReclaim(loan._id);
+          if (result.success) {
+            clearInterval(reclaimPollRef.current);
+            setReclaimPayload(null);
+            setReclaimStatus('');
+            setReclaimInfo(null);
+            setLoan(result.loan);
+          } else if (result.pending) {
+            setReclaimStatus('Signed. Waiting for the ledger to validate the reclaim...');
+          }
+        } catch (err) {
+          // 400 means not signed yet; anything else is a real failure
+          if (err.response?.status !== 400) {
+            clearInterval(reclaimPollRef.current);
+            setReclaimError(err.response?.data?.message || 'Failed to verify the reclaim transaction.');
+          }
+        } finally {
+          verifying = false;
+        }
+      }, 3000);
+    } catch (err) {
+      console.error('Error requesting collateral reclaim:', err);
+      setReclaimError(err.response?.data?.message || 'Failed to create the reclaim request.');
+    }
+  };
+
+  // Poll until the replacement escrow is signed and validated, then show the extended loan
+  const pollExtension = () => {
+    setExtensionStatus('Waiting for your signature...');
+    
+    let verifying = false;
+    clearInterval(extensionPollRef.current);
+    extensionPollRef.current = setInterval(async () => {
+      if (verifying) return;
+      verifying = true;
+      try {
+        const result = await loans.verifyExtension(loan._id);
+        if (result.success) {
+          clearInterval(extensionPollRef.current);
+          setExtensionPayload(null);
+          setExtensionStatus('');
+          setExtensionDays('');
+          setLoan(result.loan);
+        }
+      } catch (err) {
+        // 400 means not signed yet; anything else is a real failure
+        if (err.response?.status !== 400) {
+          clearInterval(extensionPollRef.current);
+          setExtensionStatus('');
+          setExtensionError(err.response?.data?.message || 'Failed to verify the extension.');
+        }
+      } finally {
+        verifying = false;
+      }
+    }, 3000);
+  };
+
+  const handleRequestExtension = async (e) => {
+    e.preventDefault();
+    setExtensionError('');
+    try {
+      const response = await loans.requestExtension(loan._id, parseInt(extensionDays));
+      setExtensionPayload(response.data.payload);
+      pollExtension();
+    } catch (err) {
+      console.error('Error requesting extension:', err);
+      setExtensionError(err.response?.data?.message || 'Failed to create the extension request.');
+    }
+  };
+
   if (loading) return <div className="loading">Loading loan details...</div>;
   if (error) return <div className="error-message">{error}</div>;
   if (!loan) return <div className="not-found">Loan not found</div>;
 
-  // Calculate collateral ratio
-  const collateralRatio = (loan.collateralAmount / loan.amount) * 100;
-  
-  // Calculate total repaid based on repayments array
-  const totalRepaid = loan.repayments?.reduce((sum, payment) => sum + payment.amount, 0) || 0;
-  
-  // Calculate interest amount
-  const interestAmount = loan.amount * (loan.interestRate / 100);
-  
-  // Calculate total owed with interest
-  const totalOwed = loan.amount + interestAmount;
-  
-  // Calculate remaining balance
-  const remainingBalance = Math.max(0, totalOwed - totalRepaid);
+  // Balances are computed by the backend as of the request
+  const { totalRepaid, totalOwed, remainingBalance } = loan;
+  const isOpen = ['ACTIVE', 'RESTRUCTURED'].includes(loan.status);
+  const confirmedExtensions = (loan.extensions || []).filter(
+    extension => ['ESCROWED', 'COMPLETED'].includes(extension.status)
+  );
 
   // Format date string
   const formatDate = (dateString) => {
@@ -92,14 +211,23 @@ const LoanDetails = () => {
             
             <div className="loan-info-item">
               <div className="loan-info-label">Collateral Ratio</div>
-              <div className="loan-info-value">{collateralRatio.toFixed(0)}%</div>
+              <div className="loan-info-value">{(loan.collateralRatio * 100).toFixed(0)}%</div>
             </div>
             
             <div className="loan-info-item">
-              <div className="loan-info-label">Interest Rate</div>
-              <div className="loan-info-value">{loan.interestRate}%</div>
+              <div className="loan-info-label">Interest Rate (APR)</div>
+              <div className="loan-info-value">{(loan.apr * 100).toFixed(2)}%</div>
             </div>
             
+            {(loan.lateFee > 0 || loan.penaltyApr > 0) && (
+              <div className="loan-info-item">
+                <div className="loan-info-label">Late Payment Terms</div>
+                <div className="loan-info-value">
+                  {loan.lateFee} XRP fee + {(loan.penaltyApr * 100).toFixed(2)}% APR
+                </div>
+              </div>
+            )}
+            
             <div className="loan-info-item">
               <div className="loan-info-label">Term</div>
               <div className="loan-info-value">{loan.term} days</div>
@@ -115,6 +243,11 @@ const LoanDetails = () => {
               <div className="loan-info-value">{formatDate(loan.dueDate)}</div>
             </div>
             
+            <div className="loan-info-item">
+              <div className="loan-info-label">Next Payment Due</div>
+              <div className="loan-info-value">{formatDate(loan.nextDueDate)}</div>
+            </div>
+            
             <div className="loan-info-item">
               <div className="loan-info-label">Time Remaining</div>
               <div className="loan-info-value">{getTimeRemaining()}</div>
@@ -127,7 +260,7 @@ const LoanDetails = () => {
           </div>
         </div>
 
-        {loan.status === 'ACTIVE' && (
+        {isOpen && (
           <div className="loan-details-section">
             <h2>Repayment Status</h2>
             
@@ -152,11 +285,42 @@ const LoanDetails = () => {
                   <span className="repayment-label">Repaid:</span>
                   <span className="repayment-value">{totalRepaid.toFixed(2)} XRP</span>
                 </div>
+                {loan.lateFeeDue > 0 && (
+                  <div>
+                    <span className="repayment-label">Late Fee:</span>
+                    <span className="repayment-value">{loan.lateFeeDue.toFixed(2)} XRP</span>
+                  </div>
+                )}
+                {loan.penaltyInterestDue > 0 && (
+                  <div>
+                    <span className="repayment-label">Penalty Interest:</span>
+                    <span className="repayment-value">{loan.penaltyInterestDue.toFixed(2)} XRP</span>
+                  </div>
+                )}
+                {loan.extensionFeesDue > 0 && (
+                  <div>
+                    <span className="repayment-label">Extension Fees:</span>
+                    <span className="repayment-value">{loan.extensionFeesDue.toFixed(2)} XRP</span>
+                  </div>
+                )}
                 <div>
-                  <span className="repayment-label">Remaining:</span>
+                  <span className="repayment-label">Payoff Today:</span>
                   <span className="repayment-value">{remainingBalance.toFixed(2)} XRP</span>
                 </div>
               </div>
+              
+              <p className="accrual-note">
+                Interest accrues daily at {loan.dailyInterest.toFixed(6)} XRP on the outstanding principal.
+                Paying early reduces the interest you owe.
+              </p>
+              
+              {loan.daysPastDue > 0 && (
+                <p className="accrual-note">
+                  This loan is {loan.daysPastDue} days past due. Penalty interest accrues daily
+                  at {loan.dailyPenaltyInterest.toFixed(6)} XRP on top of regular interest until it is repaid.
+                  Payments cover the late fee and penalty interest first.
+                </p>
+              )}
             </div>
             
             <div className="repayment-action mt-4">
@@ -164,6 +328,163 @@ const LoanDetails = () => {
                 Make Payment
               </Link>
             </div>
+            
+            {(extensionInfo || confirmedExtensions.length > 0) && (
+              <div className="loan-extension mt-4">
+                <h3>Extend Due Date</h3>
+                
+                {confirmedExtensions.map(extension => (
+                  <p key={extension._id} className="accrual-note">
+                    Extended by {extension.days} days on {formatDate(extension.confirmedAt)}
+                    {' '}(from {formatDate(extension.previousDueDate)} to {formatDate(extension.newDueDate)}),
+                    fee {extension.fee} XRP.
+                    {extension.status === 'ESCROWED' && ' Your previous collateral escrow is being returned.'}
+                  </p>
+                ))}
+                
+                {extensionPayload ? (
+                  <div className="reclaim-signing">
+                    <p className="accrual-note">{extensionStatus}</p>
+                    <img src={extensionPayload.refs.qr_png} alt="XUMM QR Code" className="reclaim-qr" />
+                    <div>
+                      <a href={extensionPayload.next.always} className="btn btn-outline">
+                        Open in XUMM App
+                      </a>
+                    </div>
+                  </div>
+                ) : extensionInfo?.eligible ? (
+                  <div>
+                    <p className="accrual-note">
+                      You can push the due date out by up to {extensionInfo.maxExtensionDays} days
+                      for a fee of {extensionInfo.extensionFee} XRP, added to your balance
+                      ({extensionInfo.extensionsUsed} of {extensionInfo.maxExtensions} extensions used).
+                      You sign a new collateral escrow that runs to the new due date; once it is
+                      confirmed, your current escrow is finished and its collateral returned to you.
+                    </p>
+                    
+                    {extensionInfo.pending && (
+                      <p className="accrual-note">
+                        A {extensionInfo.pending.days}-day extension is waiting for your signature.{' '}
+                        <button type="button" onClick={pollExtension} className="btn btn-outline btn-sm">
+                          I have signed it
+                        </button>
+                      </p>
+                    )}
+                    
+                    <form onSubmit={handleRequestExtension} className="extension-form">
+                      <div className="form-group">
+                        <label htmlFor="extensionDays">Days to extend</label>
+                        <input
+                          type="number"
+                          id="extensionDays"
+                          value={extensionDays}
+                          onChange={(e) => setExtensionDays(e.target.value)}
+                          min="1"
+                          max={extensionInfo.maxExtensionDays}
+                          step="1"
+                          className="form-control"
+                          required
+                        />
+                      </div>
+                      <button type="submit" className="btn btn-primary">
+                        Extend loan
+                      </button>
+                    </form>
+                  </div>
+                ) : extensionInfo?.reason ? (
+                  <p className="accrual-note">{extensionInfo.reason}</p>
+                ) : null}
+                
+                {extensionStatus && !extensionPayload && <p className="accrual-note">{extensionStatus}</p>}
+                {extensionError && <div className="error-message">{extensionError}</div>}
+              </div>
+            )}
+            
+            {loan.destinationTag && (
+              <div className="direct-payment mt-4">
+                <h3>Pay from any wallet</h3>
+                <p className="accrual-note">
+                  You can also send XRP directly, including from an exchange. Always include the
+                  destination tag, or the payment cannot be matched to this loan.
+                </p>
+                <div className="transaction-item">
+                  <div className="transaction-label">Address:</div>
+                  <span className="transaction-value address">{loan.repaymentAddress}</span>
+                </div>
+                <div className="transaction-item">
+                  <div className="transaction-label">Destination Tag:</div>
+                  <span className="transaction-value">{loan.destinationTag}</span>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {loan.status === 'DEFAULTED' && loan.defaultDetails && (
+          <div className="loan-details-section">
+            <h2>Default</h2>
+            
+            <div className="repayment-amounts">
+              <div>
+                <span className="repayment-label">Owed at Default:</span>
+                <span className="repayment-value">{loan.defaultDetails.remainingOwed.toFixed(2)} XRP</span>
+              </div>
+              {loan.defaultDetails.lateFee > 0 && (
+                <div>
+                  <span className="repayment-label">Late Fee:</span>
+                  <span className="repayment-value">{loan.defaultDetails.lateFee.toFixed(2)} XRP</span>
+                </div>
+              )}
+              {loan.defaultDetails.penaltyInterest > 0 && (
+                <div>
+                  <span className="repayment-label">Penalty Interest:</span>
+                  <span className="repayment-value">{loan.defaultDetails.penaltyInterest.toFixed(2)} XRP</span>
+                </div>
+              )}
+              <div>
+                <span className="repayment-label">Collateral Claimed:</span>
+                <span className="repayment-value">{(loan.defaultDetails.collateralClaimed || 0).toFixed(2)} XRP</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {loan.installments && loan.installments.length > 0 && (
+          <div className="loan-details-section">
+            <h2>Installment Schedule</h2>
+            
+            <div className="payment-history">
+              <table className="w-100">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Due Date</th>
+                    <th>Principal</th>
+                    <th>Interest</th>
+                    <th>Amount</th>
+                    <th>Paid</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loan.installments.map(installment => (
+                    <tr key={installment.number}>
+                      <td>{installment.number}</td>
+                      <td>{formatDate(installment.dueDate)}</td>
+                      <td>{installment.principal.toFixed(2)} XRP</td>
+                      <td>{installment.interest.toFixed(2)} XRP</td>
+                      <td>{installment.amount.toFixed(2)} XRP</td>
+                      <td>{(installment.paidAmount || 0).toFixed(2)} XRP</td>
+                      <td>
+                        <span className={`installment-status installment-status-${installment.status.toLowerCase()}`}>
+                          {installment.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
         )}
 
@@ -184,16 +505,48 @@ const LoanDetails = () => {
                   {loan.repayments.map((payment, index) => (
                     <tr key={index}>
                       <td>{formatDate(payment.timestamp)}</td>
-                      <td>{payment.amount} XRP</td>
                       <td>
-                        <a 
-                          href={`https://testnet.xrpl.org/transactions/${payment.txHash}`} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="transaction-link"
-                        >
-                          {payment.txHash.substring(0, 8)}...
-                        </a>
+                        {payment.amount} XRP
+                        {payment.verificationNote && (
+                          <div className="payment-flag" title={payment.verificationNote}>
+                            {payment.amountMismatch ? `Requested ${payment.requestedAmount} XRP` : 'Flagged'}
+                          </div>
+                        )}
+                        {payment.overpayment > 0 && (
+                          <div className="payment-flag">
+                            {payment.overpayment} XRP overpaid
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        {payment.txHash ? (
+                          <a 
+                            href={`https://testnet.xrpl.org/transactions/${payment.txHash}`} 
+                            target="_blank" 
+                            rel="noopener noreferrer"
+                            className="transaction-link"
+                          >
+                            {payment.txHash.substring(0, 8)}...
+                          </a>
+                        ) : payment.source === 'CREDIT' ? (
+                          <Link to={`/loans/${payment.creditFromLoan}`} className="transaction-link">
+                            Credit from another loan
+                          </Link>
+                        ) : (
+                          'Pending'
+                        )}
+                        {payment.refundTxHash && (
+                          <div>
+                            <a 
+                              href={`https://testnet.xrpl.org/transactions/${payment.refundTxHash}`} 
+                              target="_blank" 
+                              rel="noopener noreferrer"
+                              className="transaction-link"
+                            >
+                              Refund of {payment.refundAmount} XRP
+                            </a>
+                          </div>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -203,6 +556,48 @@ const LoanDetails = () => {
           </div>
         )}
 
+        {(reclaimInfo?.eligible || loan.collateralReclaim) && (
+          <div className="loan-details-section">
+            <h2>Collateral</h2>
+            
+            {loan.collateralReclaim?.status === 'RECLAIMED' ? (
+              <div className="transaction-item">
+                <div className="transaction-label">Collateral reclaimed:</div>
+                <a 
+                  href={`https://testnet.xrpl.org/transactions/${loan.collateralReclaim.txHash}`} 
+                  target="_blank" 
+                  rel="noopener noreferrer"
+                  className="transaction-link"
+                >
+                  {loan.collateralReclaim.amount} XRP on {formatDate(loan.collateralReclaim.reclaimedAt)}
+                </a>
+              </div>
+            ) : reclaimPayload ? (
+              <div className="reclaim-signing">
+                <p className="accrual-note">{reclaimStatus}</p>
+                <img src={reclaimPayload.refs.qr_png} alt="XUMM QR Code" className="reclaim-qr" />
+                <div>
+                  <a href={reclaimPayload.next.always} className="btn btn-outline">
+                    Open in XUMM App
+                  </a>
+                </div>
+              </div>
+            ) : reclaimInfo?.eligible ? (
+              <div>
+                <p className="accrual-note">
+                  {reclaimInfo.escrow.amount} XRP of collateral is still held in escrow for this loan.
+                  The escrow can be cancelled since {formatDate(reclaimInfo.escrow.cancelAfter)}, returning the collateral to your wallet.
+                </p>
+                <button onClick={handleReclaimCollateral} className="btn btn-primary">
+                  Reclaim collateral
+                </button>
+              </div>
+            ) : null}
+            
+            {reclaimError && <div className="error-message">{reclaimError}</div>}
+          </div>
+        )}
+
         {/* Transaction Links for Escrow */}
         <div className="loan-details-section">
           <h2>Loan Transactions</h2>
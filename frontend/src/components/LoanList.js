@@ -42,13 +42,26 @@ const LoanList = () => {
   const getStatusBadgeClass = (status) => {
     switch (status) {
       case 'ACTIVE': return 'status-active';
+      case 'RESTRUCTURED': return 'status-active';
       case 'PENDING': return 'status-pending';
+      case 'ACTIVATING': return 'status-pending';
       case 'REPAID': return 'status-repaid';
       case 'DEFAULTED': return 'status-defaulted';
+      case 'EXPIRED': return 'status-expired';
       default: return '';
     }
   };
   
+  // Helper function to get the text shown in the status badge
+  const getStatusLabel = (status) => {
+    switch (status) {
+      case 'EXPIRED': return 'Expired (not signed)';
+      case 'ACTIVATING': return 'Activating';
+      case 'RESTRUCTURED': return 'Extended';
+      default: return status;
+    }
+  };
+  
   // Handle retry button click
   const handleRetry = () => {
     setLoading(true);
@@ -104,18 +117,21 @@ const LoanList = () => {
                   </td>
                   <td>{loan.amount} XRP</td>
                   <td>{loan.collateralAmount} XRP</td>
-                  <td>{(loan.interestRate * 100).toFixed(2)}%</td>
-                  <td>{formatDate(loan.dueDate)}</td>
+                  <td>{(loan.apr * 100).toFixed(2)}%</td>
+                  <td>{formatDate(loan.nextDueDate || loan.dueDate)}</td>
                   <td>
-                    <span className={`status-badge ${getStatusBadgeClass(loan.status)}`}>
-                      {loan.status}
+                    <span
+                      className={`status-badge ${getStatusBadgeClass(loan.status)}`}
+                      title={loan.status === 'EXPIRED' ? 'The collateral escrow was not signed in time. Apply again to get a new loan.' : undefined}
+                    >
+                      {getStatusLabel(loan.status)}
                     </span>
                   </td>
                   <td>
                     <Link to={`/loans/${loan._id}`} className="view-details-btn">
                       View Details
                     </Link>
-                    {loan.status === 'ACTIVE' && (
+                    {['ACTIVE', 'RESTRUCTURED'].includes(loan.status) && (
                       <Link to={`/repay/${loan._id}`} className="repay-btn">
                         Repay Loan
                       </Link>
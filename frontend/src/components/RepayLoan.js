@@ -33,16 +33,8 @@ const RepayLoan = () => {
         const response = await api.get(`/loans/${id}`);
         setLoan(response.data);
         
-        // Calculate remaining balance
-        const interestAmount = response.data.amount * (response.data.interestRate / 100);
-        const totalOwed = response.data.amount + interestAmount;
-        const totalRepaid = response.data.repayments?.reduce(
-          (sum, payment) => sum + payment.amount, 0
-        ) || 0;
-        const remaining = Math.max(0, totalOwed - totalRepaid);
-        
-        // Set default repayment amount to remaining balance
-        setAmount(remaining.toFixed(6));
+        // Set default repayment amount to today's payoff amount
+        setAmount(response.data.remainingBalance.toFixed(6));
         setLoading(false);
       } catch (err) {
         console.error('Error fetching loan details:', err);
@@ -129,6 +121,11 @@ const RepayLoan = () => {
             clearInterval(interval);
             setTransactionStatus('Repayment successfully confirmed!');
             handleCompleteSigningProcess();
+          } else if (currentRepayment && currentRepayment.rejected) {
+            // Declined in Xumm, or the signed transaction failed verification on the ledger
+            clearInterval(interval);
+            setError(currentRepayment.verificationNote || 'The repayment was not completed.');
+            setSigningStep('ready');
           }
         } catch (err) {
           console.error("Polling error:", err);
@@ -240,11 +237,9 @@ const RepayLoan = () => {
     );
   }
 
-  // Calculate loan metrics
-  const interestAmount = loan.amount * (loan.interestRate / 100);
-  const totalOwed = loan.amount + interestAmount;
-  const totalRepaid = loan.repayments?.reduce((sum, payment) => sum + payment.amount, 0) || 0;
-  const remainingBalance = Math.max(0, totalOwed - totalRepaid);
+  // Loan metrics are computed by the backend as of the request
+  const { totalOwed, totalRepaid, remainingBalance } = loan;
+  const interestAmount = loan.interestAccruedToDate;
 
   // Show XUMM signing interface when a payload is available
   if (signingStep) {
@@ -314,12 +309,12 @@ const RepayLoan = () => {
             </div>
             
             <div className="loan-summary-item">
-              <div className="loan-summary-label">Interest Rate</div>
-              <div className="loan-summary-value">{loan.interestRate}%</div>
+              <div className="loan-summary-label">Interest Rate (APR)</div>
+              <div className="loan-summary-value">{(loan.apr * 100).toFixed(2)}%</div>
             </div>
             
             <div className="loan-summary-item">
-              <div className="loan-summary-label">Interest Amount</div>
+              <div className="loan-summary-label">Interest Accrued</div>
               <div className="loan-summary-value">{interestAmount.toFixed(6)} XRP</div>
             </div>
             
@@ -328,6 +323,15 @@ const RepayLoan = () => {
               <div className="loan-summary-value">{formatDate(loan.dueDate)}</div>
             </div>
             
+            {(loan.lateFee > 0 || loan.penaltyApr > 0) && (
+              <div className="loan-summary-item">
+                <div className="loan-summary-label">If Paid Late</div>
+                <div className="loan-summary-value">
+                  {loan.lateFee} XRP fee + {(loan.penaltyApr * 100).toFixed(2)}% APR
+                </div>
+              </div>
+            )}
+            
             <div className="loan-summary-item">
               <div className="loan-summary-label">Term</div>
               <div className="loan-summary-value">{loan.term} days</div>
@@ -360,8 +364,31 @@ const RepayLoan = () => {
                 <div className="payment-summary-value">{totalRepaid.toFixed(6)} XRP</div>
               </div>
               
+              {loan.lateFeeDue > 0 && (
+                <div className="payment-summary-item">
+                  <div className="payment-summary-label">Late Fee</div>
+                  <div className="payment-summary-value">{loan.lateFeeDue.toFixed(6)} XRP</div>
+                </div>
+              )}
+              
+              {loan.extensionFeesDue > 0 && (
+                <div className="payment-summary-item">
+                  <div className="payment-summary-label">Extension Fees</div>
+                  <div className="payment-summary-value">{loan.extensionFeesDue.toFixed(6)} XRP</div>
+                </div>
+              )}
+              
+              {loan.penaltyInterestDue > 0 && (
+                <div className="payment-summary-item">
+                  <div className="payment-summary-label">
+                    Penalty Interest ({(loan.penaltyApr * 100).toFixed(2)}% APR, {loan.daysPastDue} days late)
+                  </div>
+                  <div className="payment-summary-value">{loan.penaltyInterestDue.toFixed(6)} XRP</div>
+                </div>
+              )}
+              
               <div className="payment-summary-item">
-                <div className="payment-summary-label">Remaining Balance</div>
+                <div className="payment-summary-label">Payoff Today</div>
                 <div className="payment-summary-value">{remainingBalance.toFixed(6)} XRP</div>
               </div>
             </div>
@@ -1,7 +1,28 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { creditScore } from '../utils/api';
 import '../styles/components/UndercollateralizedElements.css';
 
 const UndercollateralizedInfo = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        setPolicy(await creditScore.getRiskPolicy());
+      } catch (error) {
+        console.error('Error fetching risk policy:', error);
+      }
+    };
+
+    fetchPolicy();
+  }, []);
+
+  // Only tiers that offer undercollateralized loans are shown
+  const eligibleTiers = policy?.tiers.filter(tier => tier.eligibleForUndercollateralized) || [];
+  const percentRange = (values) => values.length
+    ? `${(Math.min(...values) * 100).toFixed(0)}-${(Math.max(...values) * 100).toFixed(0)}%`
+    : 'N/A';
+
   return (
     <div className="undercollateralized-info">
       <section className="info-section">
@@ -25,7 +46,7 @@ const UndercollateralizedInfo = () => {
               <tr>
                 <td>Collateral Requirement</td>
                 <td>150% or higher</td>
-                <td>60-90% (based on risk)</td>
+                <td>{percentRange(eligibleTiers.map(tier => tier.collateralRatio))} (based on risk)</td>
               </tr>
               <tr>
                 <td>Basis for Lending</td>
@@ -35,7 +56,7 @@ const UndercollateralizedInfo = () => {
               <tr>
                 <td>Interest Rates</td>
                 <td>Lower (3-8%)</td>
-                <td>Higher (12-35%)</td>
+                <td>Higher ({percentRange(eligibleTiers.map(tier => tier.interestRate))})</td>
               </tr>
               <tr>
                 <td>Liquidation</td>
@@ -64,45 +85,26 @@ const UndercollateralizedInfo = () => {
         <h2>Risk Categories and Terms</h2>
         <div className="risk-categories">
           <div className="risk-category-grid">
-            <div className="risk-category-card very-low-risk">
-              <h3>Very Low Risk</h3>
-              <ul>
-                <li>Collateral: 60%</li>
-                <li>Interest: 12%</li>
-                <li>Max Term: 90 days</li>
-                <li>Max Amount: 1000 XRP</li>
-              </ul>
-            </div>
-            
-            <div className="risk-category-card low-risk">
-              <h3>Low Risk</h3>
-              <ul>
-                <li>Collateral: 70%</li>
-                <li>Interest: 18%</li>
-                <li>Max Term: 60 days</li>
-                <li>Max Amount: 750 XRP</li>
-              </ul>
-            </div>
-            
-            <div className="risk-category-card medium-risk">
-              <h3>Medium Risk</h3>
-              <ul>
-                <li>Collateral: 80%</li>
-                <li>Interest: 25%</li>
-                <li>Max Term: 45 days</li>
-                <li>Max Amount: 500 XRP</li>
-              </ul>
-            </div>
-            
-            <div className="risk-category-card high-risk">
-              <h3>High Risk</h3>
-              <ul>
-                <li>Collateral: 90%</li>
-                <li>Interest: 35%</li>
-                <li>Max Term: 30 days</li>
-                <li>Max Amount: 300 XRP</li>
-              </ul>
-            </div>
+            {eligibleTiers.map(tier => (
+              <div
+                key={tier.name}
+                className={`risk-category-card ${tier.name.toLowerCase().replace(/\s+/g, '-')}`}
+              >
+                <h3>{tier.name}</h3>
+                <ul>
+                  <li>Collateral: {(tier.collateralRatio * 100).toFixed(0)}%</li>
+                  <li>Interest: {(tier.interestRate * 100).toFixed(0)}%</li>
+                  <li>Max Term: {tier.maxLoanTerm} days</li>
+                  <li>Max Amount: {tier.maxLoanAmount} XRP</li>
+                  {(tier.lateFee > 0 || tier.penaltyApr > 0) && (
+                    <li>Late: {tier.lateFee} XRP fee + {(tier.penaltyApr * 100).toFixed(0)}% penalty APR</li>
+                  )}
+                  {tier.maxExtensions > 0 && (
+                    <li>Extensions: up to {tier.maxExtensions} of {tier.maxExtensionDays} days, {tier.extensionFee} XRP each</li>
+                  )}
+                </ul>
+              </div>
+            ))}
           </div>
         </div>
       </section>
@@ -30,10 +30,22 @@ export const auth = {
 };
 
 export const loans = {
+  getQuote: async (loanData) => {
+    const response = await api.post('/loans/quote', loanData);
+    return response.data;
+  },
   applyForLoan: async (loanData) => {
     const response = await api.post('/loans/apply', loanData);
     return response.data;
   },
+  cancelApplication: async (loanId) => {
+    const response = await api.post(`/loans/${loanId}/cancel`);
+    return response.data;
+  },
+  requestEscrowPayload: async (loanId) => {
+    const response = await api.post(`/loans/${loanId}/escrow-payload`);
+    return response.data;
+  },
   executeLoan: async (loanId) => {
     // This calls the backend to get the Xumm payload for signing.
     const response = await api.post(`/loans/${loanId}/execute`);
@@ -47,6 +59,34 @@ export const loans = {
     const response = await api.get(`/loans/${loanId}`);
     return response.data;
   },
+  getPayoffQuote: async (loanId) => {
+    const response = await api.get(`/loans/${loanId}/payoff`);
+    return response.data;
+  },
+  getCollateralReclaim: async (loanId) => {
+    const response = await api.get(`/loans/${loanId}/collateral-reclaim`);
+    return response.data;
+  },
+  requestCollateralReclaim: async (loanId) => {
+    const response = await api.post(`/loans/${loanId}/collateral-reclaim`);
+    return response.data;
+  },
+  verifyCollateralReclaim: async (loanId) => {
+    const response = await api.post(`/loans/${loanId}/collateral-reclaim/verify`);
+    return response.data;
+  },
+  getExtension: async (loanId) => {
+    const response = await api.get(`/loans/${loanId}/extend`);
+    return response.data;
+  },
+  requestExtension: async (loanId, days) => {
+    const response = await api.post(`/loans/${loanId}/extend`, { days });
+    return response.data;
+  },
+  verifyExtension: async (loanId) => {
+    const response = await api.post(`/loans/${loanId}/extend/verify`);
+    return response.data;
+  },
   makeRepayment: async (loanId, amount) => {
     const response = await api.post(`/loans/${loanId}/repay`, { amount });
     return response.data;
@@ -66,6 +106,12 @@ export const creditScore = {
         params: { address: walletAddress }
       });
       return response.data;
+    },
+    getRiskPolicy: async (score) => {
+      const response = await api.get('/credit/policy', {
+        params: score !== undefined ? { score } : {}
+      });
+      return response.data;
     }
 };
 